@@ -0,0 +1,20 @@
+-- Migration: Per-purchase access log and seller download caps
+
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS max_downloads INT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS max_downloads_per_day INT;
+
+CREATE TABLE IF NOT EXISTS access_events (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_id     UUID            NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+    product_id      UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    buyer_id        UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_type      VARCHAR(20)     NOT NULL CHECK (event_type IN ('signed_url', 'ticket', 'stream')),
+    version_number  INTEGER,
+    ip_address      VARCHAR(64),
+    user_agent      TEXT,
+    platform        VARCHAR(20),
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_events_purchase ON access_events(purchase_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_access_events_created ON access_events(created_at);
@@ -0,0 +1,22 @@
+-- Migration: Database-backed admin accounts with roles
+-- The first superadmin is seeded on startup from ADMIN_ID / ADMIN_PASSWORD.
+
+CREATE TABLE IF NOT EXISTS admins (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  username VARCHAR(50) NOT NULL UNIQUE,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  role VARCHAR(30) NOT NULL DEFAULT 'moderator' CHECK (
+    role IN ('moderator', 'finance', 'superadmin')
+  ),
+  password_hash TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  invited_by VARCHAR(100),
+  invite_token_hash VARCHAR(64),
+  invite_expires_at TIMESTAMPTZ,
+  last_login_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_invite_token ON admins(invite_token_hash);
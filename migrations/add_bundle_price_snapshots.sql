@@ -0,0 +1,16 @@
+-- Migration: Bundle list-price snapshots (checkout prorates against these)
+
+ALTER TABLE pdf_bundles ADD COLUMN IF NOT EXISTS list_total NUMERIC(10, 2);
+ALTER TABLE pdf_bundle_items ADD COLUMN IF NOT EXISTS list_price NUMERIC(10, 2);
+
+-- Existing bundles: snapshot the current product prices.
+UPDATE pdf_bundle_items bi
+SET list_price = p.price
+FROM pdf_products p
+WHERE p.id = bi.product_id AND bi.list_price IS NULL;
+
+UPDATE pdf_bundles b
+SET list_total = COALESCE(
+  (SELECT SUM(bi.list_price) FROM pdf_bundle_items bi WHERE bi.bundle_id = b.id), 0
+)
+WHERE b.list_total IS NULL;
@@ -0,0 +1,18 @@
+-- Migration: Single-use tickets for streaming PDF content
+
+CREATE TABLE IF NOT EXISTS content_tickets (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token_hash      VARCHAR(64)     NOT NULL UNIQUE,
+    user_id         UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id      UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    version_number  INTEGER,        -- NULL = latest approved version
+    expires_at      TIMESTAMPTZ     NOT NULL,
+    used_at         TIMESTAMPTZ,
+    client_hash     VARCHAR(64),    -- SHA-256 of the redeeming client's IP and User-Agent
+    session_expires_at TIMESTAMPTZ, -- end of follow-up requests after redemption
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_tickets_expires ON content_tickets(expires_at);
+ALTER TABLE content_tickets ADD COLUMN IF NOT EXISTS client_hash VARCHAR(64);
+ALTER TABLE content_tickets ADD COLUMN IF NOT EXISTS session_expires_at TIMESTAMPTZ;
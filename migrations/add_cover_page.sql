@@ -0,0 +1 @@
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS cover_page INT;
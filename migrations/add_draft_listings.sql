@@ -0,0 +1,5 @@
+-- Migration: Draft listings (review_status = 'draft')
+
+ALTER TABLE pdf_products DROP CONSTRAINT IF EXISTS pdf_products_review_status_check;
+ALTER TABLE pdf_products ADD CONSTRAINT pdf_products_review_status_check
+    CHECK (review_status IN ('draft', 'pending_review', 'approved', 'rejected'));
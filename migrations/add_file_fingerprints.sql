@@ -0,0 +1,30 @@
+-- Migration: File fingerprints for duplicate and re-upload detection
+
+-- Every stored file gets a SHA-256 and, when it has a text layer, a MinHash
+-- signature of its text (services/pdf-fingerprint.service.js). Uploads
+-- matching another seller's file are flagged for moderators; exact copies
+-- of banned content are rejected on upload. Files stored before this
+-- existed are fingerprinted by a background job (fingerprinted_at).
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS file_sha256 VARCHAR(64);
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS text_minhash INTEGER[];
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS fingerprinted_at TIMESTAMPTZ;
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS duplicate_match VARCHAR(20)
+    CHECK (duplicate_match IN ('exact', 'similar', 'banned'));
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS duplicate_similarity NUMERIC(4, 3);
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS duplicate_of_product_id UUID
+    REFERENCES pdf_products(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_sha256 ON pdf_versions(file_sha256);
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_unfingerprinted ON pdf_versions(created_at)
+    WHERE fingerprinted_at IS NULL;
+
+-- Files a moderator banned when rejecting or deleting a listing. Kept
+-- after the listing itself is gone, so re-uploads are still caught.
+CREATE TABLE IF NOT EXISTS banned_files (
+    file_sha256     VARCHAR(64)     PRIMARY KEY,
+    product_id      UUID,           -- listing it was banned from (may no longer exist)
+    title           TEXT,
+    reason          TEXT,
+    banned_by       VARCHAR(100),
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
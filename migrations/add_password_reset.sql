@@ -0,0 +1,19 @@
+-- Migration: Forgot-password / change-password support
+
+-- Existing accounts stay NULL (unknown): Google sign-ups got a random
+-- password hash, indistinguishable from a real one.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS has_password BOOLEAN;
+ALTER TABLE users ALTER COLUMN has_password DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN has_password SET DEFAULT true;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
@@ -0,0 +1,37 @@
+-- Migration: Product bundles sold at a combined price
+
+CREATE TABLE IF NOT EXISTS pdf_bundles (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id        UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    short_code       VARCHAR(6)      NOT NULL UNIQUE,
+    title            VARCHAR(255)    NOT NULL,
+    description      TEXT,
+    price            NUMERIC(10, 2)  NOT NULL CHECK (price >= 0),
+    list_total       NUMERIC(10, 2),                 -- sum of the items' list_price
+    cover_path       TEXT,                           -- NULL = first product's cover is shown
+    is_active        BOOLEAN         NOT NULL DEFAULT false,
+    review_status    VARCHAR(30)     NOT NULL DEFAULT 'pending_review'
+                                        CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by      VARCHAR(100),
+    reviewed_at      TIMESTAMPTZ,
+    created_at       TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_bundles_seller ON pdf_bundles(seller_id);
+CREATE INDEX IF NOT EXISTS idx_pdf_bundles_review_status ON pdf_bundles(review_status);
+
+CREATE TABLE IF NOT EXISTS pdf_bundle_items (
+    bundle_id   UUID    NOT NULL REFERENCES pdf_bundles(id) ON DELETE CASCADE,
+    product_id  UUID    NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    position    INT     NOT NULL,
+    list_price  NUMERIC(10, 2),         -- product price when bundled / last approved
+    PRIMARY KEY (bundle_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_bundle_items_product ON pdf_bundle_items(product_id);
+
+-- Set on purchases made through a bundle (kept if the bundle is deleted).
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES pdf_bundles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_purchases_bundle ON purchases(bundle_id);
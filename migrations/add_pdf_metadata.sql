@@ -0,0 +1,5 @@
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS page_count INT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS pdf_version VARCHAR(10);
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS doc_title TEXT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS doc_author TEXT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS has_text_layer BOOLEAN;
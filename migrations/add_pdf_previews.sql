@@ -0,0 +1,3 @@
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS preview_path TEXT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS preview_start_page INT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS preview_end_page INT;
@@ -0,0 +1,50 @@
+-- Migration: Versioned PDF files with moderation per version
+
+CREATE TABLE IF NOT EXISTS pdf_versions (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id       UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    version_number   INTEGER         NOT NULL,
+    file_path        TEXT            NOT NULL,
+    file_size        BIGINT,
+    page_count       INT,
+    pdf_version      VARCHAR(10),
+    doc_title        TEXT,
+    doc_author       TEXT,
+    has_text_layer   BOOLEAN,
+    scan_status      VARCHAR(20),
+    scan_findings    TEXT[]          NOT NULL DEFAULT '{}',
+    scan_engine      VARCHAR(50),
+    changelog        TEXT,
+    review_status    VARCHAR(30)     NOT NULL DEFAULT 'pending_review'
+                                        CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by      VARCHAR(100),
+    reviewed_at      TIMESTAMPTZ,
+    created_at       TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT uq_pdf_versions_number UNIQUE (product_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_product ON pdf_versions(product_id);
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_review_status ON pdf_versions(review_status);
+
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS current_version_number INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS file_updated_at TIMESTAMPTZ;
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS seen_version_number INTEGER;
+
+-- Watermarked copies are now kept per purchase and file version.
+ALTER TABLE purchase_watermarks DROP CONSTRAINT IF EXISTS purchase_watermarks_purchase_id_key;
+ALTER TABLE purchase_watermarks DROP CONSTRAINT IF EXISTS purchase_watermarks_fingerprint_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_watermarks_purchase_source ON purchase_watermarks(purchase_id, source_path);
+CREATE INDEX IF NOT EXISTS idx_purchase_watermarks_fingerprint ON purchase_watermarks(fingerprint);
+
+INSERT INTO pdf_versions (
+    product_id, version_number, file_path, file_size, page_count, pdf_version, doc_title,
+    doc_author, has_text_layer, scan_status, scan_findings, scan_engine,
+    review_status, reviewed_by, reviewed_at, created_at
+)
+SELECT p.id, 1, p.file_path, p.file_size, p.page_count, p.pdf_version, p.doc_title,
+       p.doc_author, p.has_text_layer, p.scan_status, p.scan_findings, p.scan_engine,
+       'approved', p.reviewed_by, p.reviewed_at, p.created_at
+FROM pdf_products p
+WHERE NOT EXISTS (SELECT 1 FROM pdf_versions v WHERE v.product_id = p.id);
@@ -0,0 +1,34 @@
+-- Migration: Pending revisions for edits to approved listings
+
+CREATE TABLE IF NOT EXISTS product_revisions (
+    id                    UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id            UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    base_version_number   INTEGER         NOT NULL,
+    title                 VARCHAR(255)    NOT NULL,
+    author_name           VARCHAR(255),
+    description           TEXT,
+    tags                  TEXT[]          NOT NULL DEFAULT '{}',
+    mrp                   NUMERIC(10, 2),
+    price                 NUMERIC(10, 2)  NOT NULL,
+    allow_download        BOOLEAN         NOT NULL,
+    cover_path            TEXT,
+    cover_page            INT,
+    preview_path          TEXT,
+    preview_start_page    INT,
+    preview_end_page      INT,
+    watermark_downloads   BOOLEAN         NOT NULL,
+    max_downloads         INT,
+    max_downloads_per_day INT,
+    review_status         VARCHAR(30)     NOT NULL DEFAULT 'pending_review'
+                                             CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+    rejection_reason      TEXT,
+    reviewed_by           VARCHAR(100),
+    reviewed_at           TIMESTAMPTZ,
+    created_at            TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at            TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_revisions_product ON product_revisions(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_revisions_review_status ON product_revisions(review_status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_revisions_one_pending
+    ON product_revisions(product_id) WHERE review_status = 'pending_review';
@@ -0,0 +1,17 @@
+-- Migration: Per-buyer watermarked copies and leak fingerprints
+
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS watermark_downloads BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS purchase_watermarks (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_id   UUID            NOT NULL UNIQUE REFERENCES purchases(id) ON DELETE CASCADE,
+    product_id    UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    source_path   TEXT            NOT NULL,
+    file_path     TEXT            NOT NULL,
+    fingerprint   VARCHAR(64)     NOT NULL UNIQUE,
+    sha256        VARCHAR(64)     NOT NULL,
+    created_at    TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_watermarks_product ON purchase_watermarks(product_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_watermarks_sha256 ON purchase_watermarks(sha256);
@@ -0,0 +1,13 @@
+-- Migration: Scheduled publishing and listing expiry (publish_at / unpublish_at)
+
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS is_published BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE pdf_products DROP CONSTRAINT IF EXISTS pdf_products_publish_window_check;
+ALTER TABLE pdf_products ADD CONSTRAINT pdf_products_publish_window_check
+    CHECK (publish_at IS NULL OR unpublish_at IS NULL OR unpublish_at > publish_at);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_products_publish_at
+    ON pdf_products(publish_at) WHERE publish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pdf_products_unpublish_at
+    ON pdf_products(unpublish_at) WHERE unpublish_at IS NOT NULL;
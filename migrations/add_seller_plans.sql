@@ -0,0 +1,7 @@
+-- Migration: Seller plans (listing, storage and file size limits, commission rate)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_plan VARCHAR(20) NOT NULL DEFAULT 'free';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_plan_updated_at TIMESTAMPTZ;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_seller_plan_check;
+ALTER TABLE users ADD CONSTRAINT users_seller_plan_check
+    CHECK (seller_plan IN ('free', 'pro', 'institution'));
@@ -0,0 +1,25 @@
+-- Migration: TOTP two-factor authentication for users and admins
+
+CREATE TABLE IF NOT EXISTS two_factor_credentials (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  account_type VARCHAR(10) NOT NULL CHECK (account_type IN ('user', 'admin')),
+  account_id VARCHAR(100) NOT NULL,
+  secret_encrypted TEXT NOT NULL,
+  enabled_at TIMESTAMPTZ,
+  last_used_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT uq_two_factor_account UNIQUE (account_type, account_id)
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  account_type VARCHAR(10) NOT NULL,
+  account_id VARCHAR(100) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_account
+  ON two_factor_recovery_codes(account_type, account_id);
@@ -0,0 +1,4 @@
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scan_status VARCHAR(20);
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scan_findings TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scan_engine VARCHAR(50);
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMPTZ;
@@ -0,0 +1,30 @@
+-- Migration: Resumable chunked PDF upload sessions
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id       UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    file_name       VARCHAR(255),
+    file_size       BIGINT          NOT NULL CHECK (file_size > 0),
+    chunk_size      INTEGER         NOT NULL CHECK (chunk_size > 0),
+    total_chunks    INTEGER         NOT NULL CHECK (total_chunks > 0),
+    checksum_sha256 VARCHAR(64)     NOT NULL,
+    status          VARCHAR(20)     NOT NULL DEFAULT 'open'
+                    CHECK (status IN ('open', 'completing', 'completed', 'aborted')),
+    product_id      UUID            REFERENCES pdf_products(id) ON DELETE SET NULL,
+    expires_at      TIMESTAMPTZ     NOT NULL,
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_seller ON upload_sessions(seller_id, status);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON upload_sessions(expires_at);
+
+CREATE TABLE IF NOT EXISTS upload_session_chunks (
+    session_id      UUID            NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    chunk_number    INTEGER         NOT NULL CHECK (chunk_number > 0),
+    size            INTEGER         NOT NULL,
+    checksum_sha256 VARCHAR(64)     NOT NULL,
+    storage_path    TEXT            NOT NULL,
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (session_id, chunk_number)
+);
@@ -8,19 +8,26 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const config = require('./config');
 
 const authRoutes = require('./routes/auth.routes');
 const pdfRoutes = require('./routes/pdf.routes');
+const bundleRoutes = require('./routes/bundle.routes');
 const paymentRoutes = require('./routes/payment.routes');
 const purchaseRoutes = require('./routes/purchase.routes');
 const shareRoutes = require('./routes/share.routes');
 const userRoutes = require('./routes/user.routes');
 const adminRoutes = require('./routes/admin.routes');
 const linkingRoutes = require('./routes/linking.routes');
+const storageRoutes = require('./routes/storage.routes');
 const { errorHandler, notFound } = require('./middleware/error.middleware');
 
 const app = express();
 
+if (config.trustProxy) {
+  app.set('trust proxy', config.trustProxy);
+}
+
 // ── Global middleware ────────────────────────────────────
 app.use(helmet());
 app.use(cors());
@@ -36,10 +43,12 @@ app.get('/health', (_req, res) => res.json({ status: 'ok' }));
 
 app.use('/api/auth', authRoutes);
 app.use('/api/pdf', pdfRoutes);
+app.use('/api/bundle', bundleRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/purchase', purchaseRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/storage', storageRoutes);
 app.use('/.well-known', linkingRoutes);
 app.use('/', linkingRoutes);
 
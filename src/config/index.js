@@ -4,9 +4,24 @@
  */
 require('dotenv').config();
 
+// Seller plan limit from the environment: a number, 'unlimited' (null), or the default.
+function planLimit(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  if (value === 'unlimited') return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+function megabytes(value) {
+  return value == null ? null : Math.round(value * 1024 * 1024);
+}
+
 module.exports = {
   port: Number(process.env.PORT) || 5000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Number of reverse proxies in front of the app (Render: 1) so req.ip is the client IP.
+  trustProxy: Number(process.env.TRUST_PROXY) || 0,
 
   // PostgreSQL
   db: {
@@ -20,7 +35,9 @@ module.exports = {
   // JWT
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    adminExpiresIn: process.env.JWT_ADMIN_EXPIRES_IN || '12h',
+    refreshExpiresInDays: Number(process.env.JWT_REFRESH_EXPIRES_IN_DAYS) || 30,
   },
 
   // Supabase
@@ -31,6 +48,46 @@ module.exports = {
     bucket: process.env.SUPABASE_BUCKET || 'pdfs',
   },
 
+  // PDF uploads (see services/upload-session.service.js); the file size
+  // limit depends on the seller's plan (below).
+  upload: {
+    // Resumable uploads: every chunk but the last is exactly this size.
+    chunkBytes: (Number(process.env.UPLOAD_CHUNK_SIZE_MB) || 5) * 1024 * 1024,
+    // Unfinished sessions are discarded this long after their last chunk.
+    sessionTtlHours: Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24,
+    // Completing an upload holds the whole file in memory (it is validated,
+    // scanned and fingerprinted as one buffer): no plan goes above this.
+    maxAssembledBytes: megabytes(Number(process.env.UPLOAD_MAX_ASSEMBLED_MB) || 200),
+  },
+
+  // Storage garbage collector (see services/storage-gc.service.js)
+  storageGc: {
+    // Orphans younger than this are never deleted (uploads still in flight).
+    graceHours: Number(process.env.STORAGE_GC_GRACE_HOURS) || 24,
+    // The daily job only reports unless this is 'false'.
+    dryRun: process.env.STORAGE_GC_DRY_RUN !== 'false',
+  },
+
+  // File storage (see services/storage.service.js)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'supabase', // 'supabase' | 's3' | 'local'
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || 'tmp/storage',
+      // Base URL of this API; local signed URLs point at /api/storage on it.
+      publicUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${Number(process.env.PORT) || 5000}`,
+      // Signs local URLs; falls back to JWT_SECRET if unset.
+      signingSecret: process.env.STORAGE_SIGNING_SECRET,
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined, // e.g. MinIO: http://localhost:9000
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    },
+  },
+
   // Razorpay
   razorpay: {
     keyId: process.env.RAZORPAY_KEY_ID,
@@ -38,9 +95,33 @@ module.exports = {
     webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
   },
 
-  // Platform
-  platform: {
-    commissionRate: Number(process.env.PLATFORM_COMMISSION_RATE) || 0.10,
+  // Seller plans (see config/plans.js). Each limit can be overridden with
+  // PLAN_<PLAN>_<LIMIT>, e.g. PLAN_PRO_MAX_FILE_MB=100; null = unlimited.
+  plans: {
+    free: {
+      maxListings: planLimit('PLAN_FREE_MAX_LISTINGS', 10),
+      maxStorageBytes: megabytes(planLimit('PLAN_FREE_MAX_STORAGE_MB', 200)),
+      // MAX_PDF_SIZE_MB and PLATFORM_COMMISSION_RATE predate plans.
+      maxFileBytes: megabytes(
+        planLimit('PLAN_FREE_MAX_FILE_MB', Number(process.env.MAX_PDF_SIZE_MB) || 10)
+      ),
+      commissionRate: planLimit(
+        'PLAN_FREE_COMMISSION_RATE',
+        Number(process.env.PLATFORM_COMMISSION_RATE) || 0.10
+      ),
+    },
+    pro: {
+      maxListings: planLimit('PLAN_PRO_MAX_LISTINGS', 100),
+      maxStorageBytes: megabytes(planLimit('PLAN_PRO_MAX_STORAGE_MB', 5 * 1024)),
+      maxFileBytes: megabytes(planLimit('PLAN_PRO_MAX_FILE_MB', 50)),
+      commissionRate: planLimit('PLAN_PRO_COMMISSION_RATE', 0.08),
+    },
+    institution: {
+      maxListings: planLimit('PLAN_INSTITUTION_MAX_LISTINGS', null),
+      maxStorageBytes: megabytes(planLimit('PLAN_INSTITUTION_MAX_STORAGE_MB', 50 * 1024)),
+      maxFileBytes: megabytes(planLimit('PLAN_INSTITUTION_MAX_FILE_MB', 200)),
+      commissionRate: planLimit('PLAN_INSTITUTION_COMMISSION_RATE', 0.05),
+    },
   },
 
   // Google OAuth
@@ -49,9 +130,66 @@ module.exports = {
     mobileClientId: process.env.GOOGLE_MOBILE_CLIENT_ID,
   },
 
-  // Admin panel (fixed credentials)
+  // Account deletion
+  accountDeletion: {
+    graceDays: Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+  },
+
+  // Rate limiting / login lockout (see services/rate-limit.service.js)
+  rateLimit: {
+    store: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' | 'postgres'
+    lockout: {
+      threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+      baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60,
+      maxSeconds: Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600,
+      windowSeconds: 24 * 60 * 60, // failures older than this are forgotten
+    },
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'NoteBay',
+    // Encrypts stored TOTP secrets; falls back to JWT_SECRET if unset.
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY,
+    requireForAdmins: process.env.ADMIN_REQUIRE_2FA !== 'false',
+  },
+
+  // Upload scanning (see services/upload-scan.service.js)
+  uploadScan: {
+    scanner: process.env.VIRUS_SCANNER || 'stub', // 'stub' | 'clamav'
+    // Reject uploads (503) instead of accepting them unscanned when the scanner is down.
+    failClosed: process.env.VIRUS_SCAN_FAIL_CLOSED === 'true',
+    pdfActiveContent: process.env.PDF_ACTIVE_CONTENT_POLICY || 'sanitize', // 'sanitize' | 'reject'
+    clamav: {
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+      socketPath: process.env.CLAMAV_SOCKET || null,
+      timeoutMs: Number(process.env.CLAMAV_TIMEOUT_MS) || 30000,
+    },
+  },
+
+  // Outbound email (see services/mail.service.js)
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'NoteBay <no-reply@notebay.local>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+    },
+    // Link embedded in verification emails; the token is appended as ?token=
+    verifyEmailUrl: process.env.EMAIL_VERIFY_URL || 'notebay://verify-email',
+    resetPasswordUrl: process.env.PASSWORD_RESET_URL || 'notebay://reset-password',
+    adminInviteUrl: process.env.ADMIN_INVITE_URL || 'http://localhost:3000/admin/accept-invite',
+  },
+
+  // Admin panel — seeds the first superadmin when the admins table is empty.
+  // There are intentionally no defaults; further admins are invited.
   admin: {
-    id: process.env.ADMIN_ID || 'kdkd',
-    password: process.env.ADMIN_PASSWORD || 'kdkd@786',
+    bootstrapId: process.env.ADMIN_ID,
+    bootstrapPassword: process.env.ADMIN_PASSWORD,
   },
 };
@@ -0,0 +1,21 @@
+/**
+ * Admin roles and what each one may do.
+ *
+ * Routes declare the permission they need (see requireAdminPermission in
+ * auth.middleware.js); roles are mapped to permissions only here.
+ * `superadmin` implicitly holds every permission.
+ */
+const ADMIN_ROLES = ['moderator', 'finance', 'superadmin'];
+
+const ROLE_PERMISSIONS = {
+  moderator: ['moderation', 'reports', 'users.read'],
+  finance: ['orders.read', 'users.read', 'users.plan'],
+  superadmin: ['*'],
+};
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+module.exports = { ADMIN_ROLES, ROLE_PERMISSIONS, hasPermission };
@@ -0,0 +1,17 @@
+/**
+ * Seller plans.
+ *
+ * Every seller is on one plan (users.seller_plan, assigned by admins). The
+ * limits themselves live in config.plans so deployments can tune them;
+ * services read them only through getPlanLimits.
+ */
+const config = require('./index');
+
+const SELLER_PLANS = ['free', 'pro', 'institution'];
+const DEFAULT_SELLER_PLAN = 'free';
+
+function getPlanLimits(plan) {
+  return config.plans[plan] || config.plans[DEFAULT_SELLER_PLAN];
+}
+
+module.exports = { SELLER_PLANS, DEFAULT_SELLER_PLAN, getPlanLimits };
@@ -1,4 +1,5 @@
 const adminService = require('../services/admin.service');
+const storageGcService = require('../services/storage-gc.service');
 
 async function login(req, res, next) {
   try {
@@ -12,12 +13,102 @@ async function login(req, res, next) {
   }
 }
 
+async function loginTwoFactorSetup(req, res, next) {
+  try {
+    const data = await adminService.loginTwoFactorSetup({
+      challengeToken: req.body?.challenge_token,
+    });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function loginTwoFactor(req, res, next) {
+  try {
+    const data = await adminService.loginTwoFactor({
+      challengeToken: req.body?.challenge_token,
+      code: req.body?.code,
+    });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorStatus(req, res, next) {
+  try {
+    const data = await adminService.getTwoFactorStatus(req.user.id);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorSetup(req, res, next) {
+  try {
+    const data = await adminService.startTwoFactorSetup(req.user.id);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorEnable(req, res, next) {
+  try {
+    const data = await adminService.enableTwoFactor(req.user.id, req.body?.code);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorDisable(req, res, next) {
+  try {
+    const data = await adminService.disableTwoFactor(req.user.id, req.body?.code);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorRecoveryCodes(req, res, next) {
+  try {
+    const data = await adminService.regenerateRecoveryCodes(req.user.id, req.body?.code);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function acceptInvite(req, res, next) {
+  try {
+    const admin = await adminService.acceptInvite({
+      token: req.body?.token,
+      password: req.body?.password,
+    });
+    res.json(admin);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function me(req, res, next) {
+  try {
+    const admin = await adminService.getAdmin(req.user.id);
+    res.json(admin);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function moderationQueue(req, res, next) {
   try {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 20;
     const status = req.query.status || 'pending_review';
-    const rows = await adminService.listModerationQueue({ status, page, limit });
+    const flagged = req.query.flagged === 'true';
+    const rows = await adminService.listModerationQueue({ status, flagged, page, limit });
     res.json(rows);
   } catch (err) {
     next(err);
@@ -42,6 +133,7 @@ async function reject(req, res, next) {
       productId: req.params.id,
       adminId: req.user.id,
       reason: req.body?.reason,
+      banContent: req.body?.ban_content === true || req.body?.ban_content === 'true',
     });
     res.json(row);
   } catch (err) {
@@ -61,6 +153,140 @@ async function reviewUrl(req, res, next) {
   }
 }
 
+async function versionQueue(req, res, next) {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const status = req.query.status || 'pending_review';
+    const flagged = req.query.flagged === 'true';
+    const rows = await adminService.listVersionQueue({ status, flagged, page, limit });
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function versionReviewUrl(req, res, next) {
+  try {
+    const data = await adminService.getVersionReviewUrl({
+      versionId: req.params.id,
+      adminId: req.user.id,
+    });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function approveVersion(req, res, next) {
+  try {
+    const row = await adminService.approveVersion({
+      versionId: req.params.id,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function rejectVersion(req, res, next) {
+  try {
+    const row = await adminService.rejectVersion({
+      versionId: req.params.id,
+      adminId: req.user.id,
+      reason: req.body?.reason,
+      banContent: req.body?.ban_content === true || req.body?.ban_content === 'true',
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revisionQueue(req, res, next) {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const status = req.query.status || 'pending_review';
+    const rows = await adminService.listRevisionQueue({ status, page, limit });
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revisionDiff(req, res, next) {
+  try {
+    const data = await adminService.getRevisionDiff({ revisionId: req.params.id });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function approveRevision(req, res, next) {
+  try {
+    const row = await adminService.approveRevision({
+      revisionId: req.params.id,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function rejectRevision(req, res, next) {
+  try {
+    const row = await adminService.rejectRevision({
+      revisionId: req.params.id,
+      adminId: req.user.id,
+      reason: req.body?.reason,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function bundleQueue(req, res, next) {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const status = req.query.status || 'pending_review';
+    const rows = await adminService.listBundleQueue({ status, page, limit });
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function approveBundle(req, res, next) {
+  try {
+    const row = await adminService.approveBundle({
+      bundleId: req.params.id,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function rejectBundle(req, res, next) {
+  try {
+    const row = await adminService.rejectBundle({
+      bundleId: req.params.id,
+      adminId: req.user.id,
+      reason: req.body?.reason,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function users(req, res, next) {
   try {
     const page = parseInt(req.query.page, 10) || 1;
@@ -94,6 +320,37 @@ async function orders(req, res, next) {
   }
 }
 
+async function suspiciousAccess(req, res, next) {
+  try {
+    const data = await adminService.listSuspiciousAccess({
+      days: parseInt(req.query.days, 10) || undefined,
+      minDistinctIps: parseInt(req.query.min_ips, 10) || undefined,
+      burstCount: parseInt(req.query.burst_count, 10) || undefined,
+      burstWindowMinutes: parseInt(req.query.burst_minutes, 10) || undefined,
+      page: parseInt(req.query.page, 10) || 1,
+      limit: parseInt(req.query.limit, 10) || 50,
+    });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function purchaseAccessEvents(req, res, next) {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 100;
+    const rows = await adminService.listPurchaseAccessEvents({
+      purchaseId: req.params.id,
+      page,
+      limit,
+    });
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function auditLogs(req, res, next) {
   try {
     const page = parseInt(req.query.page, 10) || 1;
@@ -105,11 +362,43 @@ async function auditLogs(req, res, next) {
   }
 }
 
+/**
+ * Storage reconciliation. Body: dry_run (default true), grace_hours.
+ */
+async function storageGc(req, res, next) {
+  try {
+    const report = await storageGcService.collectGarbage({
+      dryRun: !(req.body?.dry_run === false || req.body?.dry_run === 'false'),
+      graceHours: req.body?.grace_hours ?? undefined,
+      adminId: req.user.id,
+    });
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function deleteProduct(req, res, next) {
   try {
     const result = await adminService.deleteProduct({
       productId: req.params.id,
       adminId: req.user.id,
+      banContent: req.body?.ban_content === true || req.body?.ban_content === 'true',
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function identifyLeak(req, res, next) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'PDF file is required' });
+    }
+    const result = await adminService.identifyLeakedFile({
+      buffer: req.file.buffer,
+      adminId: req.user.id,
     });
     res.json(result);
   } catch (err) {
@@ -156,6 +445,19 @@ async function banUser(req, res, next) {
   }
 }
 
+async function setUserPlan(req, res, next) {
+  try {
+    const row = await adminService.setUserPlan({
+      userId: req.params.id,
+      plan: req.body?.plan,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function unbanUser(req, res, next) {
   try {
     const row = await adminService.unbanUser({
@@ -168,19 +470,125 @@ async function unbanUser(req, res, next) {
   }
 }
 
+async function admins(req, res, next) {
+  try {
+    const rows = await adminService.listAdmins();
+    res.json(rows);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function inviteAdmin(req, res, next) {
+  try {
+    const row = await adminService.inviteAdmin({
+      username: req.body?.username,
+      email: req.body?.email,
+      name: req.body?.name,
+      role: req.body?.role,
+      adminId: req.user.id,
+    });
+    res.status(201).json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function updateAdminRole(req, res, next) {
+  try {
+    const row = await adminService.updateAdminRole({
+      targetAdminId: req.params.id,
+      role: req.body?.role,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function disableAdmin(req, res, next) {
+  try {
+    const row = await adminService.setAdminActive({
+      targetAdminId: req.params.id,
+      isActive: false,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function resetAdminTwoFactor(req, res, next) {
+  try {
+    const data = await adminService.resetAdminTwoFactor({
+      targetAdminId: req.params.id,
+      adminId: req.user.id,
+    });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function enableAdmin(req, res, next) {
+  try {
+    const row = await adminService.setAdminActive({
+      targetAdminId: req.params.id,
+      isActive: true,
+      adminId: req.user.id,
+    });
+    res.json(row);
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   login,
+  loginTwoFactorSetup,
+  loginTwoFactor,
+  twoFactorStatus,
+  twoFactorSetup,
+  twoFactorEnable,
+  twoFactorDisable,
+  twoFactorRecoveryCodes,
+  acceptInvite,
+  me,
   moderationQueue,
   reviewUrl,
   approve,
   reject,
+  versionQueue,
+  versionReviewUrl,
+  approveVersion,
+  rejectVersion,
+  revisionQueue,
+  revisionDiff,
+  approveRevision,
+  rejectRevision,
+  bundleQueue,
+  approveBundle,
+  rejectBundle,
   users,
   userDetails,
   orders,
+  suspiciousAccess,
+  purchaseAccessEvents,
   auditLogs,
+  storageGc,
   deleteProduct,
+  identifyLeak,
   reports,
   updateReport,
   banUser,
   unbanUser,
+  setUserPlan,
+  admins,
+  inviteAdmin,
+  updateAdminRole,
+  disableAdmin,
+  enableAdmin,
+  resetAdminTwoFactor,
 };
@@ -1,8 +1,16 @@
 const authService = require('../services/auth.service');
 
+// Device details recorded on the session so users can recognise it later.
+function clientInfo(req) {
+  return {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null,
+  };
+}
+
 async function register(req, res, next) {
   try {
-    const data = await authService.register(req.body);
+    const data = await authService.register(req.body, clientInfo(req));
     res.status(201).json(data);
   } catch (err) {
     next(err);
@@ -11,7 +19,16 @@ async function register(req, res, next) {
 
 async function login(req, res, next) {
   try {
-    const data = await authService.login(req.body);
+    const data = await authService.login(req.body, clientInfo(req));
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function loginTwoFactor(req, res, next) {
+  try {
+    const data = await authService.loginTwoFactor(req.body, clientInfo(req));
     res.json(data);
   } catch (err) {
     next(err);
@@ -20,11 +37,76 @@ async function login(req, res, next) {
 
 async function googleLogin(req, res, next) {
   try {
-    const data = await authService.googleLogin(req.body);
+    const data = await authService.googleLogin(req.body, clientInfo(req));
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function verifyEmail(req, res, next) {
+  try {
+    const data = await authService.verifyEmail(req.body);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function resendVerification(req, res, next) {
+  try {
+    const data = await authService.resendVerification(req.body);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function forgotPassword(req, res, next) {
+  try {
+    const data = await authService.forgotPassword(req.body);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function resetPassword(req, res, next) {
+  try {
+    const data = await authService.resetPassword(req.body);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function refresh(req, res, next) {
+  try {
+    const data = await authService.refresh(req.body, clientInfo(req));
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function logout(req, res, next) {
+  try {
+    const data = await authService.logout(req.body);
     res.json(data);
   } catch (err) {
     next(err);
   }
 }
 
-module.exports = { register, login, googleLogin };
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  googleLogin,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+};
@@ -0,0 +1,78 @@
+const bundleService = require('../services/bundle.service');
+
+/**
+ * Create a bundle (multipart: title, description, price, product_ids,
+ * optional cover image).
+ */
+async function create(req, res, next) {
+  try {
+    const bundle = await bundleService.createBundle({
+      sellerId: req.user.id,
+      title: req.body.title,
+      description: req.body.description,
+      price: req.body.price,
+      productIds: req.body.product_ids,
+      coverFile: req.file || null,
+    });
+    res.status(201).json(bundle);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function myBundles(req, res, next) {
+  try {
+    const bundles = await bundleService.listSellerBundles(req.user.id);
+    res.json(bundles);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function getById(req, res, next) {
+  try {
+    const bundle = await bundleService.getBundleById(req.params.id);
+    res.json(bundle);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function getByCode(req, res, next) {
+  try {
+    const bundle = await bundleService.getBundleByCode(req.params.code);
+    res.json(bundle);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Price of the bundle for the signed-in buyer (owned products left out).
+ */
+async function quote(req, res, next) {
+  try {
+    const data = await bundleService.quoteBundle(req.params.id, req.user.id);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function deleteBundle(req, res, next) {
+  try {
+    const result = await bundleService.deleteBundle(req.params.id, req.user.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  create,
+  myBundles,
+  getById,
+  getByCode,
+  quote,
+  deleteBundle,
+};
@@ -2,13 +2,14 @@ const paymentService = require('../services/payment.service');
 
 /**
  * POST /api/payment/create-order
- * Authenticated buyer creates a Razorpay order.
+ * Authenticated buyer creates a Razorpay order for a product or a bundle.
  */
 async function createOrder(req, res, next) {
   try {
     const data = await paymentService.createOrder({
       buyerId: req.user.id,
       productId: req.body.product_id,
+      bundleId: req.body.bundle_id,
     });
     res.status(201).json(data);
   } catch (err) {
@@ -1,25 +1,42 @@
+const { pipeline } = require('stream');
 const pdfService = require('../services/pdf.service');
+const contentTicketService = require('../services/content-ticket.service');
+const uploadSessionService = require('../services/upload-session.service');
+
+// Listing fields shared by direct uploads and completed upload sessions.
+function _productFields(req) {
+  return {
+    title: req.body.title,
+    authorName: req.body.author_name,
+    description: req.body.description || null,
+    tags: req.body.tags,
+    mrp: req.body.mrp != null && req.body.mrp !== '' ? parseFloat(req.body.mrp) : null,
+    price: parseFloat(req.body.price),
+    allowDownload: req.body.allow_download === 'true' || req.body.allow_download === true,
+    coverFile: req.files?.cover?.[0] || null,
+    previewPages: req.body.preview_pages,
+    watermarkDownloads:
+      req.body.watermark_downloads === 'true' || req.body.watermark_downloads === true,
+    maxDownloads: req.body.max_downloads,
+    maxDownloadsPerDay: req.body.max_downloads_per_day,
+    draft: req.body.draft === 'true' || req.body.draft === true,
+    publishAt: req.body.publish_at,
+    unpublishAt: req.body.unpublish_at,
+  };
+}
 
 async function create(req, res, next) {
   try {
     const pdfFile = req.files?.file?.[0];
-    const coverFile = req.files?.cover?.[0] || null;
 
     if (!pdfFile) {
       return res.status(400).json({ error: 'PDF file is required' });
     }
 
     const product = await pdfService.createProduct({
+      ..._productFields(req),
       sellerId: req.user.id,
-      title: req.body.title,
-      authorName: req.body.author_name,
-      description: req.body.description || null,
-      tags: req.body.tags,
-      mrp: req.body.mrp != null && req.body.mrp !== '' ? parseFloat(req.body.mrp) : null,
-      price: parseFloat(req.body.price),
-      allowDownload: req.body.allow_download === 'true' || req.body.allow_download === true,
       file: pdfFile,
-      coverFile,
     });
 
     res.status(201).json(product);
@@ -28,6 +45,77 @@ async function create(req, res, next) {
   }
 }
 
+/**
+ * Start a resumable upload (body: file_name, file_size, checksum).
+ */
+async function createUpload(req, res, next) {
+  try {
+    const session = await uploadSessionService.createUploadSession(req.user.id, {
+      fileName: req.body.file_name,
+      fileSize: req.body.file_size,
+      checksum: req.body.checksum,
+    });
+    res.status(201).json(session);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function getUpload(req, res, next) {
+  try {
+    const session = await uploadSessionService.getUploadSession(req.params.sessionId, req.user.id);
+    res.json(session);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Store one chunk (raw body, optional X-Chunk-SHA256 header).
+ */
+async function putUploadChunk(req, res, next) {
+  try {
+    const chunk = await uploadSessionService.putChunk(
+      req.params.sessionId,
+      req.user.id,
+      Number(req.params.chunkNumber),
+      req.body,
+      { checksum: req.get('x-chunk-sha256') || null }
+    );
+    res.json(chunk);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Assemble the uploaded file and create the product (same fields as create).
+ */
+async function completeUpload(req, res, next) {
+  try {
+    const product = await uploadSessionService.completeUploadSession(
+      req.params.sessionId,
+      req.user.id,
+      _productFields(req)
+    );
+    res.status(201).json(product);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function abortUpload(req, res, next) {
+  try {
+    const result = await uploadSessionService.abortUploadSession(
+      req.params.sessionId,
+      req.user.id
+    );
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function getById(req, res, next) {
   try {
     const product = await pdfService.getProductById(req.params.id);
@@ -79,13 +167,123 @@ async function myProducts(req, res, next) {
   }
 }
 
+// Recorded in access_events with every granted access.
+function clientInfo(req) {
+  return {
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null,
+    platform: String(req.headers['x-client-platform'] || 'web').toLowerCase(),
+  };
+}
+
+// Range requests that continue an open download are not separate accesses.
+function _isFreshRequest(range) {
+  if (!range) return true;
+  const match = /^bytes=(\d+)-/.exec(range);
+  return Boolean(match) && Number(match[1]) === 0;
+}
+
+function _parseVersion(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    const err = new Error('Invalid version');
+    err.status = 400;
+    throw err;
+  }
+  return version;
+}
+
 /**
- * Generate signed URL for an authorised buyer.
+ * Generate signed URL for an authorised buyer (a ticketed stream URL for
+ * view-only products).
  */
 async function access(req, res, next) {
   try {
-    const clientPlatform = String(req.headers['x-client-platform'] || 'web').toLowerCase();
-    const data = await pdfService.getSignedUrl(req.params.id, req.user.id, clientPlatform);
+    const data = await pdfService.getSignedUrl(req.params.id, req.user.id, {
+      versionNumber: _parseVersion(req.query.version),
+      contentBaseUrl: `${req.protocol}://${req.get('host')}`,
+      client: clientInfo(req),
+    });
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Short-lived ticket for opening the content stream without an auth header.
+ */
+async function contentTicket(req, res, next) {
+  try {
+    const data = await pdfService.createContentTicket(req.params.id, req.user.id, {
+      versionNumber: _parseVersion(req.body?.version ?? req.query.version),
+      client: clientInfo(req),
+    });
+    res.status(201).json({
+      ...data,
+      content_url: `${req.protocol}://${req.get('host')}${data.content_path}`,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Stream the purchased PDF (supports Range requests).
+ * Authenticated by bearer token or by a `ticket` (bound to the first client).
+ */
+async function content(req, res, next) {
+  try {
+    let buyerId;
+    let versionNumber;
+    // Ticket opens were already counted when the ticket was issued.
+    let countAccess = false;
+    if (req.query.ticket) {
+      const ticket = await contentTicketService.redeemContentTicket({
+        productId: req.params.id,
+        ticket: req.query.ticket,
+        client: clientInfo(req),
+      });
+      buyerId = ticket.user_id;
+      versionNumber = ticket.version_number;
+    } else {
+      buyerId = req.user.id;
+      versionNumber = _parseVersion(req.query.version);
+      countAccess = _isFreshRequest(req.headers.range);
+    }
+
+    const stream = await pdfService.openContentStream(req.params.id, buyerId, {
+      versionNumber,
+      range: req.headers.range || null,
+      ifRange: req.headers['if-range'] || null,
+      download: req.query.download === '1' || req.query.download === 'true',
+      countAccess,
+      client: clientInfo(req),
+    });
+
+    res.status(stream.status).set(stream.headers);
+    if (!stream.body || req.method === 'HEAD') {
+      if (stream.body) stream.body.destroy();
+      return res.end();
+    }
+
+    pipeline(stream.body, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('PDF stream failed:', err.message);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Signed URL for the public preview excerpt.
+ */
+async function preview(req, res, next) {
+  try {
+    const data = await pdfService.getPreviewUrl(req.params.id);
     res.json(data);
   } catch (err) {
     next(err);
@@ -120,6 +318,21 @@ async function updatePrice(req, res, next) {
   }
 }
 
+/**
+ * Set or clear publish_at / unpublish_at (body; null or '' clears).
+ */
+async function updateSchedule(req, res, next) {
+  try {
+    const product = await pdfService.updateSchedule(req.params.id, req.user.id, {
+      publishAt: req.body.publish_at,
+      unpublishAt: req.body.unpublish_at,
+    });
+    res.json(product);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function updateProduct(req, res, next) {
   try {
     const coverFile = req.files?.cover?.[0] || null;
@@ -142,6 +355,22 @@ async function updateProduct(req, res, next) {
     if (req.body.allow_download !== undefined) {
       payload.allowDownload = req.body.allow_download === 'true' || req.body.allow_download === true;
     }
+    if (req.body.cover_page !== undefined && req.body.cover_page !== '') {
+      const coverPage = Number(req.body.cover_page);
+      if (!Number.isInteger(coverPage) || coverPage < 1) {
+        return res.status(400).json({ error: 'Invalid cover page' });
+      }
+      payload.coverPage = coverPage;
+    }
+    if (req.body.preview_pages !== undefined) payload.previewPages = req.body.preview_pages;
+    if (req.body.watermark_downloads !== undefined) {
+      payload.watermarkDownloads =
+        req.body.watermark_downloads === 'true' || req.body.watermark_downloads === true;
+    }
+    if (req.body.max_downloads !== undefined) payload.maxDownloads = req.body.max_downloads;
+    if (req.body.max_downloads_per_day !== undefined) {
+      payload.maxDownloadsPerDay = req.body.max_downloads_per_day;
+    }
     payload.coverFile = coverFile;
 
     const product = await pdfService.updateProductDetails(
@@ -155,6 +384,47 @@ async function updateProduct(req, res, next) {
   }
 }
 
+/**
+ * Send a draft to moderation (seller only).
+ */
+async function submitProduct(req, res, next) {
+  try {
+    const product = await pdfService.submitProduct(req.params.id, req.user.id);
+    res.json(product);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Upload a new version of the PDF (seller only, goes through moderation).
+ */
+async function createVersion(req, res, next) {
+  try {
+    const pdfFile = req.files?.file?.[0];
+    if (!pdfFile) {
+      return res.status(400).json({ error: 'PDF file is required' });
+    }
+
+    const version = await pdfService.createVersion(req.params.id, req.user.id, {
+      file: pdfFile,
+      changelog: req.body.changelog,
+    });
+    res.status(201).json(version);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function listVersions(req, res, next) {
+  try {
+    const data = await pdfService.listVersions(req.params.id, req.user.id);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function reportProduct(req, res, next) {
   try {
     const report = await pdfService.reportProduct({
@@ -171,14 +441,26 @@ async function reportProduct(req, res, next) {
 
 module.exports = {
   create,
+  createUpload,
+  getUpload,
+  putUploadChunk,
+  completeUpload,
+  abortUpload,
   getById,
   getByCode,
   list,
   search,
   myProducts,
   access,
+  contentTicket,
+  content,
+  preview,
   deleteProduct,
   updatePrice,
+  updateSchedule,
   updateProduct,
+  submitProduct,
+  createVersion,
+  listVersions,
   reportProduct,
 };
@@ -0,0 +1,48 @@
+const { pipeline } = require('stream');
+const storage = require('../services/storage.service');
+
+/**
+ * Serve a file behind a signed URL issued by the local storage driver
+ * (supports Range requests).
+ */
+async function serve(req, res, next) {
+  try {
+    const storagePath = req.params[0];
+    if (!storage.verifySignedUrl(storagePath, req.query.expires, req.query.sig)) {
+      return res.status(403).json({ error: 'Link is invalid or has expired' });
+    }
+
+    const { data, error } = await storage.stream(storagePath, {
+      range: req.headers.range || null,
+      ifRange: req.headers['if-range'] || null,
+    });
+    if (error) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.status(data.status).set({
+      ...data.headers,
+      'Content-Type': storage.contentTypeFor(storagePath),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, max-age=60',
+      // Covers and previews are embedded by the web client from another origin.
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+    });
+    if (!data.body || req.method === 'HEAD') {
+      if (data.body) data.body.destroy();
+      return res.end();
+    }
+
+    pipeline(data.body, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Storage stream failed:', err.message);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  serve,
+};
@@ -1,4 +1,5 @@
 const userService = require('../services/user.service');
+const planService = require('../services/plan.service');
 
 async function getProfile(req, res, next) {
   try {
@@ -9,6 +10,18 @@ async function getProfile(req, res, next) {
   }
 }
 
+/**
+ * Seller plan, its limits and current usage.
+ */
+async function getLimits(req, res, next) {
+  try {
+    const data = await planService.getSellerLimits(req.user.id);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
 async function updateName(req, res, next) {
   try {
     const { name } = req.body;
@@ -34,8 +47,172 @@ async function uploadProfilePicture(req, res, next) {
   }
 }
 
+async function changePassword(req, res, next) {
+  try {
+    const result = await userService.changePassword(
+      req.user.id,
+      {
+        currentPassword: req.body.current_password,
+        newPassword: req.body.new_password,
+      },
+      req.user.sid
+    );
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorStatus(req, res, next) {
+  try {
+    const status = await userService.getTwoFactorStatus(req.user.id);
+    res.json(status);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorSetup(req, res, next) {
+  try {
+    const data = await userService.startTwoFactorSetup(req.user.id);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorEnable(req, res, next) {
+  try {
+    const data = await userService.enableTwoFactor(req.user.id, req.body.code);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorDisable(req, res, next) {
+  try {
+    const data = await userService.disableTwoFactor(req.user.id, req.body.code);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function twoFactorRecoveryCodes(req, res, next) {
+  try {
+    const data = await userService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function listApiKeys(req, res, next) {
+  try {
+    const keys = await userService.listApiKeys(req.user.id);
+    res.json(keys);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function createApiKey(req, res, next) {
+  try {
+    const key = await userService.createApiKey(req.user.id, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresInDays: req.body.expires_in_days ?? null,
+    });
+    res.status(201).json(key);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revokeApiKey(req, res, next) {
+  try {
+    const result = await userService.revokeApiKey(req.user.id, req.params.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function listSessions(req, res, next) {
+  try {
+    const sessions = await userService.listSessions(req.user.id, req.user.sid);
+    res.json(sessions);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function revokeSession(req, res, next) {
+  try {
+    const result = await userService.revokeSession(req.user.id, req.params.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function exportData(req, res, next) {
+  try {
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+    const result = await userService.exportData(req.user.id, format);
+    const fileName = `notebay-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (result.format === 'zip') {
+      res.set('Content-Type', 'application/zip');
+      res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+      return res.send(result.data);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+    res.json(result.data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function deleteAccount(req, res, next) {
+  try {
+    const result = await userService.requestAccountDeletion(req.user.id, {
+      password: req.body.password,
+    });
+    res.status(202).json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function cancelAccountDeletion(req, res, next) {
+  try {
+    const result = await userService.cancelAccountDeletion(req.user.id);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
 module.exports = {
   getProfile,
+  getLimits,
   updateName,
   uploadProfilePicture,
+  changePassword,
+  twoFactorStatus,
+  twoFactorSetup,
+  twoFactorEnable,
+  twoFactorDisable,
+  twoFactorRecoveryCodes,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listSessions,
+  revokeSession,
+  exportData,
+  deleteAccount,
+  cancelAccountDeletion,
 };
@@ -20,6 +20,14 @@ CREATE TABLE IF NOT EXISTS users (
     email           VARCHAR(255)    NOT NULL UNIQUE,
     password_hash   TEXT            NOT NULL,
     profile_picture TEXT,                          -- Supabase storage path
+    email_verified  BOOLEAN         NOT NULL DEFAULT false,
+    email_verified_at TIMESTAMPTZ,
+    has_password    BOOLEAN         DEFAULT true,   -- false for Google-created accounts, NULL = unknown
+    password_changed_at TIMESTAMPTZ,
+    deletion_requested_at TIMESTAMPTZ,
+    deletion_scheduled_for TIMESTAMPTZ,           -- end of the grace period
+    deletion_started_at TIMESTAMPTZ,               -- claimed by the deletion job (retried if stale)
+    deleted_at      TIMESTAMPTZ,                   -- set once the account is anonymised
     is_banned       BOOLEAN         NOT NULL DEFAULT false,
     ban_reason      TEXT,
     banned_at       TIMESTAMPTZ,
@@ -33,6 +41,24 @@ ALTER TABLE users ADD COLUMN IF NOT EXISTS is_banned BOOLEAN NOT NULL DEFAULT fa
 ALTER TABLE users ADD COLUMN IF NOT EXISTS ban_reason TEXT;
 ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_at TIMESTAMPTZ;
 ALTER TABLE users ADD COLUMN IF NOT EXISTS banned_by VARCHAR(100);
+-- Accounts that existed before verification was introduced are grandfathered
+-- in (column added with DEFAULT true), new sign-ups start unverified.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE users ALTER COLUMN email_verified SET DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+-- Accounts that existed before has_password cannot be told apart (Google
+-- sign-ups got a random password hash), so theirs stays NULL = unknown
+-- until a password login or a password reset proves one.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS has_password BOOLEAN;
+ALTER TABLE users ALTER COLUMN has_password DROP NOT NULL;
+ALTER TABLE users ALTER COLUMN has_password SET DEFAULT true;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_started_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled_for
+    ON users(deletion_scheduled_for) WHERE deleted_at IS NULL;
 
 -- ─────────────────────────────────────────────
 -- 2. PDF PRODUCTS
@@ -52,7 +78,7 @@ CREATE TABLE IF NOT EXISTS pdf_products (
     file_path       TEXT            NOT NULL,       -- Supabase storage path: "pdfs/<seller_id>/<uuid>.pdf"
     cover_path      TEXT,                           -- Optional cover image storage path
     review_status   VARCHAR(30)     NOT NULL DEFAULT 'approved'
-                                        CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+                                        CHECK (review_status IN ('draft', 'pending_review', 'approved', 'rejected')),
     rejection_reason TEXT,
     reviewed_by     VARCHAR(100),
     reviewed_at     TIMESTAMPTZ,
@@ -72,6 +98,28 @@ ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS review_status VARCHAR(30) NOT
 ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
 ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100);
 ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+-- Document metadata extracted at upload (NULL for listings created before validation)
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS page_count INT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS pdf_version VARCHAR(10);
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS doc_title TEXT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS doc_author TEXT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS has_text_layer BOOLEAN;
+-- Upload scan verdict: 'clean' | 'sanitized' | 'unscanned' | 'sanitized_unscanned' (NULL for listings created before scanning)
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scan_status VARCHAR(20);
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scan_findings TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scan_engine VARCHAR(50);
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS scanned_at TIMESTAMPTZ;
+-- Page the cover thumbnail was rendered from; NULL when the seller uploaded the cover image
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS cover_page INT;
+-- Public preview excerpt (watermarked copy of pages start..end); NULL when the seller chose none
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS preview_path TEXT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS preview_start_page INT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS preview_end_page INT;
+-- Deliver per-buyer watermarked copies instead of the original file
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS watermark_downloads BOOLEAN NOT NULL DEFAULT false;
+-- Seller-set access caps per purchase (NULL = unlimited); see access_events
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS max_downloads INT;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS max_downloads_per_day INT;
 UPDATE pdf_products SET review_status = 'approved' WHERE review_status IS NULL;
 CREATE INDEX IF NOT EXISTS idx_pdf_products_review_status ON pdf_products(review_status);
 
@@ -166,3 +214,469 @@ CREATE INDEX IF NOT EXISTS idx_pdf_reports_status ON pdf_reports(status, created
 CREATE INDEX IF NOT EXISTS idx_pdf_reports_product ON pdf_reports(product_id);
 CREATE INDEX IF NOT EXISTS idx_pdf_reports_reporter ON pdf_reports(reporter_id);
 CREATE INDEX IF NOT EXISTS idx_pdf_reports_seller ON pdf_reports(seller_id);
+
+-- ============================================================
+-- 7. USER SESSIONS (refresh tokens / device sign-in)
+-- ============================================================
+-- One row per signed-in device. Access JWTs carry the session id (sid);
+-- revoking the row invalidates both the refresh token and access tokens.
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id                  UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id             UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash  VARCHAR(64)     NOT NULL,   -- SHA-256 of the current refresh secret
+    user_agent          TEXT,
+    ip_address          VARCHAR(64),
+    created_at          TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    last_used_at        TIMESTAMPTZ,
+    expires_at          TIMESTAMPTZ     NOT NULL,
+    revoked_at          TIMESTAMPTZ,
+    revoked_reason      VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, revoked_at);
+
+-- ============================================================
+-- 8. EMAIL VERIFICATION TOKENS
+-- ============================================================
+-- Only the SHA-256 of the emailed token is stored.
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash  VARCHAR(64)     NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ     NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user ON email_verification_tokens(user_id);
+
+-- ============================================================
+-- 9. PASSWORD RESET TOKENS
+-- ============================================================
+-- Single-use, short-lived; only the SHA-256 of the emailed token is stored.
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id          UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id     UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash  VARCHAR(64)     NOT NULL UNIQUE,
+    expires_at  TIMESTAMPTZ     NOT NULL,
+    used_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+-- ============================================================
+-- 10. ADMINS (admin panel accounts)
+-- ============================================================
+-- Roles map to permissions in src/config/permissions.js.
+-- password_hash is NULL until an invited admin accepts the invite.
+CREATE TABLE IF NOT EXISTS admins (
+    id                  UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username            VARCHAR(50)     NOT NULL UNIQUE,
+    email               VARCHAR(255)    NOT NULL UNIQUE,
+    name                VARCHAR(100)    NOT NULL,
+    role                VARCHAR(30)     NOT NULL DEFAULT 'moderator'
+                                            CHECK (role IN ('moderator', 'finance', 'superadmin')),
+    password_hash       TEXT,
+    is_active           BOOLEAN         NOT NULL DEFAULT true,
+    invited_by          VARCHAR(100),
+    invite_token_hash   VARCHAR(64),
+    invite_expires_at   TIMESTAMPTZ,
+    last_login_at       TIMESTAMPTZ,
+    created_at          TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_invite_token ON admins(invite_token_hash);
+
+-- ============================================================
+-- 11. TWO-FACTOR AUTHENTICATION (TOTP)
+-- ============================================================
+-- Shared by users and admins (account_type = 'user' | 'admin').
+-- enabled_at is NULL while enrolment is pending confirmation.
+CREATE TABLE IF NOT EXISTS two_factor_credentials (
+    id                UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_type      VARCHAR(10)     NOT NULL CHECK (account_type IN ('user', 'admin')),
+    account_id        VARCHAR(100)    NOT NULL,
+    secret_encrypted  TEXT            NOT NULL,   -- AES-256-GCM, see two-factor.service.js
+    enabled_at        TIMESTAMPTZ,
+    last_used_step    BIGINT,                     -- last accepted TOTP step (replay guard)
+    created_at        TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT uq_two_factor_account UNIQUE (account_type, account_id)
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_type  VARCHAR(10)     NOT NULL,
+    account_id    VARCHAR(100)    NOT NULL,
+    code_hash     VARCHAR(64)     NOT NULL,
+    used_at       TIMESTAMPTZ,
+    created_at    TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_account
+    ON two_factor_recovery_codes(account_type, account_id);
+
+-- ============================================================
+-- 12. RATE LIMIT BUCKETS (RATE_LIMIT_STORE=postgres)
+-- ============================================================
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    key         VARCHAR(255) PRIMARY KEY,   -- e.g. "rl:auth-login:<ip>", "lockout:user:<email>"
+    count       INTEGER         NOT NULL DEFAULT 0,
+    reset_at    TIMESTAMPTZ     NOT NULL,
+    updated_at  TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_reset_at ON rate_limit_buckets(reset_at);
+
+-- ============================================================
+-- 13. SELLER API KEYS
+-- ============================================================
+-- Raw keys look like "nbk_<key_prefix>_<secret>"; only a SHA-256 is stored.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id       UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name          VARCHAR(100)    NOT NULL,
+    key_prefix    VARCHAR(32)     NOT NULL UNIQUE,
+    key_hash      VARCHAR(64)     NOT NULL,
+    scopes        TEXT[]          NOT NULL DEFAULT '{}',
+    last_used_at  TIMESTAMPTZ,
+    last_used_ip  VARCHAR(64),
+    expires_at    TIMESTAMPTZ,
+    revoked_at    TIMESTAMPTZ,
+    created_at    TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+-- ============================================================
+-- 14. PURCHASE WATERMARKS (cached per-buyer copies)
+-- ============================================================
+-- One stamped copy per purchase. `source_path` is the product file it was
+-- made from; the copy is rebuilt when the product file changes. The
+-- fingerprint is embedded in the PDF metadata for leak identification.
+CREATE TABLE IF NOT EXISTS purchase_watermarks (
+    id            UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_id   UUID            NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+    product_id    UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    source_path   TEXT            NOT NULL,
+    file_path     TEXT            NOT NULL,
+    fingerprint   VARCHAR(64)     NOT NULL,   -- same for every copy of a purchase
+    sha256        VARCHAR(64)     NOT NULL,
+    created_at    TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+-- One copy per purchase *and file version* (buyers can fetch older versions).
+ALTER TABLE purchase_watermarks DROP CONSTRAINT IF EXISTS purchase_watermarks_purchase_id_key;
+ALTER TABLE purchase_watermarks DROP CONSTRAINT IF EXISTS purchase_watermarks_fingerprint_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_watermarks_purchase_source ON purchase_watermarks(purchase_id, source_path);
+CREATE INDEX IF NOT EXISTS idx_purchase_watermarks_product ON purchase_watermarks(product_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_watermarks_sha256 ON purchase_watermarks(sha256);
+CREATE INDEX IF NOT EXISTS idx_purchase_watermarks_fingerprint ON purchase_watermarks(fingerprint);
+
+-- ============================================================
+-- 15. PDF VERSIONS
+-- ============================================================
+-- Every file a product has had. New versions go through moderation on
+-- their own; the product stays listed and pdf_products.file_path (and the
+-- file metadata columns) mirror the latest approved version. Version 1 is
+-- the original upload, reviewed together with the listing.
+CREATE TABLE IF NOT EXISTS pdf_versions (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id       UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    version_number   INTEGER         NOT NULL,
+    file_path        TEXT            NOT NULL,
+    file_size        BIGINT,
+    page_count       INT,
+    pdf_version      VARCHAR(10),
+    doc_title        TEXT,
+    doc_author       TEXT,
+    has_text_layer   BOOLEAN,
+    scan_status      VARCHAR(20),
+    scan_findings    TEXT[]          NOT NULL DEFAULT '{}',
+    scan_engine      VARCHAR(50),
+    changelog        TEXT,
+    review_status    VARCHAR(30)     NOT NULL DEFAULT 'pending_review'
+                                        CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by      VARCHAR(100),
+    reviewed_at      TIMESTAMPTZ,
+    created_at       TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT uq_pdf_versions_number UNIQUE (product_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_product ON pdf_versions(product_id);
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_review_status ON pdf_versions(review_status);
+
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS current_version_number INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS file_updated_at TIMESTAMPTZ;
+-- Latest version the buyer has opened (NULL = the version current at purchase, i.e. 1 for older rows)
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS seen_version_number INTEGER;
+
+-- Products listed before versioning get their file recorded as version 1.
+INSERT INTO pdf_versions (
+    product_id, version_number, file_path, file_size, page_count, pdf_version, doc_title,
+    doc_author, has_text_layer, scan_status, scan_findings, scan_engine,
+    review_status, reviewed_by, reviewed_at, created_at
+)
+SELECT p.id, 1, p.file_path, p.file_size, p.page_count, p.pdf_version, p.doc_title,
+       p.doc_author, p.has_text_layer, p.scan_status, p.scan_findings, p.scan_engine,
+       'approved', p.reviewed_by, p.reviewed_at, p.created_at
+FROM pdf_products p
+WHERE NOT EXISTS (SELECT 1 FROM pdf_versions v WHERE v.product_id = p.id);
+
+-- ============================================================
+-- 16. CONTENT TICKETS (single-use PDF stream links)
+-- ============================================================
+-- Lets viewers that cannot send an Authorization header (mobile PDF
+-- viewer) open GET /api/pdf/:id/content?ticket=... shortly after the
+-- ticket was issued. The first request binds it to that client
+-- (client_hash); its follow-up Range/HEAD requests are accepted until
+-- session_expires_at. Only the SHA-256 of the ticket is stored.
+CREATE TABLE IF NOT EXISTS content_tickets (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token_hash      VARCHAR(64)     NOT NULL UNIQUE,
+    user_id         UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id      UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    version_number  INTEGER,        -- NULL = latest approved version
+    expires_at      TIMESTAMPTZ     NOT NULL,
+    used_at         TIMESTAMPTZ,
+    client_hash     VARCHAR(64),    -- SHA-256 of the redeeming client's IP and User-Agent
+    session_expires_at TIMESTAMPTZ, -- end of follow-up requests after redemption
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_tickets_expires ON content_tickets(expires_at);
+ALTER TABLE content_tickets ADD COLUMN IF NOT EXISTS client_hash VARCHAR(64);
+ALTER TABLE content_tickets ADD COLUMN IF NOT EXISTS session_expires_at TIMESTAMPTZ;
+
+-- ============================================================
+-- 17. ACCESS EVENTS (per-purchase delivery log)
+-- ============================================================
+-- One row per granted access to a purchased PDF (signed URL, stream
+-- ticket, or a fresh stream request — not every Range continuation).
+-- Counted against the product's download caps and used to flag purchases
+-- with suspicious patterns (many IPs, bursts).
+CREATE TABLE IF NOT EXISTS access_events (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_id     UUID            NOT NULL REFERENCES purchases(id) ON DELETE CASCADE,
+    product_id      UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    buyer_id        UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_type      VARCHAR(20)     NOT NULL CHECK (event_type IN ('signed_url', 'ticket', 'stream')),
+    version_number  INTEGER,
+    ip_address      VARCHAR(64),
+    user_agent      TEXT,
+    platform        VARCHAR(20),
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_events_purchase ON access_events(purchase_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_access_events_created ON access_events(created_at);
+
+-- ============================================================
+-- 18. UPLOAD SESSIONS (resumable chunked PDF uploads)
+-- ============================================================
+-- A seller declares the file size and SHA-256 up front, PUTs numbered
+-- chunks (each stored as its own object and retried freely), then
+-- completes the session, which assembles and verifies the file and
+-- creates the product exactly like a direct upload.
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id              UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id       UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    file_name       VARCHAR(255),
+    file_size       BIGINT          NOT NULL CHECK (file_size > 0),
+    chunk_size      INTEGER         NOT NULL CHECK (chunk_size > 0),
+    total_chunks    INTEGER         NOT NULL CHECK (total_chunks > 0),
+    checksum_sha256 VARCHAR(64)     NOT NULL,
+    status          VARCHAR(20)     NOT NULL DEFAULT 'open'
+                    CHECK (status IN ('open', 'completing', 'completed', 'aborted')),
+    product_id      UUID            REFERENCES pdf_products(id) ON DELETE SET NULL,
+    expires_at      TIMESTAMPTZ     NOT NULL,
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_seller ON upload_sessions(seller_id, status);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_expires ON upload_sessions(expires_at);
+
+CREATE TABLE IF NOT EXISTS upload_session_chunks (
+    session_id      UUID            NOT NULL REFERENCES upload_sessions(id) ON DELETE CASCADE,
+    chunk_number    INTEGER         NOT NULL CHECK (chunk_number > 0),
+    size            INTEGER         NOT NULL,
+    checksum_sha256 VARCHAR(64)     NOT NULL,
+    storage_path    TEXT            NOT NULL,
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (session_id, chunk_number)
+);
+
+-- ============================================================
+-- 19. FILE FINGERPRINTS (duplicate / re-upload detection)
+-- ============================================================
+-- Every stored file gets a SHA-256 and, when it has a text layer, a MinHash
+-- signature of its text (services/pdf-fingerprint.service.js). Uploads
+-- matching another seller's file are flagged for moderators; exact copies
+-- of banned content are rejected on upload. Files stored before this
+-- existed are fingerprinted by a background job (fingerprinted_at).
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS file_sha256 VARCHAR(64);
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS text_minhash INTEGER[];
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS fingerprinted_at TIMESTAMPTZ;
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS duplicate_match VARCHAR(20)
+    CHECK (duplicate_match IN ('exact', 'similar', 'banned'));
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS duplicate_similarity NUMERIC(4, 3);
+ALTER TABLE pdf_versions ADD COLUMN IF NOT EXISTS duplicate_of_product_id UUID
+    REFERENCES pdf_products(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_sha256 ON pdf_versions(file_sha256);
+CREATE INDEX IF NOT EXISTS idx_pdf_versions_unfingerprinted ON pdf_versions(created_at)
+    WHERE fingerprinted_at IS NULL;
+
+-- Files a moderator banned when rejecting or deleting a listing. Kept
+-- after the listing itself is gone, so re-uploads are still caught.
+CREATE TABLE IF NOT EXISTS banned_files (
+    file_sha256     VARCHAR(64)     PRIMARY KEY,
+    product_id      UUID,           -- listing it was banned from (may no longer exist)
+    title           TEXT,
+    reason          TEXT,
+    banned_by       VARCHAR(100),
+    created_at      TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+-- ============================================================
+-- 20. DRAFT LISTINGS
+-- ============================================================
+-- Sellers may keep a listing as a draft (not in the moderation queue, not
+-- on sale) until they submit it with POST /api/pdf/:id/submit.
+ALTER TABLE pdf_products DROP CONSTRAINT IF EXISTS pdf_products_review_status_check;
+ALTER TABLE pdf_products ADD CONSTRAINT pdf_products_review_status_check
+    CHECK (review_status IN ('draft', 'pending_review', 'approved', 'rejected'));
+
+-- ============================================================
+-- 21. PRODUCT REVISIONS (re-review of edits to live listings)
+-- ============================================================
+-- Edits to an approved listing are stored here with the complete set of
+-- proposed values, and the listing stays on sale unchanged until a
+-- moderator approves the revision. A seller has at most one pending
+-- revision per listing; editing again updates it.
+CREATE TABLE IF NOT EXISTS product_revisions (
+    id                    UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id            UUID            NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    base_version_number   INTEGER         NOT NULL,
+    title                 VARCHAR(255)    NOT NULL,
+    author_name           VARCHAR(255),
+    description           TEXT,
+    tags                  TEXT[]          NOT NULL DEFAULT '{}',
+    mrp                   NUMERIC(10, 2),
+    price                 NUMERIC(10, 2)  NOT NULL,
+    allow_download        BOOLEAN         NOT NULL,
+    cover_path            TEXT,
+    cover_page            INT,
+    preview_path          TEXT,
+    preview_start_page    INT,
+    preview_end_page      INT,
+    watermark_downloads   BOOLEAN         NOT NULL,
+    max_downloads         INT,
+    max_downloads_per_day INT,
+    review_status         VARCHAR(30)     NOT NULL DEFAULT 'pending_review'
+                                             CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+    rejection_reason      TEXT,
+    reviewed_by           VARCHAR(100),
+    reviewed_at           TIMESTAMPTZ,
+    created_at            TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at            TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_revisions_product ON product_revisions(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_revisions_review_status ON product_revisions(review_status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_revisions_one_pending
+    ON product_revisions(product_id) WHERE review_status = 'pending_review';
+
+-- ============================================================
+-- 22. BUNDLES (several of a seller's listings at one price)
+-- ============================================================
+-- A bundle is moderated like a listing. Buying it creates one purchase
+-- per included product (purchases.bundle_id), each with its share of the
+-- price and its own earnings row. Products the buyer already owns are
+-- left out and the price is reduced in proportion to their list prices.
+CREATE TABLE IF NOT EXISTS pdf_bundles (
+    id               UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    seller_id        UUID            NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    short_code       VARCHAR(6)      NOT NULL UNIQUE,
+    title            VARCHAR(255)    NOT NULL,
+    description      TEXT,
+    price            NUMERIC(10, 2)  NOT NULL CHECK (price >= 0),
+    list_total       NUMERIC(10, 2),                 -- sum of the items' list_price
+    cover_path       TEXT,                           -- NULL = first product's cover is shown
+    is_active        BOOLEAN         NOT NULL DEFAULT false,
+    review_status    VARCHAR(30)     NOT NULL DEFAULT 'pending_review'
+                                        CHECK (review_status IN ('pending_review', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by      VARCHAR(100),
+    reviewed_at      TIMESTAMPTZ,
+    created_at       TIMESTAMPTZ     NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ     NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_bundles_seller ON pdf_bundles(seller_id);
+CREATE INDEX IF NOT EXISTS idx_pdf_bundles_review_status ON pdf_bundles(review_status);
+
+CREATE TABLE IF NOT EXISTS pdf_bundle_items (
+    bundle_id   UUID    NOT NULL REFERENCES pdf_bundles(id) ON DELETE CASCADE,
+    product_id  UUID    NOT NULL REFERENCES pdf_products(id) ON DELETE CASCADE,
+    position    INT     NOT NULL,
+    list_price  NUMERIC(10, 2),         -- product price when bundled / last approved
+    PRIMARY KEY (bundle_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_bundle_items_product ON pdf_bundle_items(product_id);
+
+-- Checkout prorates against these snapshots, not the live product prices.
+-- Bundles created before the snapshots existed take the current prices.
+ALTER TABLE pdf_bundles ADD COLUMN IF NOT EXISTS list_total NUMERIC(10, 2);
+ALTER TABLE pdf_bundle_items ADD COLUMN IF NOT EXISTS list_price NUMERIC(10, 2);
+UPDATE pdf_bundle_items bi
+SET list_price = p.price
+FROM pdf_products p
+WHERE p.id = bi.product_id AND bi.list_price IS NULL;
+UPDATE pdf_bundles b
+SET list_total = COALESCE(
+  (SELECT SUM(bi.list_price) FROM pdf_bundle_items bi WHERE bi.bundle_id = b.id), 0
+)
+WHERE b.list_total IS NULL;
+
+-- Set on purchases made through a bundle (kept if the bundle is deleted).
+ALTER TABLE purchases ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES pdf_bundles(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_purchases_bundle ON purchases(bundle_id);
+
+-- ============================================================
+-- 23. SELLER PLANS
+-- ============================================================
+-- Each seller's plan (free | pro | institution) decides their listing
+-- count, storage and file size limits and the commission on their sales.
+-- The limits are configured in config.plans; admins assign plans.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_plan VARCHAR(20) NOT NULL DEFAULT 'free';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS seller_plan_updated_at TIMESTAMPTZ;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_seller_plan_check;
+ALTER TABLE users ADD CONSTRAINT users_seller_plan_check
+    CHECK (seller_plan IN ('free', 'pro', 'institution'));
+
+-- ============================================================
+-- 24. SCHEDULED PUBLISHING
+-- ============================================================
+-- Sellers may choose when a listing goes on sale (publish_at) and when it
+-- comes off (unpublish_at). is_published says whether NOW() is inside that
+-- window; the listing-schedule job flips it as the times pass. Public reads
+-- require it on top of is_active and approval. Buyers keep their access.
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS unpublish_at TIMESTAMPTZ;
+ALTER TABLE pdf_products ADD COLUMN IF NOT EXISTS is_published BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE pdf_products DROP CONSTRAINT IF EXISTS pdf_products_publish_window_check;
+ALTER TABLE pdf_products ADD CONSTRAINT pdf_products_publish_window_check
+    CHECK (publish_at IS NULL OR unpublish_at IS NULL OR unpublish_at > publish_at);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_products_publish_at
+    ON pdf_products(publish_at) WHERE publish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pdf_products_unpublish_at
+    ON pdf_products(unpublish_at) WHERE unpublish_at IS NOT NULL;
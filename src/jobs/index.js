@@ -0,0 +1,78 @@
+/**
+ * Background jobs — simple in-process interval scheduler.
+ *
+ * Each job runs once shortly after startup and then every `intervalMs`.
+ * A job never overlaps with itself; errors are logged and the next tick
+ * tries again. Jobs must be safe to run on several instances at once
+ * (claim rows with conditional UPDATEs rather than relying on this loop).
+ */
+const userService = require('../services/user.service');
+const contentTicketService = require('../services/content-ticket.service');
+const uploadSessionService = require('../services/upload-session.service');
+const { fingerprintStoredVersions } = require('../services/pdf-fingerprint.service');
+const storageGcService = require('../services/storage-gc.service');
+const listingScheduleService = require('../services/listing-schedule.service');
+
+const STARTUP_DELAY_MS = 10 * 1000;
+
+const JOBS = [
+  {
+    name: 'account-deletion',
+    intervalMs: 15 * 60 * 1000,
+    run: () => userService.processDueAccountDeletions(),
+  },
+  {
+    name: 'content-ticket-cleanup',
+    intervalMs: 60 * 60 * 1000,
+    run: () => contentTicketService.purgeExpiredContentTickets(),
+  },
+  {
+    name: 'upload-session-cleanup',
+    intervalMs: 60 * 60 * 1000,
+    run: () => uploadSessionService.purgeExpiredUploadSessions(),
+  },
+  {
+    name: 'file-fingerprint-backfill',
+    intervalMs: 10 * 60 * 1000,
+    run: () => fingerprintStoredVersions(),
+  },
+  {
+    name: 'storage-gc',
+    intervalMs: 24 * 60 * 60 * 1000,
+    run: () => storageGcService.runScheduledGc(),
+  },
+  {
+    name: 'listing-schedule',
+    intervalMs: 60 * 1000,
+    run: () => listingScheduleService.applyListingSchedules(),
+  },
+];
+
+function _schedule(job) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await job.run();
+      if (result && Object.values(result).some((v) => typeof v === 'number' && v > 0)) {
+        console.log(`⏱️  [job:${job.name}]`, result);
+      }
+    } catch (err) {
+      console.error(`⚠️  [job:${job.name}] failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, STARTUP_DELAY_MS);
+  setInterval(tick, job.intervalMs);
+}
+
+function startJobs() {
+  JOBS.forEach(_schedule);
+  console.log(`✅  Background jobs scheduled: ${JOBS.map((j) => j.name).join(', ')}`);
+}
+
+module.exports = { startJobs, JOBS };
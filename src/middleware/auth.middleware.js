@@ -4,17 +4,29 @@
  * HOW IT WORKS:
  * 1. Client sends `Authorization: Bearer <token>` header.
  * 2. We verify the token using the shared JWT_SECRET.
- * 3. Decoded payload (id, email, role) is attached to `req.user`.
- * 4. Downstream controllers can trust req.user for identity.
+ * 3. For user tokens, the session (`sid`) must still be active — this is
+ *    how logout, "sign out device" and bans revoke tokens before expiry.
+ * 4. Decoded payload (id, email, role, sid) is attached to `req.user`.
+ * 5. Downstream controllers can trust req.user for identity.
  *
- * If the token is missing, expired, or tampered, we return 401.
+ * If the token is missing, expired, revoked, or tampered, we return 401.
+ *
+ * Seller API keys (`Authorization: ApiKey <key>`) are also accepted, but
+ * only on routes marked with allowApiKey(scope) and only if the key holds
+ * that scope. req.user then has auth_type 'api_key' and no sid.
  */
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const pool = require('../database/pool');
+const sessionService = require('../services/session.service');
+const apiKeyService = require('../services/api-key.service');
+const { hasPermission } = require('../config/permissions');
 
 async function authenticate(req, res, next) {
   const header = req.headers.authorization;
+  if (header && header.startsWith('ApiKey ')) {
+    return _authenticateApiKey(req, res, next, header.slice('ApiKey '.length));
+  }
   if (!header || !header.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Authentication required' });
   }
@@ -23,10 +35,25 @@ async function authenticate(req, res, next) {
   try {
     const decoded = jwt.verify(token, config.jwt.secret);
 
-    // Admin tokens are not backed by the users table.
-    if (decoded.role !== 'admin') {
+    // 2FA challenge tokens prove only the password step — never access.
+    if (decoded.typ) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    if (decoded.role === 'admin') {
+      // Admin tokens are backed by the admins table. Reload the role on
+      // every request so disabling or demoting an admin applies at once.
+      const adminRes = await pool.query(
+        'SELECT id, role, is_active FROM admins WHERE id::text = $1',
+        [decoded.id]
+      );
+      if (adminRes.rows.length === 0 || !adminRes.rows[0].is_active) {
+        return res.status(401).json({ error: 'Admin account is disabled' });
+      }
+      decoded.admin_role = adminRes.rows[0].role;
+    } else {
       const userRes = await pool.query(
-        'SELECT id, is_banned FROM users WHERE id = $1',
+        'SELECT id, is_banned, email_verified FROM users WHERE id = $1',
         [decoded.id]
       );
       if (userRes.rows.length === 0) {
@@ -35,15 +62,61 @@ async function authenticate(req, res, next) {
       if (userRes.rows[0].is_banned) {
         return res.status(403).json({ error: 'Your account is suspended' });
       }
+      if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json({ error: 'Session expired, please log in again' });
+      }
+      decoded.email_verified = userRes.rows[0].email_verified;
     }
 
-    req.user = decoded; // { id, email, iat, exp }
+    req.user = decoded; // { id, email, role, sid, email_verified, iat, exp }
     next();
   } catch (err) {
     return res.status(401).json({ error: 'Invalid or expired token' });
   }
 }
 
+async function _authenticateApiKey(req, res, next, rawKey) {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ error: 'API keys are not accepted on this endpoint' });
+  }
+
+  try {
+    const key = await apiKeyService.verifyKey(rawKey, { ipAddress: req.ip || null });
+    if (!key) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    if (key.is_banned) {
+      return res.status(403).json({ error: 'Your account is suspended' });
+    }
+    if (!key.scopes.includes(req.apiKeyScope)) {
+      return res.status(403).json({ error: `API key is missing the ${req.apiKeyScope} scope` });
+    }
+
+    req.user = {
+      id: key.user_id,
+      email: key.email,
+      role: 'user',
+      email_verified: key.email_verified,
+      auth_type: 'api_key',
+      api_key_id: key.id,
+    };
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Let the next `authenticate` accept API keys holding `scope`.
+ * Usage: router.get('/my', allowApiKey('products:read'), authenticate, ...)
+ */
+function allowApiKey(scope) {
+  return (req, _res, next) => {
+    req.apiKeyScope = scope;
+    next();
+  };
+}
+
 /**
  * Role-based authorisation.
  * Usage: authorize('seller')  or  authorize('seller', 'buyer')
@@ -57,6 +130,20 @@ function authorize(...roles) {
   };
 }
 
+/**
+ * Require a verified email address (e.g. before listing products).
+ * Must run after `authenticate`.
+ */
+function requireVerifiedEmail(req, res, next) {
+  if (!req.user || !req.user.email_verified) {
+    return res.status(403).json({
+      error: 'Please verify your email address before listing products',
+      code: 'EMAIL_NOT_VERIFIED',
+    });
+  }
+  next();
+}
+
 function authorizeAdmin(req, res, next) {
   if (!req.user || req.user.role !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
@@ -64,4 +151,26 @@ function authorizeAdmin(req, res, next) {
   next();
 }
 
-module.exports = { authenticate, authorize, authorizeAdmin };
+/**
+ * Admin permission check (see config/permissions.js).
+ * Usage: requireAdminPermission('orders.read')
+ */
+function requireAdminPermission(permission) {
+  return (req, res, next) => {
+    authorizeAdmin(req, res, () => {
+      if (!hasPermission(req.user.admin_role, permission)) {
+        return res.status(403).json({ error: 'Forbidden: insufficient admin role' });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  authenticate,
+  allowApiKey,
+  authorize,
+  authorizeAdmin,
+  requireAdminPermission,
+  requireVerifiedEmail,
+};
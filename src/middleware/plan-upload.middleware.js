@@ -0,0 +1,90 @@
+/**
+ * Multer uploads limited by the signed-in seller's plan: each file may be
+ * at most the plan's file size (config.plans), and never more than
+ * config.upload.maxAssembledBytes since files are buffered in memory.
+ * A field may set its own, smaller `maxBytes` (e.g. cover images).
+ * Must run after authenticate.
+ */
+const multer = require('multer');
+const config = require('../config');
+const planService = require('../services/plan.service');
+
+function _megabytes(bytes) {
+  return Math.floor(bytes / (1024 * 1024));
+}
+
+// Memory storage that stops buffering a file once it exceeds its field's cap.
+function _memoryStorage(maxBytesByField) {
+  return {
+    _handleFile(_req, file, cb) {
+      const maxBytes = maxBytesByField[file.fieldname] ?? Infinity;
+      const chunks = [];
+      let size = 0;
+      let overLimit = false;
+
+      file.stream.on('data', (chunk) => {
+        if (overLimit) return;
+        size += chunk.length;
+        if (size > maxBytes) {
+          overLimit = true;
+          chunks.length = 0;
+          cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      file.stream.on('end', () => {
+        if (!overLimit) cb(null, { buffer: Buffer.concat(chunks, size), size });
+      });
+    },
+    _removeFile(_req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    },
+  };
+}
+
+/**
+ * @param {object} options — multer options (fileFilter, ...); storage is always in memory
+ * @param {Array<{ name: string, maxCount: number, maxBytes?: number }>} fields
+ */
+function planUpload(options, fields) {
+  const maxBytesByField = Object.fromEntries(
+    fields.filter((field) => field.maxBytes != null).map((field) => [field.name, field.maxBytes])
+  );
+
+  return async (req, res, next) => {
+    let plan;
+    let limits;
+    try {
+      ({ plan, limits } = await planService.getSellerPlan(req.user.id));
+    } catch (err) {
+      next(err);
+      return;
+    }
+
+    const maxFileBytes = Math.min(limits.maxFileBytes ?? Infinity, config.upload.maxAssembledBytes);
+    const upload = multer({
+      ...options,
+      storage: _memoryStorage(maxBytesByField),
+      limits: { ...options.limits, fileSize: maxFileBytes },
+    }).fields(fields.map(({ name, maxCount }) => ({ name, maxCount })));
+
+    upload(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') {
+        const fieldMaxBytes = maxBytesByField[err.field];
+        err.status = 413;
+        if (fieldMaxBytes != null && fieldMaxBytes < maxFileBytes) {
+          err.message = `The ${err.field} file must be at most ${_megabytes(fieldMaxBytes)} MB`;
+        } else if (maxFileBytes === limits.maxFileBytes) {
+          err.message = `Files must be at most ${_megabytes(maxFileBytes)} MB on the ${plan} plan`;
+        } else {
+          err.message = `Files must be at most ${_megabytes(maxFileBytes)} MB`;
+        }
+      }
+      next(err);
+    });
+  };
+}
+
+module.exports = { planUpload };
@@ -0,0 +1,113 @@
+/**
+ * Rate limiting and login lockout middleware.
+ *
+ * Usage:
+ *   router.get('/search', rateLimit({ name: 'pdf-search', windowSeconds: 60, max: 60 }), ...)
+ *   router.post('/login', rateLimit(...), loginLockout({ scope: 'user', identify }), ...)
+ *
+ * `rateLimit` buckets by client IP unless `by(req)` returns another key
+ * (e.g. the account id). `loginLockout` watches the response: a 401 counts
+ * as a failed attempt (and is written to audit_logs), a 2xx clears the
+ * account's failures. Blocked requests get 429 with a Retry-After header.
+ *
+ * If the store is unreachable we let the request through rather than take
+ * logins down with it.
+ */
+const rateLimitService = require('../services/rate-limit.service');
+const { logAudit } = require('../services/audit.service');
+
+function _tooMany(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error: message, retry_after: retryAfterSeconds });
+}
+
+function rateLimit({ name, windowSeconds, max, by = null }) {
+  return async (req, res, next) => {
+    const subject = by ? by(req) : req.ip;
+    if (!subject) return next();
+
+    try {
+      const result = await rateLimitService.consume(`rl:${name}:${subject}`, {
+        windowSeconds,
+        max,
+      });
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        return _tooMany(
+          res,
+          result.retryAfterSeconds,
+          'Too many requests, please try again later'
+        );
+      }
+    } catch (err) {
+      console.error('Rate limit store error:', err.message);
+    }
+    next();
+  };
+}
+
+/**
+ * Progressive lockout for a login step.
+ * @param {string} scope         'user' | 'admin' — keeps the buckets apart
+ * @param {Function} identify    req → account identifier (email, admin id, ...) or null;
+ *                               may return a promise
+ * @param {string} auditAction   audit_logs action written for each failure
+ */
+function loginLockout({ scope, identify, auditAction }) {
+  return async (req, res, next) => {
+    let identifier = null;
+    try {
+      identifier = await identify(req);
+    } catch (_err) {
+      identifier = null;
+    }
+    if (!identifier) return next();
+
+    const key = `lockout:${scope}:${String(identifier).trim().toLowerCase()}`;
+
+    try {
+      const lockedForSeconds = await rateLimitService.getLockout(key);
+      if (lockedForSeconds > 0) {
+        return _tooMany(
+          res,
+          lockedForSeconds,
+          `Too many failed attempts. Try again in ${lockedForSeconds} seconds.`
+        );
+      }
+    } catch (err) {
+      console.error('Rate limit store error:', err.message);
+      return next();
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode === 401) {
+        rateLimitService
+          .recordFailure(key)
+          .then(({ failures, lockedForSeconds }) =>
+            logAudit({
+              actorType: scope,
+              actorId: null,
+              action: auditAction,
+              targetType: scope,
+              targetId: String(identifier),
+              metadata: {
+                ip: req.ip || null,
+                user_agent: req.get('user-agent') || null,
+                failures,
+                locked_for_seconds: lockedForSeconds,
+              },
+            })
+          )
+          .catch((err) => console.error('Failed to record login failure:', err.message));
+      } else if (res.statusCode >= 200 && res.statusCode < 300) {
+        rateLimitService.clearFailures(key).catch(() => {});
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = { rateLimit, loginLockout };
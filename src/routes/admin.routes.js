@@ -1,27 +1,132 @@
 const { Router } = require('express');
+const multer = require('multer');
 const controller = require('../controllers/admin.controller');
-const { authenticate, authorizeAdmin } = require('../middleware/auth.middleware');
+const {
+  authenticate,
+  authorizeAdmin,
+  requireAdminPermission,
+} = require('../middleware/auth.middleware');
+const { rateLimit, loginLockout } = require('../middleware/rate-limit.middleware');
+const twoFactorService = require('../services/two-factor.service');
+const adminService = require('../services/admin.service');
 
 const router = Router();
 
-router.post('/login', controller.login);
+// Leaked files can be larger than uploads once watermarked or re-saved.
+const leakUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+      return;
+    }
+    cb(new Error('Only PDF files are allowed'), false);
+  },
+});
+
+const loginLimit = rateLimit({ name: 'admin-login', windowSeconds: 15 * 60, max: 10 });
+const passwordLockout = loginLockout({
+  scope: 'admin',
+  identify: (req) => adminService.resolveLoginSubject(req.body?.id),
+  auditAction: 'admin.login_failed',
+});
+const twoFactorLockout = loginLockout({
+  scope: 'admin',
+  identify: (req) => twoFactorService.verifyChallenge(req.body?.challenge_token, 'admin').id,
+  auditAction: 'admin.two_factor_failed',
+});
+
+router.post('/login', loginLimit, passwordLockout, controller.login);
+router.post('/login/2fa/setup', loginLimit, controller.loginTwoFactorSetup);
+router.post('/login/2fa', loginLimit, twoFactorLockout, controller.loginTwoFactor);
+router.post('/invite/accept', loginLimit, controller.acceptInvite);
 
 router.use(authenticate, authorizeAdmin);
 
-router.get('/moderation', controller.moderationQueue);
-router.get('/moderation/:id/review-url', controller.reviewUrl);
-router.post('/moderation/:id/approve', controller.approve);
-router.post('/moderation/:id/reject', controller.reject);
-router.delete('/products/:id', controller.deleteProduct);
-router.get('/reports', controller.reports);
-router.post('/reports/:id/status', controller.updateReport);
-
-router.get('/users', controller.users);
-router.get('/users/:id', controller.userDetails);
-router.post('/users/:id/ban', controller.banUser);
-router.post('/users/:id/unban', controller.unbanUser);
-
-router.get('/orders', controller.orders);
-router.get('/audit-logs', controller.auditLogs);
+router.get('/me', controller.me);
+router.get('/2fa', controller.twoFactorStatus);
+router.post('/2fa/setup', controller.twoFactorSetup);
+router.post('/2fa/enable', controller.twoFactorEnable);
+router.post('/2fa/disable', controller.twoFactorDisable);
+router.post('/2fa/recovery-codes', controller.twoFactorRecoveryCodes);
+
+router.get('/moderation', requireAdminPermission('moderation'), controller.moderationQueue);
+router.get('/moderation/:id/review-url', requireAdminPermission('moderation'), controller.reviewUrl);
+router.post('/moderation/:id/approve', requireAdminPermission('moderation'), controller.approve);
+router.post('/moderation/:id/reject', requireAdminPermission('moderation'), controller.reject);
+router.get('/moderation/versions', requireAdminPermission('moderation'), controller.versionQueue);
+router.get(
+  '/moderation/versions/:id/review-url',
+  requireAdminPermission('moderation'),
+  controller.versionReviewUrl
+);
+router.post(
+  '/moderation/versions/:id/approve',
+  requireAdminPermission('moderation'),
+  controller.approveVersion
+);
+router.post(
+  '/moderation/versions/:id/reject',
+  requireAdminPermission('moderation'),
+  controller.rejectVersion
+);
+router.get('/moderation/revisions', requireAdminPermission('moderation'), controller.revisionQueue);
+router.get('/moderation/revisions/:id', requireAdminPermission('moderation'), controller.revisionDiff);
+router.post(
+  '/moderation/revisions/:id/approve',
+  requireAdminPermission('moderation'),
+  controller.approveRevision
+);
+router.post(
+  '/moderation/revisions/:id/reject',
+  requireAdminPermission('moderation'),
+  controller.rejectRevision
+);
+router.get('/moderation/bundles', requireAdminPermission('moderation'), controller.bundleQueue);
+router.post(
+  '/moderation/bundles/:id/approve',
+  requireAdminPermission('moderation'),
+  controller.approveBundle
+);
+router.post(
+  '/moderation/bundles/:id/reject',
+  requireAdminPermission('moderation'),
+  controller.rejectBundle
+);
+router.delete('/products/:id', requireAdminPermission('products.delete'), controller.deleteProduct);
+router.get('/reports', requireAdminPermission('reports'), controller.reports);
+router.post('/reports/:id/status', requireAdminPermission('reports'), controller.updateReport);
+router.post(
+  '/leaks/identify',
+  requireAdminPermission('reports'),
+  leakUpload.single('file'),
+  controller.identifyLeak
+);
+router.get('/access/suspicious', requireAdminPermission('reports'), controller.suspiciousAccess);
+router.get(
+  '/purchases/:id/access-events',
+  requireAdminPermission('reports'),
+  controller.purchaseAccessEvents
+);
+
+router.get('/users', requireAdminPermission('users.read'), controller.users);
+router.get('/users/:id', requireAdminPermission('users.read'), controller.userDetails);
+router.post('/users/:id/ban', requireAdminPermission('users.ban'), controller.banUser);
+router.post('/users/:id/unban', requireAdminPermission('users.ban'), controller.unbanUser);
+router.post('/users/:id/plan', requireAdminPermission('users.plan'), controller.setUserPlan);
+
+router.get('/orders', requireAdminPermission('orders.read'), controller.orders);
+router.get('/audit-logs', requireAdminPermission('audit.read'), controller.auditLogs);
+
+// Reconcile storage with the database; deletes old orphans unless dry_run (default true)
+router.post('/storage/gc', requireAdminPermission('storage.manage'), controller.storageGc);
+
+router.get('/admins', requireAdminPermission('admins.manage'), controller.admins);
+router.post('/admins', requireAdminPermission('admins.manage'), controller.inviteAdmin);
+router.post('/admins/:id/role', requireAdminPermission('admins.manage'), controller.updateAdminRole);
+router.post('/admins/:id/disable', requireAdminPermission('admins.manage'), controller.disableAdmin);
+router.post('/admins/:id/enable', requireAdminPermission('admins.manage'), controller.enableAdmin);
+router.post('/admins/:id/reset-2fa', requireAdminPermission('admins.manage'), controller.resetAdminTwoFactor);
 
 module.exports = router;
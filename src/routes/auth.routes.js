@@ -1,16 +1,66 @@
 const { Router } = require('express');
 const controller = require('../controllers/auth.controller');
 const validate = require('../middleware/validate.middleware');
+const { rateLimit, loginLockout } = require('../middleware/rate-limit.middleware');
+const twoFactorService = require('../services/two-factor.service');
 const {
   registerSchema,
   loginSchema,
+  twoFactorLoginSchema,
   googleLoginSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  refreshTokenSchema,
 } = require('../validators/auth.validator');
 
 const router = Router();
 
-router.post('/register', validate(registerSchema), controller.register);
-router.post('/login', validate(loginSchema), controller.login);
-router.post('/google', validate(googleLoginSchema), controller.googleLogin);
+// Per-IP throttles (windows in seconds)
+const loginLimit = rateLimit({ name: 'auth-login', windowSeconds: 15 * 60, max: 20 });
+const twoFactorLimit = rateLimit({ name: 'auth-2fa', windowSeconds: 15 * 60, max: 20 });
+const registerLimit = rateLimit({ name: 'auth-register', windowSeconds: 60 * 60, max: 10 });
+const emailLimit = rateLimit({ name: 'auth-email', windowSeconds: 15 * 60, max: 5 });
+const tokenLimit = rateLimit({ name: 'auth-token', windowSeconds: 15 * 60, max: 60 });
+
+// Per-account progressive lockout
+const passwordLockout = loginLockout({
+  scope: 'user',
+  identify: (req) => req.body.email,
+  auditAction: 'auth.login_failed',
+});
+const twoFactorLockout = loginLockout({
+  scope: 'user',
+  identify: (req) => twoFactorService.verifyChallenge(req.body.challenge_token, 'user').id,
+  auditAction: 'auth.two_factor_failed',
+});
+
+router.post('/register', registerLimit, validate(registerSchema), controller.register);
+router.post('/login', loginLimit, validate(loginSchema), passwordLockout, controller.login);
+router.post(
+  '/login/2fa',
+  twoFactorLimit,
+  validate(twoFactorLoginSchema),
+  twoFactorLockout,
+  controller.loginTwoFactor
+);
+router.post('/google', loginLimit, validate(googleLoginSchema), controller.googleLogin);
+router.post('/verify-email', tokenLimit, validate(verifyEmailSchema), controller.verifyEmail);
+router.post(
+  '/resend-verification',
+  emailLimit,
+  validate(resendVerificationSchema),
+  controller.resendVerification
+);
+router.post(
+  '/forgot-password',
+  emailLimit,
+  validate(forgotPasswordSchema),
+  controller.forgotPassword
+);
+router.post('/reset-password', tokenLimit, validate(resetPasswordSchema), controller.resetPassword);
+router.post('/refresh', tokenLimit, validate(refreshTokenSchema), controller.refresh);
+router.post('/logout', validate(refreshTokenSchema), controller.logout);
 
 module.exports = router;
@@ -0,0 +1,69 @@
+const { Router } = require('express');
+const multer = require('multer');
+const controller = require('../controllers/bundle.controller');
+const {
+  authenticate,
+  allowApiKey,
+  requireVerifiedEmail,
+} = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rate-limit.middleware');
+
+const router = Router();
+
+// Multer for the optional bundle cover (max 5 MB, images only)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (file.fieldname === 'cover' && file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only an image cover is allowed'), false);
+    }
+  },
+});
+
+// Create a bundle of own approved listings (moderated before it goes on sale)
+router.post(
+  '/',
+  allowApiKey('products:write'),
+  authenticate,
+  requireVerifiedEmail,
+  upload.single('cover'),
+  controller.create
+);
+
+// List own bundles
+router.get(
+  '/my',
+  allowApiKey('products:read'),
+  authenticate,
+  controller.myBundles
+);
+
+// Public: lookup by short code (throttled like product codes)
+router.get(
+  '/code/:code',
+  rateLimit({ name: 'bundle-code', windowSeconds: 60, max: 20 }),
+  controller.getByCode
+);
+
+// Public: bundle details with its products
+router.get('/:id', controller.getById);
+
+// Price for the signed-in buyer (products they already own are left out)
+router.get(
+  '/:id/quote',
+  authenticate,
+  controller.quote
+);
+
+// Delete a bundle (seller only; purchases made through it are kept)
+router.delete(
+  '/:id',
+  allowApiKey('products:write'),
+  authenticate,
+  controller.deleteBundle
+);
+
+module.exports = router;
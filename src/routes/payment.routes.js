@@ -6,7 +6,7 @@ const { createOrderSchema } = require('../validators/payment.validator');
 
 const router = Router();
 
-// Create a Razorpay order (any authenticated user)
+// Create a Razorpay order for a product or a bundle (any authenticated user)
 router.post(
   '/create-order',
   authenticate,
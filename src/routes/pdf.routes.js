@@ -1,14 +1,20 @@
-const { Router } = require('express');
-const multer = require('multer');
+const { Router, raw } = require('express');
+const config = require('../config');
 const controller = require('../controllers/pdf.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const {
+  authenticate,
+  allowApiKey,
+  requireVerifiedEmail,
+} = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rate-limit.middleware');
+const { planUpload } = require('../middleware/plan-upload.middleware');
 
 const router = Router();
 
-// Multer memory storage: max 10 MB PDF, max 5 MB optional cover image.
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 },
+// In-memory uploads: the PDF up to the seller's plan file size (planUpload) and an optional
+// cover image (max 5 MB). Larger PDFs should use the resumable upload sessions below.
+const COVER_MAX_BYTES = 5 * 1024 * 1024;
+const uploadOptions = {
   fileFilter: (_req, file, cb) => {
     if (file.fieldname === 'file' && file.mimetype === 'application/pdf') {
       cb(null, true);
@@ -20,22 +26,69 @@ const upload = multer({
     }
     cb(new Error('Only PDF file and image cover are allowed'), false);
   },
-});
+};
 
-// Upload PDF (any authenticated user)
+// Upload PDF (any authenticated user with a verified email; draft=true keeps it out of review)
 router.post(
   '/',
+  allowApiKey('products:write'),
   authenticate,
-  upload.fields([
+  requireVerifiedEmail,
+  planUpload(uploadOptions, [
     { name: 'file', maxCount: 1 },
-    { name: 'cover', maxCount: 1 },
+    { name: 'cover', maxCount: 1, maxBytes: COVER_MAX_BYTES },
   ]),
   controller.create
 );
 
+// Resumable uploads: start a session (file size + SHA-256)
+router.post(
+  '/uploads',
+  allowApiKey('products:write'),
+  authenticate,
+  requireVerifiedEmail,
+  controller.createUpload
+);
+
+// Upload session status (received chunks, to resume after a dropped connection)
+router.get(
+  '/uploads/:sessionId',
+  allowApiKey('products:write'),
+  authenticate,
+  controller.getUpload
+);
+
+// Upload one numbered chunk (raw bytes, application/octet-stream)
+router.put(
+  '/uploads/:sessionId/chunks/:chunkNumber',
+  allowApiKey('products:write'),
+  authenticate,
+  raw({ type: () => true, limit: config.upload.chunkBytes }),
+  controller.putUploadChunk
+);
+
+// Assemble the chunks and create the product (same fields as POST /, optional cover)
+router.post(
+  '/uploads/:sessionId/complete',
+  allowApiKey('products:write'),
+  authenticate,
+  requireVerifiedEmail,
+  planUpload(uploadOptions, [{ name: 'cover', maxCount: 1, maxBytes: COVER_MAX_BYTES }]),
+  controller.completeUpload
+);
+
+// Cancel an upload session and delete its chunks
+router.delete(
+  '/uploads/:sessionId',
+  allowApiKey('products:write'),
+  authenticate,
+  controller.abortUpload
+);
+
 // List own products
 router.get(
   '/my',
+  allowApiKey('products:read'),
   authenticate,
   controller.myProducts
 );
@@ -44,10 +97,18 @@ router.get(
 router.get('/list', controller.list);
 
 // Public: search products by title, description, or code
-router.get('/search', controller.search);
+router.get(
+  '/search',
+  rateLimit({ name: 'pdf-search', windowSeconds: 60, max: 60 }),
+  controller.search
+);
 
-// Public: lookup by short code
-router.get('/code/:code', controller.getByCode);
+// Public: lookup by short code (throttled — codes are short enough to enumerate)
+router.get(
+  '/code/:code',
+  rateLimit({ name: 'pdf-code', windowSeconds: 60, max: 20 }),
+  controller.getByCode
+);
 
 // Public: single product details
 router.get('/:id', controller.getById);
@@ -59,33 +120,92 @@ router.post(
   controller.reportProduct
 );
 
-// Get signed URL to view/download purchased PDF
+// Public: signed URL for the watermarked preview excerpt
+router.get(
+  '/:id/preview',
+  rateLimit({ name: 'pdf-preview', windowSeconds: 60, max: 30 }),
+  controller.preview
+);
+
+// Get a signed URL (view-only: ticketed stream URL) for a purchased PDF (?version=N for an older version)
 router.get(
   '/:id/access',
   authenticate,
   controller.access
 );
 
+// Short-lived ticket for opening the content stream without an auth header (mobile viewer)
+router.post(
+  '/:id/content-ticket',
+  authenticate,
+  controller.contentTicket
+);
+
+// Stream the purchased PDF through the API (Range requests; bearer token or ?ticket=)
+router.get(
+  '/:id/content',
+  (req, res, next) => (req.query.ticket ? next() : authenticate(req, res, next)),
+  controller.content
+);
+
 // Delete a product listing (seller only)
 router.delete(
   '/:id',
+  allowApiKey('products:write'),
   authenticate,
   controller.deleteProduct
 );
 
-// Update full product metadata (seller only)
+// Update full product metadata, cover and preview range (seller only)
 router.put(
   '/:id',
+  allowApiKey('products:write'),
   authenticate,
-  upload.fields([{ name: 'cover', maxCount: 1 }]),
+  planUpload(uploadOptions, [{ name: 'cover', maxCount: 1, maxBytes: COVER_MAX_BYTES }]),
   controller.updateProduct
 );
 
+// Submit a draft for moderation once it is complete (seller only)
+router.post(
+  '/:id/submit',
+  allowApiKey('products:write'),
+  authenticate,
+  requireVerifiedEmail,
+  controller.submitProduct
+);
+
+// Upload a new version of the PDF with a changelog (seller only, moderated)
+router.post(
+  '/:id/versions',
+  allowApiKey('products:write'),
+  authenticate,
+  requireVerifiedEmail,
+  planUpload(uploadOptions, [{ name: 'file', maxCount: 1 }]),
+  controller.createVersion
+);
+
+// Version history (seller: all versions, buyers: approved versions)
+router.get(
+  '/:id/versions',
+  allowApiKey('products:read'),
+  authenticate,
+  controller.listVersions
+);
+
 // Update product price (seller only)
 router.put(
   '/:id/price',
+  allowApiKey('products:write'),
   authenticate,
   controller.updatePrice
 );
 
+// Set when the listing is on sale: publish_at / unpublish_at (seller only)
+router.put(
+  '/:id/schedule',
+  allowApiKey('products:write'),
+  authenticate,
+  controller.updateSchedule
+);
+
 module.exports = router;
@@ -1,6 +1,6 @@
 const { Router } = require('express');
 const controller = require('../controllers/purchase.controller');
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, allowApiKey } = require('../middleware/auth.middleware');
 
 const router = Router();
 
@@ -8,6 +8,6 @@ const router = Router();
 router.get('/my', authenticate, controller.myPurchases);
 
 // List my earnings
-router.get('/earnings', authenticate, controller.sellerEarnings);
+router.get('/earnings', allowApiKey('earnings:read'), authenticate, controller.sellerEarnings);
 
 module.exports = router;
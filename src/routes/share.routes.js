@@ -18,12 +18,13 @@ router.get('/product/:id', async (req, res) => {
     const { id } = req.params;
 
     const result = await pool.query(
-      `SELECT p.id, p.title, p.author_name, p.description, p.price, u.name AS seller_name
+      `SELECT p.id, p.title, p.author_name, p.description, p.price, p.page_count, u.name AS seller_name
        FROM pdf_products p
        JOIN users u ON u.id = p.seller_id
        WHERE p.id = $1
          AND p.is_active = true
-         AND p.review_status = 'approved'`,
+         AND p.review_status = 'approved'
+         AND p.is_published = true`,
       [id]
     );
 
@@ -72,6 +73,7 @@ router.get('/product/:id', async (req, res) => {
     .pdf-icon { font-size: 64px; margin-bottom: 16px; }
     h1 { font-size: 24px; color: #1a1a1a; margin-bottom: 8px; }
     .seller { font-size: 14px; color: #666; margin-bottom: 12px; }
+    .pages { font-size: 13px; color: #888; margin-bottom: 12px; }
     .description { font-size: 15px; color: #444; margin-bottom: 20px; line-height: 1.5; }
     .price {
       font-size: 32px; font-weight: 700; color: #1565C0;
@@ -101,6 +103,7 @@ router.get('/product/:id', async (req, res) => {
     <div class="pdf-icon">📄</div>
     <h1>${product.title}</h1>
     <p class="seller">by ${product.author_name || product.seller_name}</p>
+    ${product.page_count ? `<p class="pages">${product.page_count} page${product.page_count === 1 ? '' : 's'}</p>` : ''}
     ${product.description ? `<p class="description">${product.description}</p>` : ''}
     <div class="price">₹${price}</div>
     <a class="btn" id="openApp" href="${deepLink}">Open in App</a>
@@ -0,0 +1,16 @@
+/**
+ * Signed file URLs for the local storage driver.
+ *
+ *   GET /api/storage/<path>?expires=<unix seconds>&sig=<hmac>
+ *
+ * The signature is the only credential, like a Supabase or S3 signed URL.
+ * With any other driver every request is rejected.
+ */
+const { Router } = require('express');
+const controller = require('../controllers/storage.controller');
+
+const router = Router();
+
+router.get('/*', controller.serve);
+
+module.exports = router;
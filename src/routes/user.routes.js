@@ -2,6 +2,13 @@ const { Router } = require('express');
 const multer = require('multer');
 const controller = require('../controllers/user.controller');
 const { authenticate } = require('../middleware/auth.middleware');
+const validate = require('../middleware/validate.middleware');
+const {
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
+} = require('../validators/user.validator');
 
 const router = Router();
 
@@ -21,6 +28,9 @@ const upload = multer({
 // Get user profile
 router.get('/profile', authenticate, controller.getProfile);
 
+// Seller plan limits and usage (listings, storage, file size, commission)
+router.get('/limits', authenticate, controller.getLimits);
+
 // Update user name
 router.put('/profile/name', authenticate, controller.updateName);
 
@@ -32,4 +42,42 @@ router.post(
   controller.uploadProfilePicture
 );
 
+// Change password (or set a first one for Google accounts)
+router.put(
+  '/password',
+  authenticate,
+  validate(changePasswordSchema),
+  controller.changePassword
+);
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', authenticate, controller.twoFactorStatus);
+router.post('/2fa/setup', authenticate, controller.twoFactorSetup);
+router.post('/2fa/enable', authenticate, validate(twoFactorCodeSchema), controller.twoFactorEnable);
+router.post('/2fa/disable', authenticate, validate(twoFactorCodeSchema), controller.twoFactorDisable);
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  validate(twoFactorCodeSchema),
+  controller.twoFactorRecoveryCodes
+);
+
+// Seller API keys (manage with a normal login, not with a key)
+router.get('/api-keys', authenticate, controller.listApiKeys);
+router.post('/api-keys', authenticate, validate(createApiKeySchema), controller.createApiKey);
+router.delete('/api-keys/:id', authenticate, controller.revokeApiKey);
+
+// List signed-in devices
+router.get('/sessions', authenticate, controller.listSessions);
+
+// Sign out a device
+router.delete('/sessions/:id', authenticate, controller.revokeSession);
+
+// Download a copy of my data (?format=zip for a ZIP bundle)
+router.get('/export', authenticate, controller.exportData);
+
+// Schedule account deletion (after a grace period) / cancel it
+router.delete('/account', authenticate, validate(deleteAccountSchema), controller.deleteAccount);
+router.post('/account/cancel-deletion', authenticate, controller.cancelAccountDeletion);
+
 module.exports = router;
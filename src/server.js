@@ -6,6 +6,8 @@ const path = require('path');
 const app = require('./app');
 const config = require('./config');
 const pool = require('./database/pool');
+const adminService = require('./services/admin.service');
+const { startJobs } = require('./jobs');
 
 async function initializeDatabase() {
   try {
@@ -32,6 +34,14 @@ async function start() {
   // Auto-initialize database schema (safe to run multiple times)
   await initializeDatabase();
 
+  try {
+    await adminService.ensureBootstrapAdmin();
+  } catch (err) {
+    console.error('⚠️  Admin bootstrap error:', err.message);
+  }
+
+  startJobs();
+
   const host = process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost';
   app.listen(config.port, host, () => {
     console.log(`🚀  Server running on http://${host}:${config.port}  [${config.nodeEnv}]`);
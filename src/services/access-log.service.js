@@ -0,0 +1,103 @@
+/**
+ * Access log — one `access_events` row per granted access to a purchased
+ * PDF, and enforcement of the seller's download caps.
+ *
+ * A cap counts every recorded access of the purchase: `max_downloads` over
+ * its lifetime, `max_downloads_per_day` over the last 24 hours, so the log
+ * is also the counter. When a cap applies, the check and the insert run in
+ * a transaction holding the purchase row lock: concurrent requests for the
+ * same purchase are counted one after another and cannot overshoot it.
+ */
+const pool = require('../database/pool');
+
+const MAX_DOWNLOAD_CAP = 10000;
+
+/**
+ * Validate a seller-provided cap. Empty means unlimited (null).
+ */
+function normalizeDownloadCap(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const cap = Number(value);
+  if (!Number.isInteger(cap) || cap < 1 || cap > MAX_DOWNLOAD_CAP) {
+    const err = new Error(`${label} must be a whole number between 1 and ${MAX_DOWNLOAD_CAP}`);
+    err.status = 400;
+    throw err;
+  }
+  return cap;
+}
+
+/**
+ * Record an access, or throw if it would exceed the product's caps.
+ *
+ * @param {object} purchase  — { id, buyer_id }
+ * @param {object} product   — { id, max_downloads, max_downloads_per_day }
+ * @param {object} event     — { eventType, versionNumber, client: { ipAddress, userAgent, platform } }
+ */
+async function recordAccess(purchase, product, { eventType, versionNumber = null, client = {} }) {
+  const platform = client.platform ? String(client.platform).toLowerCase().slice(0, 20) : null;
+  const capped = product.max_downloads != null || product.max_downloads_per_day != null;
+
+  const db = capped ? await pool.connect() : pool;
+  let result;
+  try {
+    if (capped) {
+      await db.query('BEGIN');
+      await db.query('SELECT id FROM purchases WHERE id = $1 FOR UPDATE', [purchase.id]);
+    }
+    result = await db.query(
+      `INSERT INTO access_events (purchase_id, product_id, buyer_id, event_type, version_number,
+                                  ip_address, user_agent, platform)
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8
+       WHERE ($9::int IS NULL
+              OR (SELECT COUNT(*) FROM access_events WHERE purchase_id = $1) < $9)
+         AND ($10::int IS NULL
+              OR (SELECT COUNT(*) FROM access_events
+                  WHERE purchase_id = $1 AND created_at > NOW() - INTERVAL '1 day') < $10)
+       RETURNING id`,
+      [
+        purchase.id,
+        product.id,
+        purchase.buyer_id,
+        eventType,
+        versionNumber,
+        client.ipAddress || null,
+        client.userAgent || null,
+        platform,
+        product.max_downloads ?? null,
+        product.max_downloads_per_day ?? null,
+      ]
+    );
+    if (capped) await db.query('COMMIT');
+  } catch (err) {
+    if (capped) await db.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    if (capped) db.release();
+  }
+
+  if (result.rows.length > 0) return;
+
+  const countRes = await pool.query(
+    'SELECT COUNT(*)::int AS total FROM access_events WHERE purchase_id = $1',
+    [purchase.id]
+  );
+  if (product.max_downloads != null && countRes.rows[0].total >= product.max_downloads) {
+    const err = new Error(
+      `You have used all ${product.max_downloads} downloads allowed for this PDF`
+    );
+    err.status = 403;
+    throw err;
+  }
+
+  const err = new Error(
+    `Daily limit of ${product.max_downloads_per_day} downloads reached for this PDF, try again later`
+  );
+  err.status = 429;
+  throw err;
+}
+
+module.exports = {
+  MAX_DOWNLOAD_CAP,
+  normalizeDownloadCap,
+  recordAccess,
+};
@@ -1,54 +1,857 @@
+/**
+ * Admin service — admin accounts, moderation, users, orders and reports.
+ *
+ * Admin accounts live in the `admins` table (bcrypt hashes, one role each,
+ * see config/permissions.js). The first superadmin is seeded from
+ * ADMIN_ID / ADMIN_PASSWORD when the table is empty; everyone else is
+ * invited by a superadmin and sets their own password.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const pool = require('../database/pool');
 const config = require('../config');
-const supabase = require('../config/supabase');
+const storage = require('./storage.service');
+const { ADMIN_ROLES } = require('../config/permissions');
+const { SELLER_PLANS } = require('../config/plans');
 const { logAudit } = require('./audit.service');
+const sessionService = require('./session.service');
+const { sendMail } = require('./mail.service');
+const twoFactorService = require('./two-factor.service');
+const { extractWatermark } = require('./pdf-watermark.service');
+const { fingerprintStoredVersions } = require('./pdf-fingerprint.service');
+const pdfService = require('./pdf.service');
+const { MIN_BUNDLE_ITEMS } = require('./bundle.service');
 const ADMIN_REVIEW_URL_EXPIRY_SECONDS = 600;
+const SALT_ROUNDS = 12;
+const ADMIN_INVITE_TTL_HOURS = 72;
+const MIN_ADMIN_PASSWORD_LENGTH = 10;
+// Leak signals on access_events (overridable per request).
+const SUSPICIOUS_ACCESS_DEFAULTS = {
+  days: 7,
+  minDistinctIps: 5,
+  burstCount: 15,
+  burstWindowMinutes: 10,
+};
+
+const ADMIN_PUBLIC_COLUMNS =
+  'id, username, email, name, role, is_active, invited_by, last_login_at, created_at, updated_at';
+
+/**
+ * Lockout key for an admin password login. Login accepts the username or the
+ * email, so both resolve to the lower-cased username and share one failure
+ * budget; unknown identifiers are keyed by themselves. (Not the admin id:
+ * that is the 2FA step's key, and a correct password would clear it.)
+ */
+async function resolveLoginSubject(adminId) {
+  const identifier = String(adminId || '').trim().toLowerCase();
+  if (!identifier) return null;
+
+  const result = await pool.query(
+    'SELECT LOWER(username) AS username FROM admins WHERE LOWER(username) = $1 OR LOWER(email) = $1',
+    [identifier]
+  );
+  return result.rows[0]?.username || identifier;
+}
+
+async function login({ adminId, password }) {
+  const identifier = String(adminId || '').trim().toLowerCase();
+  const result = await pool.query(
+    `SELECT id, username, email, name, role, is_active, password_hash
+     FROM admins
+     WHERE LOWER(username) = $1 OR LOWER(email) = $1`,
+    [identifier]
+  );
+
+  const admin = result.rows[0];
+  const valid =
+    admin && admin.password_hash && password
+      ? await bcrypt.compare(String(password), admin.password_hash)
+      : false;
+
+  // Failed attempts are audited (with IP) by the loginLockout middleware.
+  if (!valid || !admin.is_active) {
+    const err = new Error('Invalid admin credentials');
+    err.status = 401;
+    throw err;
+  }
+
+  // Password is correct — a second factor is still required.
+  if (await twoFactorService.isEnabled('admin', admin.id)) {
+    return {
+      two_factor_required: true,
+      challenge_token: twoFactorService.createChallenge('admin', admin.id, 'verify'),
+    };
+  }
+  if (config.twoFactor.requireForAdmins) {
+    return {
+      two_factor_setup_required: true,
+      challenge_token: twoFactorService.createChallenge('admin', admin.id, 'setup'),
+    };
+  }
+
+  return _issueAdminToken(admin);
+}
+
+/**
+ * Mandatory 2FA enrolment during login: returns the TOTP secret and
+ * provisioning URI for an admin holding a 'setup' challenge.
+ */
+async function loginTwoFactorSetup({ challengeToken }) {
+  const { id, purpose } = twoFactorService.verifyChallenge(challengeToken, 'admin');
+  if (purpose !== 'setup') {
+    const err = new Error('Two-factor authentication is already set up');
+    err.status = 409;
+    throw err;
+  }
+
+  const admin = await _getActiveAdminForLogin(id);
+  return twoFactorService.startEnrollment('admin', admin.id, admin.username);
+}
+
+/**
+ * Second login step. For a 'setup' challenge the code also confirms
+ * enrolment and the response includes the new recovery codes.
+ */
+async function loginTwoFactor({ challengeToken, code }) {
+  const { id, purpose } = twoFactorService.verifyChallenge(challengeToken, 'admin');
+  const admin = await _getActiveAdminForLogin(id);
+
+  if (purpose === 'setup') {
+    const { recovery_codes: recoveryCodes } = await twoFactorService.confirmEnrollment(
+      'admin',
+      admin.id,
+      code
+    );
+    const data = await _issueAdminToken(admin);
+    return { ...data, recovery_codes: recoveryCodes };
+  }
+
+  const valid = await twoFactorService.verifyCode('admin', admin.id, code);
+  if (!valid) {
+    const err = new Error('Invalid two-factor code');
+    err.status = 401;
+    throw err;
+  }
+
+  return _issueAdminToken(admin);
+}
+
+async function _getActiveAdminForLogin(adminId) {
+  const result = await pool.query(
+    'SELECT id, username, email, name, role, is_active FROM admins WHERE id::text = $1',
+    [adminId]
+  );
+  if (result.rows.length === 0 || !result.rows[0].is_active) {
+    const err = new Error('Invalid admin credentials');
+    err.status = 401;
+    throw err;
+  }
+  return result.rows[0];
+}
+
+async function _issueAdminToken(admin) {
+  await pool.query('UPDATE admins SET last_login_at = NOW() WHERE id = $1', [admin.id]);
+
+  const token = jwt.sign(
+    { id: admin.id, email: admin.email, role: 'admin', admin_role: admin.role },
+    config.jwt.secret,
+    { expiresIn: config.jwt.adminExpiresIn }
+  );
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: admin.id,
+    action: 'admin.login',
+    metadata: { success: true, admin_role: admin.role },
+  }).catch(() => {});
+
+  return {
+    token,
+    admin: { id: admin.id, username: admin.username, name: admin.name, role: admin.role },
+  };
+}
+
+async function getTwoFactorStatus(adminId) {
+  return {
+    enabled: await twoFactorService.isEnabled('admin', adminId),
+    required: config.twoFactor.requireForAdmins,
+  };
+}
+
+async function startTwoFactorSetup(adminId) {
+  const admin = await getAdmin(adminId);
+  return twoFactorService.startEnrollment('admin', admin.id, admin.username);
+}
+
+async function enableTwoFactor(adminId, code) {
+  return twoFactorService.confirmEnrollment('admin', adminId, code);
+}
+
+async function disableTwoFactor(adminId, code) {
+  if (config.twoFactor.requireForAdmins) {
+    const err = new Error('Two-factor authentication is mandatory for admin accounts');
+    err.status = 400;
+    throw err;
+  }
+  return twoFactorService.disable('admin', adminId, code);
+}
+
+async function regenerateRecoveryCodes(adminId, code) {
+  return twoFactorService.regenerateRecoveryCodes('admin', adminId, code);
+}
+
+/**
+ * Superadmin override for an admin who lost their authenticator.
+ * They will be asked to enrol again on next login.
+ */
+async function resetAdminTwoFactor({ targetAdminId, adminId }) {
+  const target = await getAdmin(targetAdminId);
+  await twoFactorService.reset('admin', target.id);
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'two_factor.reset',
+    targetType: 'admin',
+    targetId: target.id,
+  }).catch(() => {});
+
+  return { reset: true, admin_id: target.id };
+}
+
+/**
+ * Seed the first superadmin from ADMIN_ID / ADMIN_PASSWORD.
+ * Runs on startup and does nothing once any admin exists.
+ */
+async function ensureBootstrapAdmin() {
+  const countRes = await pool.query('SELECT COUNT(*)::int AS total FROM admins');
+  if ((countRes.rows[0]?.total || 0) > 0) return null;
+
+  const { bootstrapId, bootstrapPassword } = config.admin;
+  if (!bootstrapId || !bootstrapPassword) {
+    console.warn('⚠️  No admin accounts exist. Set ADMIN_ID and ADMIN_PASSWORD to seed a superadmin.');
+    return null;
+  }
+  if (bootstrapPassword.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    console.warn(
+      `⚠️  ADMIN_PASSWORD must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters; superadmin not seeded.`
+    );
+    return null;
+  }
+
+  const passwordHash = await bcrypt.hash(bootstrapPassword, SALT_ROUNDS);
+  const result = await pool.query(
+    `INSERT INTO admins (username, email, name, role, password_hash)
+     VALUES ($1, $2, $3, 'superadmin', $4)
+     ON CONFLICT DO NOTHING
+     RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+    [bootstrapId, `${bootstrapId}@admin.local`, bootstrapId, passwordHash]
+  );
+
+  if (result.rows.length > 0) {
+    await logAudit({
+      actorType: 'system',
+      action: 'admin.bootstrap',
+      targetType: 'admin',
+      targetId: result.rows[0].id,
+    }).catch(() => {});
+  }
+
+  return result.rows[0] || null;
+}
+
+async function getAdmin(adminId) {
+  const result = await pool.query(
+    `SELECT ${ADMIN_PUBLIC_COLUMNS} FROM admins WHERE id::text = $1`,
+    [adminId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Admin not found');
+    err.status = 404;
+    throw err;
+  }
+
+  return result.rows[0];
+}
+
+async function listAdmins() {
+  const result = await pool.query(
+    `SELECT ${ADMIN_PUBLIC_COLUMNS},
+            (password_hash IS NULL) AS invite_pending
+     FROM admins
+     ORDER BY created_at ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Invite a new admin. They receive an email with a link to set a password.
+ */
+async function inviteAdmin({ username, email, name, role, adminId }) {
+  const normalizedUsername = String(username || '').trim().toLowerCase();
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  const trimmedName = String(name || '').trim() || normalizedUsername;
+
+  if (!/^[a-z0-9._-]{3,50}$/.test(normalizedUsername)) {
+    const err = new Error('Username must be 3-50 characters (letters, digits, . _ -)');
+    err.status = 400;
+    throw err;
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    const err = new Error('A valid email is required');
+    err.status = 400;
+    throw err;
+  }
+  _assertValidRole(role);
+
+  const existing = await pool.query(
+    'SELECT id FROM admins WHERE LOWER(username) = $1 OR LOWER(email) = $2',
+    [normalizedUsername, normalizedEmail]
+  );
+  if (existing.rows.length > 0) {
+    const err = new Error('An admin with this username or email already exists');
+    err.status = 409;
+    throw err;
+  }
+
+  const inviteToken = crypto.randomBytes(32).toString('base64url');
+  const result = await pool.query(
+    `INSERT INTO admins (username, email, name, role, invited_by, invite_token_hash, invite_expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7::int))
+     RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+    [
+      normalizedUsername,
+      normalizedEmail,
+      trimmedName,
+      role,
+      adminId,
+      _hashToken(inviteToken),
+      ADMIN_INVITE_TTL_HOURS,
+    ]
+  );
+  const invited = result.rows[0];
+
+  const link = `${config.mail.adminInviteUrl}?token=${encodeURIComponent(inviteToken)}`;
+  await sendMail({
+    to: normalizedEmail,
+    subject: 'You have been invited to the NoteBay admin panel',
+    text:
+      `Hi ${trimmedName},\n\n` +
+      `You have been invited as ${role}. Your username is "${normalizedUsername}".\n` +
+      `Set your password here:\n${link}\n\n` +
+      `This link expires in ${ADMIN_INVITE_TTL_HOURS} hours.`,
+  }).catch((err) => {
+    console.error('Failed to send admin invite email:', err.message);
+  });
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'admin.invite',
+    targetType: 'admin',
+    targetId: invited.id,
+    metadata: { username: normalizedUsername, role },
+  }).catch(() => {});
+
+  return invited;
+}
+
+/**
+ * Accept an invite by choosing a password.
+ */
+async function acceptInvite({ token, password }) {
+  if (!password || String(password).length < MIN_ADMIN_PASSWORD_LENGTH) {
+    const err = new Error(`Password must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`);
+    err.status = 400;
+    throw err;
+  }
+
+  const passwordHash = await bcrypt.hash(String(password), SALT_ROUNDS);
+  const result = await pool.query(
+    `UPDATE admins
+     SET password_hash = $2,
+         invite_token_hash = NULL,
+         invite_expires_at = NULL,
+         updated_at = NOW()
+     WHERE invite_token_hash = $1
+       AND invite_expires_at > NOW()
+       AND is_active = true
+     RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+    [_hashToken(token), passwordHash]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Invite link is invalid or has expired');
+    err.status = 400;
+    throw err;
+  }
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: result.rows[0].id,
+    action: 'admin.invite_accepted',
+    targetType: 'admin',
+    targetId: result.rows[0].id,
+  }).catch(() => {});
+
+  return result.rows[0];
+}
+
+async function updateAdminRole({ targetAdminId, role, adminId }) {
+  _assertValidRole(role);
+  if (String(targetAdminId) === String(adminId)) {
+    const err = new Error('You cannot change your own role');
+    err.status = 400;
+    throw err;
+  }
+
+  const target = await getAdmin(targetAdminId);
+  if (target.role === 'superadmin' && role !== 'superadmin') {
+    await _assertAnotherActiveSuperadmin(target.id);
+  }
+
+  const result = await pool.query(
+    `UPDATE admins
+     SET role = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+    [target.id, role]
+  );
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'admin.change_role',
+    targetType: 'admin',
+    targetId: target.id,
+    metadata: { from: target.role, to: role },
+  }).catch(() => {});
+
+  return result.rows[0];
+}
+
+async function setAdminActive({ targetAdminId, isActive, adminId }) {
+  if (String(targetAdminId) === String(adminId)) {
+    const err = new Error('You cannot disable or enable your own account');
+    err.status = 400;
+    throw err;
+  }
+
+  const target = await getAdmin(targetAdminId);
+  if (!isActive && target.role === 'superadmin') {
+    await _assertAnotherActiveSuperadmin(target.id);
+  }
+
+  const result = await pool.query(
+    `UPDATE admins
+     SET is_active = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+    [target.id, isActive]
+  );
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: isActive ? 'admin.enable' : 'admin.disable',
+    targetType: 'admin',
+    targetId: target.id,
+  }).catch(() => {});
+
+  return result.rows[0];
+}
+
+function _assertValidRole(role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    const err = new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+async function _assertAnotherActiveSuperadmin(excludeAdminId) {
+  const res = await pool.query(
+    `SELECT COUNT(*)::int AS total
+     FROM admins
+     WHERE role = 'superadmin' AND is_active = true AND id <> $1`,
+    [excludeAdminId]
+  );
+  if ((res.rows[0]?.total || 0) === 0) {
+    const err = new Error('At least one active superadmin is required');
+    err.status = 400;
+    throw err;
+  }
+}
+
+function _hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Listings awaiting (or past) review. Listings whose file copies another
+ * seller's carry `duplicate_*` columns naming the original; `flagged`
+ * returns only those.
+ */
+async function listModerationQueue({
+  status = 'pending_review',
+  flagged = false,
+  page = 1,
+  limit = 20,
+}) {
+  const offset = (page - 1) * limit;
+  const values = [];
+  const conditions = [];
+
+  if (status && status !== 'all') {
+    values.push(status);
+    conditions.push(`p.review_status = $${values.length}`);
+  }
+  if (flagged) conditions.push('fv.duplicate_match IS NOT NULL');
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  values.push(limit);
+  values.push(offset);
+
+  const result = await pool.query(
+    `SELECT p.id, p.title, p.author_name, p.description, p.price, p.mrp,
+            p.page_count, p.pdf_version, p.doc_title, p.doc_author, p.has_text_layer,
+            p.scan_status, p.scan_findings, p.scan_engine, p.scanned_at,
+            p.review_status, p.rejection_reason, p.is_active, p.created_at,
+            u.id AS seller_id, u.name AS seller_name, u.email AS seller_email,
+            fv.duplicate_match, fv.duplicate_similarity, fv.duplicate_of_product_id,
+            dup.title AS duplicate_of_title, dup.review_status AS duplicate_of_review_status,
+            dup_seller.id AS duplicate_of_seller_id, dup_seller.name AS duplicate_of_seller_name
+     FROM pdf_products p
+     JOIN users u ON u.id = p.seller_id
+     LEFT JOIN pdf_versions fv
+       ON fv.product_id = p.id AND fv.version_number = p.current_version_number
+     LEFT JOIN pdf_products dup ON dup.id = fv.duplicate_of_product_id
+     LEFT JOIN users dup_seller ON dup_seller.id = dup.seller_id
+     ${whereClause}
+     ORDER BY p.created_at DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+/**
+ * Add a listing's files (or one version's file) to banned_files so exact
+ * re-uploads are rejected automatically.
+ */
+async function _banFiles({ productId = null, versionId = null, reason, adminId }) {
+  const versionsRes = await pool.query(
+    `SELECT id FROM pdf_versions
+     WHERE (product_id = $1 OR id = $2) AND fingerprinted_at IS NULL`,
+    [productId, versionId]
+  );
+  if (versionsRes.rows.length > 0) {
+    await fingerprintStoredVersions(versionsRes.rows.map((row) => row.id));
+  }
+
+  const result = await pool.query(
+    `INSERT INTO banned_files (file_sha256, product_id, title, reason, banned_by)
+     SELECT DISTINCT ON (v.file_sha256) v.file_sha256, p.id, p.title, $3, $4
+     FROM pdf_versions v
+     JOIN pdf_products p ON p.id = v.product_id
+     WHERE (v.product_id = $1 OR v.id = $2) AND v.file_sha256 IS NOT NULL
+     ON CONFLICT (file_sha256) DO NOTHING`,
+    [productId, versionId, reason, adminId]
+  );
+  return result.rowCount;
+}
+
+async function approveProduct({ productId, adminId }) {
+  const result = await pool.query(
+    `UPDATE pdf_products
+     SET review_status = 'approved',
+         rejection_reason = NULL,
+         reviewed_by = $2,
+         reviewed_at = NOW(),
+         is_active = true,
+         updated_at = NOW()
+     WHERE id = $1 AND review_status <> 'draft'
+     RETURNING id, title, review_status`,
+    [productId, adminId]
+  );
+
+  if (result.rows.length === 0) {
+    // Drafts have not been submitted by the seller yet.
+    const err = new Error('Product not found or still a draft');
+    err.status = 404;
+    throw err;
+  }
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'moderation.approve',
+    targetType: 'pdf_product',
+    targetId: productId,
+  }).catch(() => {});
+
+  return result.rows[0];
+}
+
+/**
+ * Reject a listing. With `banContent` its files are also banned, so
+ * re-uploads of them (by anyone) are rejected on upload.
+ */
+async function rejectProduct({ productId, adminId, reason, banContent = false }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    const err = new Error('Rejection reason is required');
+    err.status = 400;
+    throw err;
+  }
+
+  const result = await pool.query(
+    `UPDATE pdf_products
+     SET review_status = 'rejected',
+         rejection_reason = $3,
+         reviewed_by = $2,
+         reviewed_at = NOW(),
+         is_active = false,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, title, review_status, rejection_reason`,
+    [productId, adminId, trimmedReason]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Product not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const bannedFiles = banContent
+    ? await _banFiles({ productId, reason: trimmedReason, adminId })
+    : 0;
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'moderation.reject',
+    targetType: 'pdf_product',
+    targetId: productId,
+    metadata: { reason: trimmedReason, ban_content: Boolean(banContent) },
+  }).catch(() => {});
+
+  return { ...result.rows[0], banned_files: bannedFiles };
+}
+
+/**
+ * New file versions of listed products awaiting (or past) review.
+ */
+async function listVersionQueue({
+  status = 'pending_review',
+  flagged = false,
+  page = 1,
+  limit = 20,
+}) {
+  const offset = (page - 1) * limit;
+  const values = [];
+  const conditions = [];
+
+  if (status && status !== 'all') {
+    values.push(status);
+    conditions.push(`v.review_status = $${values.length}`);
+  }
+  if (flagged) conditions.push('v.duplicate_match IS NOT NULL');
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  values.push(limit);
+  values.push(offset);
+
+  const result = await pool.query(
+    `SELECT v.id, v.product_id, v.version_number, v.changelog, v.file_size,
+            v.page_count, v.pdf_version, v.doc_title, v.doc_author, v.has_text_layer,
+            v.scan_status, v.scan_findings, v.scan_engine,
+            v.review_status, v.rejection_reason, v.created_at,
+            p.title AS product_title, p.current_version_number,
+            p.page_count AS current_page_count,
+            u.id AS seller_id, u.name AS seller_name, u.email AS seller_email,
+            v.duplicate_match, v.duplicate_similarity, v.duplicate_of_product_id,
+            dup.title AS duplicate_of_title, dup.review_status AS duplicate_of_review_status,
+            dup_seller.id AS duplicate_of_seller_id, dup_seller.name AS duplicate_of_seller_name
+     FROM pdf_versions v
+     JOIN pdf_products p ON p.id = v.product_id
+     JOIN users u ON u.id = p.seller_id
+     LEFT JOIN pdf_products dup ON dup.id = v.duplicate_of_product_id
+     LEFT JOIN users dup_seller ON dup_seller.id = dup.seller_id
+     ${whereClause}
+     ORDER BY v.created_at DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return result.rows;
+}
+
+async function getVersionReviewUrl({ versionId, adminId }) {
+  const versionRes = await pool.query(
+    `SELECT v.id, v.product_id, v.version_number, v.file_path, v.review_status, p.title
+     FROM pdf_versions v
+     JOIN pdf_products p ON p.id = v.product_id
+     WHERE v.id = $1`,
+    [versionId]
+  );
+
+  if (versionRes.rows.length === 0) {
+    const err = new Error('Version not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const version = versionRes.rows[0];
+  const { data, error } = await storage.createSignedUrl(
+    version.file_path,
+    ADMIN_REVIEW_URL_EXPIRY_SECONDS
+  );
+
+  if (error || !data?.signedUrl) {
+    const err = new Error(`Failed to generate review URL: ${error?.message || 'unknown error'}`);
+    err.status = 500;
+    throw err;
+  }
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'moderation.version_preview',
+    targetType: 'pdf_version',
+    targetId: versionId,
+    metadata: { product_id: version.product_id, version_number: version.version_number },
+  }).catch(() => {});
 
-async function login({ adminId, password }) {
-  if (adminId !== config.admin.id || password !== config.admin.password) {
-    const err = new Error('Invalid admin credentials');
-    err.status = 401;
+  return {
+    version_id: version.id,
+    product_id: version.product_id,
+    version_number: version.version_number,
+    title: version.title,
+    review_status: version.review_status,
+    signed_url: data.signedUrl,
+    expires_in: ADMIN_REVIEW_URL_EXPIRY_SECONDS,
+  };
+}
+
+/**
+ * Approve a pending version and make it the product's current file.
+ */
+async function approveVersion({ versionId, adminId }) {
+  const result = await pool.query(
+    `UPDATE pdf_versions
+     SET review_status = 'approved',
+         rejection_reason = NULL,
+         reviewed_by = $2,
+         reviewed_at = NOW()
+     WHERE id = $1 AND review_status = 'pending_review'
+     RETURNING *`,
+    [versionId, adminId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Version not found or already reviewed');
+    err.status = 404;
     throw err;
   }
 
-  const token = jwt.sign(
-    { id: adminId, email: `${adminId}@admin.local`, role: 'admin' },
-    config.jwt.secret,
-    { expiresIn: config.jwt.expiresIn }
+  const version = result.rows[0];
+  await pdfService.publishVersion(version);
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'moderation.version_approve',
+    targetType: 'pdf_version',
+    targetId: versionId,
+    metadata: { product_id: version.product_id, version_number: version.version_number },
+  }).catch(() => {});
+
+  return {
+    id: version.id,
+    product_id: version.product_id,
+    version_number: version.version_number,
+    review_status: version.review_status,
+  };
+}
+
+async function rejectVersion({ versionId, adminId, reason, banContent = false }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    const err = new Error('Rejection reason is required');
+    err.status = 400;
+    throw err;
+  }
+
+  const result = await pool.query(
+    `UPDATE pdf_versions
+     SET review_status = 'rejected',
+         rejection_reason = $3,
+         reviewed_by = $2,
+         reviewed_at = NOW()
+     WHERE id = $1 AND review_status = 'pending_review'
+     RETURNING id, product_id, version_number, review_status, rejection_reason`,
+    [versionId, adminId, trimmedReason]
   );
 
+  if (result.rows.length === 0) {
+    const err = new Error('Version not found or already reviewed');
+    err.status = 404;
+    throw err;
+  }
+
+  const bannedFiles = banContent
+    ? await _banFiles({ versionId, reason: trimmedReason, adminId })
+    : 0;
+
   await logAudit({
     actorType: 'admin',
     actorId: adminId,
-    action: 'admin.login',
-    metadata: { success: true },
+    action: 'moderation.version_reject',
+    targetType: 'pdf_version',
+    targetId: versionId,
+    metadata: {
+      product_id: result.rows[0].product_id,
+      version_number: result.rows[0].version_number,
+      reason: trimmedReason,
+      ban_content: Boolean(banContent),
+    },
   }).catch(() => {});
 
-  return { token, admin: { id: adminId, role: 'admin' } };
+  return { ...result.rows[0], banned_files: bannedFiles };
 }
 
-async function listModerationQueue({ status = 'pending_review', page = 1, limit = 20 }) {
+/**
+ * Pending edits to approved listings. The listings themselves stay on sale
+ * while these wait.
+ */
+async function listRevisionQueue({ status = 'pending_review', page = 1, limit = 20 }) {
   const offset = (page - 1) * limit;
   const values = [];
   let whereClause = '';
 
   if (status && status !== 'all') {
     values.push(status);
-    whereClause = `WHERE p.review_status = $${values.length}`;
+    whereClause = `WHERE r.review_status = $${values.length}`;
   }
 
   values.push(limit);
   values.push(offset);
 
   const result = await pool.query(
-    `SELECT p.id, p.title, p.author_name, p.description, p.price, p.mrp,
-            p.review_status, p.rejection_reason, p.is_active, p.created_at,
+    `SELECT r.id, r.product_id, r.review_status, r.rejection_reason,
+            r.created_at, r.updated_at,
+            p.title AS product_title, r.title AS proposed_title, p.is_active,
             u.id AS seller_id, u.name AS seller_name, u.email AS seller_email
-     FROM pdf_products p
+     FROM product_revisions r
+     JOIN pdf_products p ON p.id = r.product_id
      JOIN users u ON u.id = p.seller_id
      ${whereClause}
-     ORDER BY p.created_at DESC
+     ORDER BY r.created_at DESC
      LIMIT $${values.length - 1} OFFSET $${values.length}`,
     values
   );
@@ -56,38 +859,290 @@ async function listModerationQueue({ status = 'pending_review', page = 1, limit
   return result.rows;
 }
 
-async function approveProduct({ productId, adminId }) {
+async function _signedReviewUrl(storagePath) {
+  if (!storagePath) return null;
+  const { data, error } = await storage.createSignedUrl(storagePath, ADMIN_REVIEW_URL_EXPIRY_SECONDS);
+  return error ? null : data?.signedUrl || null;
+}
+
+/**
+ * A revision with a field-by-field comparison against the live listing.
+ * `changes` lists only the fields that differ; cover and preview changes
+ * come with signed URLs for both sides.
+ */
+async function getRevisionDiff({ revisionId }) {
+  const revisionRes = await pool.query(
+    `SELECT r.*, u.id AS seller_id, u.name AS seller_name, u.email AS seller_email
+     FROM product_revisions r
+     JOIN pdf_products p ON p.id = r.product_id
+     JOIN users u ON u.id = p.seller_id
+     WHERE r.id = $1`,
+    [revisionId]
+  );
+
+  if (revisionRes.rows.length === 0) {
+    const err = new Error('Revision not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const revision = revisionRes.rows[0];
+  const productRes = await pool.query('SELECT * FROM pdf_products WHERE id = $1', [
+    revision.product_id,
+  ]);
+  const product = productRes.rows[0];
+
+  const changes = pdfService.REVISION_FIELDS.filter(
+    (field) => JSON.stringify(product[field] ?? null) !== JSON.stringify(revision[field] ?? null)
+  ).map((field) => ({ field, live: product[field] ?? null, proposed: revision[field] ?? null }));
+
+  const changed = new Set(changes.map((change) => change.field));
+  const files = {};
+  if (changed.has('cover_path')) {
+    files.cover = {
+      live_url: await _signedReviewUrl(product.cover_path),
+      proposed_url: await _signedReviewUrl(revision.cover_path),
+    };
+  }
+  if (changed.has('preview_path')) {
+    files.preview = {
+      live_url: await _signedReviewUrl(product.preview_path),
+      proposed_url: await _signedReviewUrl(revision.preview_path),
+    };
+  }
+
+  return {
+    id: revision.id,
+    product_id: revision.product_id,
+    review_status: revision.review_status,
+    rejection_reason: revision.rejection_reason,
+    reviewed_by: revision.reviewed_by,
+    reviewed_at: revision.reviewed_at,
+    created_at: revision.created_at,
+    updated_at: revision.updated_at,
+    seller_id: revision.seller_id,
+    seller_name: revision.seller_name,
+    seller_email: revision.seller_email,
+    product_title: product.title,
+    is_active: product.is_active,
+    changes,
+    files,
+    expires_in: ADMIN_REVIEW_URL_EXPIRY_SECONDS,
+  };
+}
+
+/**
+ * Apply a pending revision to its listing. The listing is never unlisted.
+ */
+async function approveRevision({ revisionId, adminId }) {
   const result = await pool.query(
-    `UPDATE pdf_products
+    `UPDATE product_revisions
      SET review_status = 'approved',
          rejection_reason = NULL,
          reviewed_by = $2,
          reviewed_at = NOW(),
-         is_active = true,
          updated_at = NOW()
-     WHERE id = $1
-     RETURNING id, title, review_status`,
-    [productId, adminId]
+     WHERE id = $1 AND review_status = 'pending_review'
+     RETURNING *`,
+    [revisionId, adminId]
   );
 
   if (result.rows.length === 0) {
-    const err = new Error('Product not found');
+    const err = new Error('Revision not found or already reviewed');
     err.status = 404;
     throw err;
   }
 
+  const revision = result.rows[0];
+  await pdfService.applyRevision(revision);
+
   await logAudit({
     actorType: 'admin',
     actorId: adminId,
-    action: 'moderation.approve',
-    targetType: 'pdf_product',
-    targetId: productId,
+    action: 'moderation.revision_approve',
+    targetType: 'product_revision',
+    targetId: revisionId,
+    metadata: { product_id: revision.product_id },
+  }).catch(() => {});
+
+  return {
+    id: revision.id,
+    product_id: revision.product_id,
+    review_status: revision.review_status,
+  };
+}
+
+/**
+ * Discard a pending revision; the listing keeps its live values.
+ */
+async function rejectRevision({ revisionId, adminId, reason }) {
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    const err = new Error('Rejection reason is required');
+    err.status = 400;
+    throw err;
+  }
+
+  const result = await pool.query(
+    `UPDATE product_revisions
+     SET review_status = 'rejected',
+         rejection_reason = $3,
+         reviewed_by = $2,
+         reviewed_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1 AND review_status = 'pending_review'
+     RETURNING *`,
+    [revisionId, adminId, trimmedReason]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Revision not found or already reviewed');
+    err.status = 404;
+    throw err;
+  }
+
+  const revision = result.rows[0];
+  await pdfService.discardRevision(revision);
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'moderation.revision_reject',
+    targetType: 'product_revision',
+    targetId: revisionId,
+    metadata: { product_id: revision.product_id, reason: trimmedReason },
+  }).catch(() => {});
+
+  return {
+    id: revision.id,
+    product_id: revision.product_id,
+    review_status: revision.review_status,
+    rejection_reason: revision.rejection_reason,
+  };
+}
+
+/**
+ * Bundles awaiting (or past) review, with their products. `items_total` is
+ * the combined price of the products, for comparison with the bundle price.
+ */
+async function listBundleQueue({ status = 'pending_review', page = 1, limit = 20 }) {
+  const offset = (page - 1) * limit;
+  const values = [];
+  let whereClause = '';
+
+  if (status && status !== 'all') {
+    values.push(status);
+    whereClause = `WHERE b.review_status = $${values.length}`;
+  }
+
+  values.push(limit);
+  values.push(offset);
+
+  const result = await pool.query(
+    `SELECT b.id, b.short_code, b.title, b.description, b.price, b.cover_path,
+            b.review_status, b.rejection_reason, b.is_active, b.created_at,
+            u.id AS seller_id, u.name AS seller_name, u.email AS seller_email,
+            items.items_total, items.items
+     FROM pdf_bundles b
+     JOIN users u ON u.id = b.seller_id
+     LEFT JOIN LATERAL (
+       SELECT SUM(p.price) AS items_total,
+              json_agg(json_build_object(
+                'product_id', p.id,
+                'title', p.title,
+                'price', p.price,
+                'review_status', p.review_status,
+                'is_active', p.is_active
+              ) ORDER BY bi.position) AS items
+       FROM pdf_bundle_items bi
+       JOIN pdf_products p ON p.id = bi.product_id
+       WHERE bi.bundle_id = b.id
+     ) items ON true
+     ${whereClause}
+     ORDER BY b.created_at DESC
+     LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+
+  return Promise.all(
+    result.rows.map(async ({ cover_path: coverPath, ...bundle }) => ({
+      ...bundle,
+      cover_url: await _signedReviewUrl(coverPath),
+    }))
+  );
+}
+
+/**
+ * Approve a bundle as it stands now: it needs enough products still on
+ * sale, a price within their combined price, and its list-price snapshots
+ * are refreshed to the current prices.
+ */
+async function approveBundle({ bundleId, adminId }) {
+  const checkRes = await pool.query(
+    `SELECT b.price,
+            COUNT(p.id)::int AS available_count,
+            COALESCE(SUM(p.price), 0) AS available_total
+     FROM pdf_bundles b
+     LEFT JOIN pdf_bundle_items bi ON bi.bundle_id = b.id
+     LEFT JOIN pdf_products p ON p.id = bi.product_id
+       AND p.is_active = true
+       AND p.review_status = 'approved'
+     WHERE b.id = $1
+     GROUP BY b.id`,
+    [bundleId]
+  );
+  if (checkRes.rows.length === 0) {
+    const err = new Error('Bundle not found');
+    err.status = 404;
+    throw err;
+  }
+  const check = checkRes.rows[0];
+  if (check.available_count < MIN_BUNDLE_ITEMS) {
+    const err = new Error(`A bundle needs at least ${MIN_BUNDLE_ITEMS} products that are on sale`);
+    err.status = 409;
+    throw err;
+  }
+  if (parseFloat(check.price) > parseFloat(check.available_total)) {
+    const err = new Error('Bundle price exceeds the combined price of its products');
+    err.status = 409;
+    throw err;
+  }
+
+  await pool.query(
+    `UPDATE pdf_bundle_items bi
+     SET list_price = p.price
+     FROM pdf_products p
+     WHERE p.id = bi.product_id AND bi.bundle_id = $1`,
+    [bundleId]
+  );
+  const result = await pool.query(
+    `UPDATE pdf_bundles
+     SET review_status = 'approved',
+         rejection_reason = NULL,
+         reviewed_by = $2,
+         reviewed_at = NOW(),
+         is_active = true,
+         list_total = (
+           SELECT COALESCE(SUM(list_price), 0) FROM pdf_bundle_items WHERE bundle_id = $1
+         ),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, title, review_status`,
+    [bundleId, adminId]
+  );
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'moderation.bundle_approve',
+    targetType: 'pdf_bundle',
+    targetId: bundleId,
   }).catch(() => {});
 
   return result.rows[0];
 }
 
-async function rejectProduct({ productId, adminId, reason }) {
+async function rejectBundle({ bundleId, adminId, reason }) {
   const trimmedReason = String(reason || '').trim();
   if (!trimmedReason) {
     const err = new Error('Rejection reason is required');
@@ -96,7 +1151,7 @@ async function rejectProduct({ productId, adminId, reason }) {
   }
 
   const result = await pool.query(
-    `UPDATE pdf_products
+    `UPDATE pdf_bundles
      SET review_status = 'rejected',
          rejection_reason = $3,
          reviewed_by = $2,
@@ -105,11 +1160,11 @@ async function rejectProduct({ productId, adminId, reason }) {
          updated_at = NOW()
      WHERE id = $1
      RETURNING id, title, review_status, rejection_reason`,
-    [productId, adminId, trimmedReason]
+    [bundleId, adminId, trimmedReason]
   );
 
   if (result.rows.length === 0) {
-    const err = new Error('Product not found');
+    const err = new Error('Bundle not found');
     err.status = 404;
     throw err;
   }
@@ -117,9 +1172,9 @@ async function rejectProduct({ productId, adminId, reason }) {
   await logAudit({
     actorType: 'admin',
     actorId: adminId,
-    action: 'moderation.reject',
-    targetType: 'pdf_product',
-    targetId: productId,
+    action: 'moderation.bundle_reject',
+    targetType: 'pdf_bundle',
+    targetId: bundleId,
     metadata: { reason: trimmedReason },
   }).catch(() => {});
 
@@ -141,6 +1196,7 @@ async function listUsers({ page = 1, limit = 20, q = '' }) {
 
   const result = await pool.query(
     `SELECT u.id, u.name, u.email, u.created_at, u.is_banned, u.ban_reason, u.banned_at,
+            u.seller_plan,
             COALESCE(up.uploaded_count, 0) AS uploaded_count,
             COALESCE(so.sold_count, 0) AS sold_count,
             COALESCE(bu.bought_count, 0) AS bought_count
@@ -175,6 +1231,7 @@ async function listUsers({ page = 1, limit = 20, q = '' }) {
 async function getUserDetails(userId) {
   const userRes = await pool.query(
     `SELECT u.id, u.name, u.email, u.created_at, u.is_banned, u.ban_reason, u.banned_at, u.banned_by,
+            u.seller_plan, u.seller_plan_updated_at,
             COALESCE(up.uploaded_count, 0) AS uploaded_count,
             COALESCE(so.sold_count, 0) AS sold_count,
             COALESCE(bu.bought_count, 0) AS bought_count
@@ -263,6 +1320,85 @@ async function listOrders({ page = 1, limit = 20, status = '' }) {
   return result.rows;
 }
 
+/**
+ * Purchases whose recent access pattern looks like a shared or leaked
+ * account: accesses from many IPs, or many accesses in a short burst.
+ */
+async function listSuspiciousAccess({
+  days = SUSPICIOUS_ACCESS_DEFAULTS.days,
+  minDistinctIps = SUSPICIOUS_ACCESS_DEFAULTS.minDistinctIps,
+  burstCount = SUSPICIOUS_ACCESS_DEFAULTS.burstCount,
+  burstWindowMinutes = SUSPICIOUS_ACCESS_DEFAULTS.burstWindowMinutes,
+  page = 1,
+  limit = 50,
+}) {
+  const offset = (page - 1) * limit;
+  const result = await pool.query(
+    `WITH recent AS (
+       SELECT purchase_id, ip_address, user_agent, created_at
+       FROM access_events
+       WHERE created_at > NOW() - make_interval(days => $1::int)
+     ),
+     windows AS (
+       SELECT purchase_id,
+              COUNT(*) OVER (
+                PARTITION BY purchase_id
+                ORDER BY created_at
+                RANGE BETWEEN make_interval(mins => $4::int) PRECEDING AND CURRENT ROW
+              ) AS in_window
+       FROM recent
+     ),
+     stats AS (
+       SELECT r.purchase_id,
+              COUNT(*)::int AS access_count,
+              COUNT(DISTINCT r.ip_address)::int AS distinct_ips,
+              COUNT(DISTINCT r.user_agent)::int AS distinct_user_agents,
+              MIN(r.created_at) AS first_access_at,
+              MAX(r.created_at) AS last_access_at,
+              (SELECT MAX(w.in_window)::int FROM windows w WHERE w.purchase_id = r.purchase_id) AS max_burst
+       FROM recent r
+       GROUP BY r.purchase_id
+     )
+     SELECT s.*,
+            (s.distinct_ips >= $2) AS many_ips,
+            (s.max_burst >= $3) AS burst,
+            pu.created_at AS purchased_at,
+            p.id AS product_id, p.title AS product_title, p.watermark_downloads,
+            buyer.id AS buyer_id, buyer.name AS buyer_name, buyer.email AS buyer_email
+     FROM stats s
+     JOIN purchases pu ON pu.id = s.purchase_id
+     JOIN pdf_products p ON p.id = pu.product_id
+     JOIN users buyer ON buyer.id = pu.buyer_id
+     WHERE s.distinct_ips >= $2 OR s.max_burst >= $3
+     ORDER BY s.distinct_ips DESC, s.max_burst DESC
+     LIMIT $5 OFFSET $6`,
+    [days, minDistinctIps, burstCount, burstWindowMinutes, limit, offset]
+  );
+
+  return {
+    criteria: {
+      days,
+      min_distinct_ips: minDistinctIps,
+      burst_count: burstCount,
+      burst_window_minutes: burstWindowMinutes,
+    },
+    purchases: result.rows,
+  };
+}
+
+async function listPurchaseAccessEvents({ purchaseId, page = 1, limit = 100 }) {
+  const offset = (page - 1) * limit;
+  const result = await pool.query(
+    `SELECT id, event_type, version_number, ip_address, user_agent, platform, created_at
+     FROM access_events
+     WHERE purchase_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [purchaseId, limit, offset]
+  );
+  return result.rows;
+}
+
 async function listAuditLogs({ page = 1, limit = 50 }) {
   const offset = (page - 1) * limit;
   const result = await pool.query(
@@ -290,9 +1426,10 @@ async function getProductReviewUrl({ productId, adminId }) {
   }
 
   const product = productRes.rows[0];
-  const { data, error } = await supabase.storage
-    .from(config.supabase.bucket)
-    .createSignedUrl(product.file_path, ADMIN_REVIEW_URL_EXPIRY_SECONDS);
+  const { data, error } = await storage.createSignedUrl(
+    product.file_path,
+    ADMIN_REVIEW_URL_EXPIRY_SECONDS
+  );
 
   if (error || !data?.signedUrl) {
     const err = new Error(`Failed to generate review URL: ${error?.message || 'unknown error'}`);
@@ -320,14 +1457,15 @@ async function getProductReviewUrl({ productId, adminId }) {
 
 /**
  * Permanently delete a PDF product:
- *  1. Remove PDF file (and cover image) from Supabase storage.
+ *  1. Remove PDF file (and cover image) from storage.
  *  2. Delete DB record — purchases/earnings cascade automatically.
  *  3. Log audit entry.
+ * With `banContent` the files are banned first (see rejectProduct).
  */
-async function deleteProduct({ productId, adminId }) {
+async function deleteProduct({ productId, adminId, banContent = false }) {
   // Fetch product to get storage paths
   const res = await pool.query(
-    `SELECT id, title, file_path, cover_path, seller_id FROM pdf_products WHERE id = $1`,
+    `SELECT id, title, file_path, cover_path, preview_path, seller_id FROM pdf_products WHERE id = $1`,
     [productId]
   );
   if (res.rows.length === 0) {
@@ -337,14 +1475,37 @@ async function deleteProduct({ productId, adminId }) {
   }
   const product = res.rows[0];
 
-  // Remove files from Supabase storage
+  const bannedFiles = banContent
+    ? await _banFiles({ productId, reason: 'Removed by moderators', adminId })
+    : 0;
+
+  // Remove files from storage
   const pathsToRemove = [product.file_path].filter(Boolean);
   if (product.cover_path) pathsToRemove.push(product.cover_path);
+  if (product.preview_path) pathsToRemove.push(product.preview_path);
+  pathsToRemove.push(...(await pdfService.listRevisionFilePaths(productId)));
+  const watermarkRes = await pool.query(
+    'SELECT file_path FROM purchase_watermarks WHERE product_id = $1',
+    [productId]
+  );
+  pathsToRemove.push(...watermarkRes.rows.map((row) => row.file_path));
+  const versionsRes = await pool.query(
+    'SELECT file_path FROM pdf_versions WHERE product_id = $1',
+    [productId]
+  );
+  for (const { file_path: versionPath } of versionsRes.rows) {
+    if (!pathsToRemove.includes(versionPath)) pathsToRemove.push(versionPath);
+  }
   if (pathsToRemove.length > 0) {
-    await supabase.storage.from(config.supabase.bucket).remove(pathsToRemove);
+    const { error } = await storage.remove(pathsToRemove);
+    if (error) {
+      // Left for the storage GC to clean up.
+      console.error('Failed to delete product files from storage:', error.message);
+    }
   }
 
   // Delete DB record (purchases, earnings cascade via ON DELETE CASCADE)
+  await pdfService.returnBundlesToReview(productId, { reason: 'product_deleted' });
   await pool.query('DELETE FROM pdf_products WHERE id = $1', [productId]);
 
   await logAudit({
@@ -353,10 +1514,93 @@ async function deleteProduct({ productId, adminId }) {
     action: 'admin.delete_product',
     targetType: 'product',
     targetId: productId,
-    metadata: { title: product.title, seller_id: product.seller_id },
+    metadata: {
+      title: product.title,
+      seller_id: product.seller_id,
+      ban_content: Boolean(banContent),
+    },
+  }).catch(() => {});
+
+  return {
+    deleted: true,
+    product_id: productId,
+    title: product.title,
+    banned_files: bannedFiles,
+  };
+}
+
+/**
+ * Identify the purchase a leaked (watermarked) PDF was delivered for.
+ * Tries, in order: exact file hash, metadata fingerprint, the purchase id
+ * printed in the page footer.
+ */
+async function identifyLeakedFile({ buffer, adminId }) {
+  const purchaseColumns = `pu.id AS purchase_id, pu.created_at AS purchased_at, pu.status,
+            p.id AS product_id, p.title AS product_title, p.seller_id,
+            buyer.id AS buyer_id, buyer.name AS buyer_name, buyer.email AS buyer_email`;
+  const purchaseJoins = `JOIN purchases pu ON pu.id = w.purchase_id
+     JOIN pdf_products p ON p.id = pu.product_id
+     JOIN users buyer ON buyer.id = pu.buyer_id`;
+
+  let method = null;
+  let match = null;
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const hashRes = await pool.query(
+    `SELECT ${purchaseColumns}
+     FROM purchase_watermarks w
+     ${purchaseJoins}
+     WHERE w.sha256 = $1`,
+    [sha256]
+  );
+  if (hashRes.rows.length > 0) {
+    method = 'file_hash';
+    match = hashRes.rows[0];
+  }
+
+  if (!match) {
+    const { fingerprints, purchaseIds } = await extractWatermark(buffer);
+
+    if (fingerprints.length > 0) {
+      const fingerprintRes = await pool.query(
+        `SELECT ${purchaseColumns}
+         FROM purchase_watermarks w
+         ${purchaseJoins}
+         WHERE w.fingerprint = ANY($1::text[])`,
+        [fingerprints]
+      );
+      if (fingerprintRes.rows.length > 0) {
+        method = 'fingerprint';
+        match = fingerprintRes.rows[0];
+      }
+    }
+
+    if (!match && purchaseIds.length > 0) {
+      const purchaseRes = await pool.query(
+        `SELECT ${purchaseColumns}
+         FROM purchases pu
+         JOIN pdf_products p ON p.id = pu.product_id
+         JOIN users buyer ON buyer.id = pu.buyer_id
+         WHERE pu.id::text = ANY($1::text[])`,
+        [purchaseIds]
+      );
+      if (purchaseRes.rows.length > 0) {
+        method = 'visible_watermark';
+        match = purchaseRes.rows[0];
+      }
+    }
+  }
+
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'leak.identify',
+    targetType: match ? 'purchase' : null,
+    targetId: match ? match.purchase_id : null,
+    metadata: { sha256, matched: Boolean(match), method },
   }).catch(() => {});
 
-  return { deleted: true, product_id: productId, title: product.title };
+  return { matched: Boolean(match), method, sha256, purchase: match };
 }
 
 async function listReports({ status = 'open', page = 1, limit = 50 }) {
@@ -469,18 +1713,62 @@ async function banUser({ userId, reason, adminId }) {
     [userId]
   );
 
+  const revokedSessions = await sessionService.revokeAllUserSessions(userId, 'banned');
+
   await logAudit({
     actorType: 'admin',
     actorId: adminId,
     action: 'admin.ban_user',
     targetType: 'user',
     targetId: userId,
-    metadata: { reason: trimmedReason },
+    metadata: { reason: trimmedReason, revoked_sessions: revokedSessions },
   }).catch(() => {});
 
   return result.rows[0];
 }
 
+/**
+ * Move a seller to another plan. Existing listings and files are kept even
+ * when they exceed the new plan's limits; only new uploads are refused.
+ */
+async function setUserPlan({ userId, plan, adminId }) {
+  if (!SELLER_PLANS.includes(plan)) {
+    const err = new Error(`Plan must be one of: ${SELLER_PLANS.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const result = await pool.query(
+    `UPDATE users u
+     SET seller_plan = $2,
+         seller_plan_updated_at = NOW(),
+         updated_at = NOW()
+     FROM (SELECT id, seller_plan FROM users WHERE id = $1) previous
+     WHERE u.id = previous.id
+     RETURNING u.id, u.name, u.email, u.seller_plan, u.seller_plan_updated_at,
+               previous.seller_plan AS previous_plan`,
+    [userId, plan]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const { previous_plan: previousPlan, ...user } = result.rows[0];
+  await logAudit({
+    actorType: 'admin',
+    actorId: adminId,
+    action: 'admin.set_seller_plan',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { plan, previous_plan: previousPlan },
+  }).catch(() => {});
+
+  return user;
+}
+
 async function unbanUser({ userId, adminId }) {
   const result = await pool.query(
     `UPDATE users
@@ -512,18 +1800,49 @@ async function unbanUser({ userId, adminId }) {
 }
 
 module.exports = {
+  resolveLoginSubject,
   login,
+  loginTwoFactorSetup,
+  loginTwoFactor,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetAdminTwoFactor,
+  ensureBootstrapAdmin,
+  getAdmin,
+  listAdmins,
+  inviteAdmin,
+  acceptInvite,
+  updateAdminRole,
+  setAdminActive,
   listModerationQueue,
   approveProduct,
   rejectProduct,
+  listVersionQueue,
+  getVersionReviewUrl,
+  approveVersion,
+  rejectVersion,
+  listRevisionQueue,
+  getRevisionDiff,
+  approveRevision,
+  rejectRevision,
+  listBundleQueue,
+  approveBundle,
+  rejectBundle,
   listUsers,
   getUserDetails,
   listOrders,
+  listSuspiciousAccess,
+  listPurchaseAccessEvents,
   listAuditLogs,
   getProductReviewUrl,
   deleteProduct,
+  identifyLeakedFile,
   listReports,
   updateReportStatus,
   banUser,
   unbanUser,
+  setUserPlan,
 };
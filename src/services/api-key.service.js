@@ -0,0 +1,183 @@
+/**
+ * API key service — seller keys for programmatic uploads.
+ *
+ * KEY FORMAT:  nbk_<prefix>_<secret>
+ * - `prefix` is stored in clear and indexed so a key can be looked up
+ *   (and recognised in the UI) without storing the secret.
+ * - Only a SHA-256 hash of the full key is stored; the raw key is shown
+ *   once at creation.
+ *
+ * SCOPES:
+ * - products:read  — list own products (GET /api/pdf/my)
+ * - products:write — create, update, reprice and delete own products
+ * - earnings:read  — GET /api/purchase/earnings
+ *
+ * Keys are sent as `Authorization: ApiKey <key>` and only accepted on
+ * routes that opt in with allowApiKey(scope) (see auth.middleware.js).
+ */
+const crypto = require('crypto');
+const pool = require('../database/pool');
+const { logAudit } = require('./audit.service');
+
+const API_KEY_SCOPES = ['products:read', 'products:write', 'earnings:read'];
+const MAX_KEYS_PER_USER = 10;
+const KEY_PREFIX_BYTES = 6;
+const KEY_SECRET_BYTES = 32;
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+const PUBLIC_COLUMNS =
+  'id, name, key_prefix, scopes, last_used_at, last_used_ip, expires_at, revoked_at, created_at';
+
+function _hashKey(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+function _parseKey(rawKey) {
+  const match = /^nbk_([A-Za-z0-9]+)_([A-Za-z0-9_-]+)$/.exec(String(rawKey || '').trim());
+  return match ? { prefix: match[1] } : null;
+}
+
+/**
+ * Create a key. The raw key is returned only here.
+ * @returns {{ ...key, key: string }}
+ */
+async function createKey(userId, { name, scopes, expiresInDays = null }) {
+  const trimmedName = String(name || '').trim();
+  if (trimmedName.length < 2 || trimmedName.length > 100) {
+    const err = new Error('Key name must be 2-100 characters');
+    err.status = 400;
+    throw err;
+  }
+
+  const requestedScopes = [...new Set(Array.isArray(scopes) ? scopes : [])];
+  if (requestedScopes.length === 0 || requestedScopes.some((s) => !API_KEY_SCOPES.includes(s))) {
+    const err = new Error(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const countRes = await pool.query(
+    'SELECT COUNT(*)::int AS total FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  if ((countRes.rows[0]?.total || 0) >= MAX_KEYS_PER_USER) {
+    const err = new Error(`You can have at most ${MAX_KEYS_PER_USER} active API keys`);
+    err.status = 400;
+    throw err;
+  }
+
+  const prefix = crypto.randomBytes(KEY_PREFIX_BYTES).toString('hex');
+  const rawKey = `nbk_${prefix}_${crypto.randomBytes(KEY_SECRET_BYTES).toString('base64url')}`;
+
+  const result = await pool.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5::text[],
+             CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [userId, trimmedName, prefix, _hashKey(rawKey), requestedScopes, expiresInDays]
+  );
+
+  await logAudit({
+    actorType: 'user',
+    actorId: userId,
+    action: 'api_key.create',
+    targetType: 'api_key',
+    targetId: result.rows[0].id,
+    metadata: { name: trimmedName, scopes: requestedScopes },
+  }).catch(() => {});
+
+  return { ...result.rows[0], key: rawKey };
+}
+
+async function listKeys(userId) {
+  const result = await pool.query(
+    `SELECT ${PUBLIC_COLUMNS}
+     FROM api_keys
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+async function revokeKey(userId, keyId) {
+  const result = await pool.query(
+    `UPDATE api_keys
+     SET revoked_at = NOW()
+     WHERE id::text = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING id`,
+    [keyId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('API key not found');
+    err.status = 404;
+    throw err;
+  }
+
+  await logAudit({
+    actorType: 'user',
+    actorId: userId,
+    action: 'api_key.revoke',
+    targetType: 'api_key',
+    targetId: result.rows[0].id,
+  }).catch(() => {});
+
+  return { revoked: true, id: result.rows[0].id };
+}
+
+async function revokeAllUserKeys(userId) {
+  const result = await pool.query(
+    'UPDATE api_keys SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Resolve a raw key to its owner. Returns null for unknown, revoked or
+ * expired keys. Records last use (at most once per minute per key).
+ */
+async function verifyKey(rawKey, { ipAddress = null } = {}) {
+  const parsed = _parseKey(rawKey);
+  if (!parsed) return null;
+
+  const result = await pool.query(
+    `SELECT k.id, k.key_hash, k.scopes, k.user_id, u.email, u.is_banned, u.email_verified
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_prefix = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND u.deleted_at IS NULL`,
+    [parsed.prefix]
+  );
+
+  const key = result.rows[0];
+  if (!key) return null;
+
+  const expected = Buffer.from(key.key_hash, 'hex');
+  const actual = Buffer.from(_hashKey(rawKey), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  pool
+    .query(
+      `UPDATE api_keys
+       SET last_used_at = NOW(), last_used_ip = $2
+       WHERE id = $1
+         AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3::int))`,
+      [key.id, ipAddress, LAST_USED_RESOLUTION_SECONDS]
+    )
+    .catch((err) => console.error('Failed to record API key use:', err.message));
+
+  return key;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  createKey,
+  listKeys,
+  revokeKey,
+  revokeAllUserKeys,
+  verifyKey,
+};
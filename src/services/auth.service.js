@@ -3,23 +3,31 @@
  *
  * SECURITY NOTES:
  * - Passwords are hashed with bcrypt (cost factor 12).
- * - JWT carries only { id, email, role } — no sensitive data.
- * - Token expiry is configurable via JWT_EXPIRES_IN.
+ * - JWT carries only { id, email, role, sid } — no sensitive data.
+ * - Access tokens are short-lived (JWT_EXPIRES_IN); clients renew them
+ *   with a rotating refresh token, see session.service.
  */
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const pool = require('../database/pool');
 const config = require('../config');
+const sessionService = require('./session.service');
+const { sendMail } = require('./mail.service');
+const twoFactorService = require('./two-factor.service');
 
 const SALT_ROUNDS = 12;
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const RESEND_VERIFICATION_COOLDOWN_SECONDS = 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
 const googleClient = new OAuth2Client();
 
 /**
  * Register a new user.
- * @returns {{ user, token }}
+ * @returns {{ user, token, refresh_token }}
  */
-async function register({ name, email, password }) {
+async function register({ name, email, password }, client = {}) {
   const normalizedEmail = String(email).trim().toLowerCase();
   const duplicateEmailMessage =
     'This email is already used. Please log in or use another email instead.';
@@ -42,23 +50,30 @@ async function register({ name, email, password }) {
   const result = await pool.query(
     `INSERT INTO users (name, email, password_hash)
      VALUES ($1, $2, $3)
-     RETURNING id, name, email, created_at`,
+     RETURNING id, name, email, email_verified, created_at`,
     [name.trim(), normalizedEmail, passwordHash]
   );
 
   const user = { ...result.rows[0], role: 'user' };
-  const token = _generateToken(user);
-  return { user, token };
+
+  // A mail outage must not block sign-up; the user can resend later.
+  await _sendVerificationEmail(user).catch((err) => {
+    console.error('Failed to send verification email:', err.message);
+  });
+
+  return _issueTokens(user, client);
 }
 
 /**
  * Login an existing user.
- * @returns {{ user, token }}
+ * @returns {{ user, token, refresh_token }}, or
+ *          {{ two_factor_required, challenge_token }} when 2FA is enabled
  */
-async function login({ email, password }) {
+async function login({ email, password }, client = {}) {
   const normalizedEmail = String(email).trim().toLowerCase();
   const result = await pool.query(
-    'SELECT id, name, email, password_hash, is_banned, ban_reason FROM users WHERE email = $1',
+    `SELECT id, name, email, email_verified, password_hash, has_password, is_banned, ban_reason
+     FROM users WHERE email = $1`,
     [normalizedEmail]
   );
 
@@ -82,21 +97,65 @@ async function login({ email, password }) {
     throw err;
   }
 
+  // An account from before has_password existed has just proved it has one.
+  if (user.has_password === null) {
+    await pool.query(
+      'UPDATE users SET has_password = true WHERE id = $1 AND has_password IS NULL',
+      [user.id]
+    );
+  }
+
   // Strip password_hash before returning
   delete user.password_hash;
+  delete user.has_password;
   delete user.is_banned;
   delete user.ban_reason;
   user.role = 'user';
-  const token = _generateToken(user);
+  return _completeLogin(user, client);
+}
 
-  return { user, token };
+/**
+ * Second login step for accounts with 2FA: exchange the challenge token
+ * plus a TOTP (or recovery) code for the usual token pair.
+ */
+async function loginTwoFactor({ challenge_token: challengeToken, code }, client = {}) {
+  const { id: userId } = twoFactorService.verifyChallenge(challengeToken, 'user');
+
+  const valid = await twoFactorService.verifyCode('user', userId, code);
+  if (!valid) {
+    const err = new Error('Invalid two-factor code');
+    err.status = 401;
+    throw err;
+  }
+
+  const result = await pool.query(
+    'SELECT id, name, email, email_verified, is_banned, ban_reason FROM users WHERE id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 401;
+    throw err;
+  }
+
+  const user = result.rows[0];
+  if (user.is_banned) {
+    const err = new Error(user.ban_reason || 'Your account is suspended');
+    err.status = 403;
+    throw err;
+  }
+
+  delete user.is_banned;
+  delete user.ban_reason;
+  user.role = 'user';
+  return _issueTokens(user, client);
 }
 
 /**
  * Google Sign-In login.
  * Verifies Google ID token, then returns local app JWT.
  */
-async function googleLogin({ idToken }) {
+async function googleLogin({ idToken }, client = {}) {
   const audience = [config.google.webClientId, config.google.mobileClientId].filter(Boolean);
   if (audience.length === 0) {
     const err = new Error('Google login is not configured on server');
@@ -119,8 +178,11 @@ async function googleLogin({ idToken }) {
   const normalizedEmail = String(payload.email).trim().toLowerCase();
   const googleName = String(payload.name || normalizedEmail.split('@')[0] || 'User').trim();
 
+  // Google has already verified ownership of the address.
+  const googleVerified = payload.email_verified === true || payload.email_verified === 'true';
+
   let result = await pool.query(
-    'SELECT id, name, email, created_at, is_banned, ban_reason FROM users WHERE email = $1',
+    'SELECT id, name, email, email_verified, created_at, is_banned, ban_reason FROM users WHERE email = $1',
     [normalizedEmail]
   );
 
@@ -130,11 +192,14 @@ async function googleLogin({ idToken }) {
       SALT_ROUNDS
     );
     result = await pool.query(
-      `INSERT INTO users (name, email, password_hash)
-       VALUES ($1, $2, $3)
-       RETURNING id, name, email, created_at`,
-      [googleName, normalizedEmail, randomPassword]
+      `INSERT INTO users (name, email, password_hash, has_password, email_verified, email_verified_at)
+       VALUES ($1, $2, $3, false, $4, CASE WHEN $4 THEN NOW() ELSE NULL END)
+       RETURNING id, name, email, email_verified, created_at`,
+      [googleName, normalizedEmail, randomPassword, googleVerified]
     );
+  } else if (googleVerified && !result.rows[0].email_verified) {
+    await _markEmailVerified(result.rows[0].id);
+    result.rows[0].email_verified = true;
   }
 
   if (result.rows[0].is_banned) {
@@ -146,16 +211,287 @@ async function googleLogin({ idToken }) {
   const user = { ...result.rows[0], role: 'user' };
   delete user.is_banned;
   delete user.ban_reason;
-  const token = _generateToken(user);
-  return { user, token };
+  return _completeLogin(user, client);
+}
+
+/**
+ * Confirm an email address using the token from the verification email.
+ */
+async function verifyEmail({ token }) {
+  const tokenRes = await pool.query(
+    `UPDATE email_verification_tokens
+     SET used_at = NOW()
+     WHERE token_hash = $1
+       AND used_at IS NULL
+       AND expires_at > NOW()
+     RETURNING user_id`,
+    [_hashToken(token)]
+  );
+
+  if (tokenRes.rows.length === 0) {
+    const err = new Error('Verification link is invalid or has expired');
+    err.status = 400;
+    throw err;
+  }
+
+  const user = await _markEmailVerified(tokenRes.rows[0].user_id);
+  return { message: 'Email verified', user };
+}
+
+/**
+ * Send a fresh verification email.
+ * Always answers the same way so it can't be used to probe for accounts.
+ */
+async function resendVerification({ email }) {
+  const response = {
+    message: 'If the account exists and is not verified, a new email has been sent',
+  };
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const userRes = await pool.query(
+    `SELECT id, name, email, email_verified
+     FROM users
+     WHERE email = $1 AND is_banned = false`,
+    [normalizedEmail]
+  );
+  if (userRes.rows.length === 0 || userRes.rows[0].email_verified) {
+    return response;
+  }
+
+  const user = userRes.rows[0];
+  const recentRes = await pool.query(
+    `SELECT 1
+     FROM email_verification_tokens
+     WHERE user_id = $1
+       AND created_at > NOW() - make_interval(secs => $2::int)`,
+    [user.id, RESEND_VERIFICATION_COOLDOWN_SECONDS]
+  );
+  if (recentRes.rows.length > 0) {
+    return response;
+  }
+
+  // Same answer on a mail outage, or the failure would reveal the account.
+  await _sendVerificationEmail(user).catch((err) => {
+    console.error('Failed to send verification email:', err.message);
+  });
+  return response;
+}
+
+/**
+ * Start password recovery by emailing a single-use reset link.
+ * Always answers the same way so it can't be used to probe for accounts.
+ */
+async function forgotPassword({ email }) {
+  const response = { message: 'If an account exists for that email, a reset link has been sent' };
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  const userRes = await pool.query(
+    'SELECT id, name, email FROM users WHERE email = $1 AND is_banned = false',
+    [normalizedEmail]
+  );
+  if (userRes.rows.length === 0) {
+    return response;
+  }
+
+  const user = userRes.rows[0];
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const tokenRes = await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3::int))
+     RETURNING id`,
+    [user.id, _hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+  );
+
+  const link = `${config.mail.resetPasswordUrl}?token=${encodeURIComponent(token)}`;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your NoteBay password',
+      text:
+        `Hi ${user.name},\n\n` +
+        `Use the link below to choose a new password:\n${link}\n\n` +
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once. ` +
+        'If you did not ask for a reset, you can ignore this email.',
+    });
+  } catch (err) {
+    // Same answer as for unknown emails; earlier links keep working.
+    console.error('Failed to send password reset email:', err.message);
+    return response;
+  }
+
+  // Only the most recent link is valid.
+  await pool.query(
+    `UPDATE password_reset_tokens
+     SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL AND id <> $2`,
+    [user.id, tokenRes.rows[0].id]
+  );
+
+  return response;
+}
+
+/**
+ * Complete password recovery. Signs the user out everywhere.
+ */
+async function resetPassword({ token, password }) {
+  const tokenRes = await pool.query(
+    `UPDATE password_reset_tokens
+     SET used_at = NOW()
+     WHERE token_hash = $1
+       AND used_at IS NULL
+       AND expires_at > NOW()
+     RETURNING user_id`,
+    [_hashToken(token)]
+  );
+
+  if (tokenRes.rows.length === 0) {
+    const err = new Error('Reset link is invalid or has expired');
+    err.status = 400;
+    throw err;
+  }
+
+  const userId = tokenRes.rows[0].user_id;
+  const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+  // Receiving the reset email also proves ownership of the address.
+  await pool.query(
+    `UPDATE users
+     SET password_hash = $2,
+         has_password = true,
+         password_changed_at = NOW(),
+         email_verified = true,
+         email_verified_at = COALESCE(email_verified_at, NOW()),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [userId, passwordHash]
+  );
+
+  await sessionService.revokeAllUserSessions(userId, 'password_reset');
+
+  return { message: 'Password has been reset. Please log in with your new password.' };
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * The presented refresh token is invalidated (rotation).
+ */
+async function refresh({ refresh_token: refreshToken }, client = {}) {
+  const { session, refreshToken: nextRefreshToken } = await sessionService.rotateSession(
+    refreshToken,
+    client
+  );
+
+  const userRes = await pool.query(
+    'SELECT id, name, email, is_banned, ban_reason FROM users WHERE id = $1',
+    [session.user_id]
+  );
+
+  if (userRes.rows.length === 0) {
+    await sessionService.revokeSession(session.id, 'user_missing');
+    const err = new Error('User not found');
+    err.status = 401;
+    throw err;
+  }
+
+  const user = userRes.rows[0];
+  if (user.is_banned) {
+    await sessionService.revokeSession(session.id, 'banned');
+    const err = new Error(user.ban_reason || 'Your account is suspended');
+    err.status = 403;
+    throw err;
+  }
+
+  const token = _generateToken({ ...user, role: 'user' }, session.id);
+  return { token, refresh_token: nextRefreshToken };
+}
+
+/**
+ * Logout — revoke the session behind a refresh token.
+ */
+async function logout({ refresh_token: refreshToken }) {
+  await sessionService.revokeByRefreshToken(refreshToken);
+  return { message: 'Logged out' };
+}
+
+async function _sendVerificationEmail(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  // Older links stop working once a new one is issued.
+  await pool.query(
+    `UPDATE email_verification_tokens
+     SET used_at = NOW()
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [user.id]
+  );
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3::int))`,
+    [user.id, _hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+
+  const link = `${config.mail.verifyEmailUrl}?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your NoteBay email',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address to start selling on NoteBay:\n${link}\n\n` +
+      `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours. ` +
+      'If you did not create an account, you can ignore this email.',
+  });
+}
+
+async function _markEmailVerified(userId) {
+  const result = await pool.query(
+    `UPDATE users
+     SET email_verified = true,
+         email_verified_at = COALESCE(email_verified_at, NOW()),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, name, email, email_verified`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+function _hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function _completeLogin(user, client) {
+  if (await twoFactorService.isEnabled('user', user.id)) {
+    return {
+      two_factor_required: true,
+      challenge_token: twoFactorService.createChallenge('user', user.id),
+    };
+  }
+  return _issueTokens(user, client);
+}
+
+async function _issueTokens(user, client) {
+  const { session, refreshToken } = await sessionService.createSession(user.id, client);
+  const token = _generateToken(user, session.id);
+  return { user, token, refresh_token: refreshToken };
 }
 
-function _generateToken(user) {
+function _generateToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id, email: user.email, role: user.role || 'user' },
+    { id: user.id, email: user.email, role: user.role || 'user', sid: sessionId },
     config.jwt.secret,
     { expiresIn: config.jwt.expiresIn }
   );
 }
 
-module.exports = { register, login, googleLogin };
+module.exports = {
+  register,
+  login,
+  loginTwoFactor,
+  googleLogin,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+};
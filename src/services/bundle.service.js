@@ -0,0 +1,349 @@
+/**
+ * Bundle service — several of a seller's listings sold at one price.
+ *
+ * - A bundle has its own title, price, optional cover and short code and is
+ *   moderated like a listing (admin.service.js approveBundle/rejectBundle).
+ * - Only approved, listed products can be bundled, and the bundle price may
+ *   not exceed the sum of their prices.
+ * - Checkout (payment.service.js) grants one purchase per included product.
+ *   Products the buyer already owns, or that are no longer on sale, are
+ *   left out and the price shrinks in proportion to their list prices; the
+ *   amount charged is split across the remaining products the same way, so
+ *   each purchase and earnings row carries its own share.
+ * - List prices are snapshots (pdf_bundle_items.list_price, list_total)
+ *   taken when the bundle is created and refreshed when it is approved, so
+ *   later price changes cannot skew the split. Deleting a bundled product
+ *   or cutting its price below the bundle's sends the bundle back to review
+ *   (pdf.service.js returnBundlesToReview).
+ */
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../database/pool');
+const storage = require('./storage.service');
+const { scanImage } = require('./upload-scan.service');
+const pdfService = require('./pdf.service');
+
+const MIN_BUNDLE_ITEMS = 2;
+const MAX_BUNDLE_ITEMS = 20;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+function _normalizeProductIds(productIds) {
+  let ids = productIds;
+  if (typeof ids === 'string') {
+    const trimmed = ids.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        ids = JSON.parse(trimmed);
+      } catch (_err) {
+        ids = null;
+      }
+    } else {
+      ids = trimmed.split(',');
+    }
+  }
+  if (!Array.isArray(ids)) {
+    const err = new Error('product_ids must be a list of product IDs');
+    err.status = 400;
+    throw err;
+  }
+
+  const unique = [...new Set(ids.map((id) => String(id).trim()).filter(Boolean))];
+  if (unique.length < MIN_BUNDLE_ITEMS || unique.length > MAX_BUNDLE_ITEMS) {
+    const err = new Error(
+      `A bundle must contain between ${MIN_BUNDLE_ITEMS} and ${MAX_BUNDLE_ITEMS} products`
+    );
+    err.status = 400;
+    throw err;
+  }
+  return unique;
+}
+
+async function _getItems(bundleId) {
+  const result = await pool.query(
+    `SELECT p.id AS product_id, p.short_code, p.title, p.author_name, p.price, p.mrp,
+            p.page_count, p.cover_path,
+            (p.is_active = true AND p.review_status = 'approved'
+             AND p.is_published = true) AS available
+     FROM pdf_bundle_items bi
+     JOIN pdf_products p ON p.id = bi.product_id
+     WHERE bi.bundle_id = $1
+     ORDER BY bi.position`,
+    [bundleId]
+  );
+  return result.rows;
+}
+
+// Bundle with its items; cover_url falls back to the first product's cover.
+async function _withItems(bundle) {
+  const items = await _getItems(bundle.id);
+  const itemsTotal = items.reduce((total, item) => total + parseFloat(item.price), 0);
+  const coverPath = bundle.cover_path || items.find((item) => item.cover_path)?.cover_path || null;
+  const { cover_url: coverUrl } = await pdfService.attachCoverUrl({ cover_path: coverPath });
+
+  return {
+    ...bundle,
+    cover_url: coverUrl,
+    items_total: itemsTotal.toFixed(2),
+    items: (await pdfService.attachCoverUrls(items)).map(({ cover_path: _path, ...item }) => item),
+  };
+}
+
+/**
+ * Create a bundle of the seller's own listings (sent to moderation).
+ */
+async function createBundle({ sellerId, title, description, price, productIds, coverFile = null }) {
+  const trimmedTitle = String(title || '').trim();
+  if (trimmedTitle.length < 3 || trimmedTitle.length > 255) {
+    const err = new Error('Title must be between 3 and 255 characters');
+    err.status = 400;
+    throw err;
+  }
+  const trimmedDescription = String(description || '').trim() || null;
+  if (trimmedDescription && trimmedDescription.length > MAX_DESCRIPTION_LENGTH) {
+    const err = new Error(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    err.status = 400;
+    throw err;
+  }
+  const bundlePrice = Number(price);
+  if (!Number.isFinite(bundlePrice) || bundlePrice < 0) {
+    const err = new Error('Invalid bundle price');
+    err.status = 400;
+    throw err;
+  }
+
+  const ids = _normalizeProductIds(productIds);
+  const productsRes = await pool.query(
+    `SELECT id, price FROM pdf_products
+     WHERE id::text = ANY($1::text[])
+       AND seller_id = $2
+       AND is_active = true
+       AND review_status = 'approved'`,
+    [ids, sellerId]
+  );
+  if (productsRes.rows.length !== ids.length) {
+    const err = new Error('Bundles can only include your own approved, listed products');
+    err.status = 400;
+    throw err;
+  }
+
+  const itemsTotal = productsRes.rows.reduce((total, row) => total + parseFloat(row.price), 0);
+  if (bundlePrice > itemsTotal) {
+    const err = new Error('Bundle price cannot exceed the combined price of its products');
+    err.status = 400;
+    throw err;
+  }
+
+  let coverPath = null;
+  if (coverFile) {
+    const coverImage = await scanImage(coverFile.buffer, { userId: sellerId });
+    coverPath = `${sellerId}/covers/${uuidv4()}.${coverImage.extension}`;
+    const { error: coverUploadError } = await storage.upload(coverPath, coverFile.buffer, {
+      contentType: coverImage.mimetype,
+      upsert: false,
+    });
+    if (coverUploadError) {
+      const err = new Error(`Cover upload failed: ${coverUploadError.message}`);
+      err.status = 500;
+      throw err;
+    }
+  }
+
+  let bundle;
+  try {
+    const shortCode = await pdfService.generateUniqueShortCode();
+    const bundleRes = await pool.query(
+      `INSERT INTO pdf_bundles (seller_id, short_code, title, description, price, list_total,
+                                cover_path)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [sellerId, shortCode, trimmedTitle, trimmedDescription, bundlePrice, itemsTotal, coverPath]
+    );
+    bundle = bundleRes.rows[0];
+
+    await pool.query(
+      `INSERT INTO pdf_bundle_items (bundle_id, product_id, position, list_price)
+       SELECT $1, p.id, item.position, p.price
+       FROM unnest($2::text[]) WITH ORDINALITY AS item(id, position)
+       JOIN pdf_products p ON p.id = item.id::uuid`,
+      [bundle.id, ids]
+    );
+  } catch (err) {
+    if (bundle) await pool.query('DELETE FROM pdf_bundles WHERE id = $1', [bundle.id]);
+    if (coverPath) await storage.remove([coverPath]);
+    throw err;
+  }
+
+  return _withItems(bundle);
+}
+
+/**
+ * The seller's bundles, whatever their review status.
+ */
+async function listSellerBundles(sellerId) {
+  const result = await pool.query(
+    `SELECT * FROM pdf_bundles
+     WHERE seller_id = $1
+     ORDER BY created_at DESC`,
+    [sellerId]
+  );
+  return Promise.all(result.rows.map((bundle) => _withItems(bundle)));
+}
+
+async function _getPublicBundle(column, value) {
+  const result = await pool.query(
+    `SELECT b.id, b.seller_id, b.short_code, b.title, b.description, b.price, b.list_total,
+            b.cover_path, b.created_at, u.name AS seller_name
+     FROM pdf_bundles b
+     JOIN users u ON u.id = b.seller_id
+     WHERE ${column} = $1
+       AND u.is_banned = false
+       AND b.is_active = true
+       AND b.review_status = 'approved'`,
+    [value]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a bundle by ID (public — approved bundles only).
+ */
+async function getBundleById(bundleId) {
+  const bundle = await _getPublicBundle('b.id', bundleId);
+  if (!bundle) {
+    const err = new Error('Bundle not found');
+    err.status = 404;
+    throw err;
+  }
+  const { cover_path: _coverPath, ...publicBundle } = await _withItems(bundle);
+  return publicBundle;
+}
+
+/**
+ * Find a bundle by short code (for manual code entry).
+ */
+async function getBundleByCode(shortCode) {
+  const bundle = await _getPublicBundle('UPPER(b.short_code)', String(shortCode).toUpperCase());
+  if (!bundle) {
+    const err = new Error('No bundle found with that code');
+    err.status = 404;
+    throw err;
+  }
+  const { cover_path: _coverPath, ...publicBundle } = await _withItems(bundle);
+  return publicBundle;
+}
+
+/**
+ * What `buyerId` would pay for the bundle right now.
+ *
+ * Returns the bundle, the price after leaving out owned and unavailable
+ * products, and per item whether it is included and its share of the price
+ * (`amount`, in rupees, summing exactly to `price`).
+ */
+async function quoteBundle(bundleId, buyerId) {
+  const bundle = await _getPublicBundle('b.id', bundleId);
+  if (!bundle) {
+    const err = new Error('Bundle not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const itemsRes = await pool.query(
+    `SELECT p.id AS product_id, p.title, p.price, bi.list_price,
+            (p.is_active = true AND p.review_status = 'approved'
+             AND p.is_published = true) AS available,
+            EXISTS (
+              SELECT 1 FROM purchases pu
+              WHERE pu.product_id = p.id AND pu.buyer_id = $2 AND pu.status = 'paid'
+            ) AS owned
+     FROM pdf_bundle_items bi
+     JOIN pdf_products p ON p.id = bi.product_id
+     WHERE bi.bundle_id = $1
+     ORDER BY bi.position`,
+    [bundleId, buyerId]
+  );
+
+  // Work in paise so the shares add up to the charged amount exactly. The
+  // snapshot total still counts items removed since, so they lower the price.
+  const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+  const items = itemsRes.rows.map(({ list_price: listPrice, ...item }) => ({
+    ...item,
+    included: item.available && !item.owned,
+    listPaise: toPaise(listPrice),
+  }));
+  const included = items.filter((item) => item.included);
+  const listTotal = toPaise(bundle.list_total);
+  const includedTotal = included.reduce((total, item) => total + item.listPaise, 0);
+  const chargePaise =
+    listTotal > 0 ? Math.round((toPaise(bundle.price) * includedTotal) / listTotal) : 0;
+
+  let allocated = 0;
+  included.forEach((item, index) => {
+    if (index === included.length - 1) {
+      item.amountPaise = chargePaise - allocated;
+    } else {
+      item.amountPaise =
+        includedTotal > 0 ? Math.floor((chargePaise * item.listPaise) / includedTotal) : 0;
+    }
+    allocated += item.amountPaise;
+  });
+
+  return {
+    bundle_id: bundle.id,
+    seller_id: bundle.seller_id,
+    title: bundle.title,
+    bundle_price: bundle.price,
+    price: (chargePaise / 100).toFixed(2),
+    items: items.map(({ listPaise: _listPaise, amountPaise, ...item }) => ({
+      ...item,
+      amount: item.included ? (amountPaise / 100).toFixed(2) : null,
+    })),
+  };
+}
+
+/**
+ * Delete a bundle (seller only). Purchases made through it are kept.
+ */
+async function deleteBundle(bundleId, sellerId) {
+  const result = await pool.query(
+    'DELETE FROM pdf_bundles WHERE id = $1 AND seller_id = $2 RETURNING cover_path',
+    [bundleId, sellerId]
+  );
+  if (result.rows.length === 0) {
+    const err = new Error('Bundle not found or you do not own it');
+    err.status = 404;
+    throw err;
+  }
+
+  const { cover_path: coverPath } = result.rows[0];
+  if (coverPath) {
+    const { error } = await storage.remove([coverPath]);
+    if (error) console.error('Failed to delete bundle cover from storage:', error.message);
+  }
+  return { message: 'Bundle deleted' };
+}
+
+/**
+ * Delete all of a seller's bundles (account deletion).
+ */
+async function deleteSellerBundles(sellerId) {
+  const result = await pool.query(
+    'DELETE FROM pdf_bundles WHERE seller_id = $1 RETURNING cover_path',
+    [sellerId]
+  );
+  const coverPaths = result.rows.map((row) => row.cover_path).filter(Boolean);
+  if (coverPaths.length > 0) {
+    const { error } = await storage.remove(coverPaths);
+    if (error) console.error('Failed to delete bundle covers from storage:', error.message);
+  }
+  return result.rows.length;
+}
+
+module.exports = {
+  MIN_BUNDLE_ITEMS,
+  createBundle,
+  listSellerBundles,
+  getBundleById,
+  getBundleByCode,
+  quoteBundle,
+  deleteBundle,
+  deleteSellerBundles,
+};
@@ -0,0 +1,96 @@
+/**
+ * Content tickets — short-lived, single-client links to a purchased PDF.
+ *
+ * The mobile viewer loads the PDF from a plain URL and cannot attach the
+ * Authorization header, so the app first asks for a ticket and then opens
+ * GET /api/pdf/:id/content?ticket=<ticket>. The first request that presents
+ * the ticket (within TICKET_TTL_SECONDS) binds it to that client's IP and
+ * User-Agent; the viewer's HEAD probe and Range requests for further pages
+ * reuse the same URL and are accepted from that client for
+ * STREAM_SESSION_SECONDS. A forwarded link fails on any other client. Only
+ * the SHA-256 of the ticket is stored.
+ */
+const crypto = require('crypto');
+const pool = require('../database/pool');
+
+const TICKET_TTL_SECONDS = 60;
+const STREAM_SESSION_SECONDS = 10 * 60;
+const TICKET_BYTES = 32;
+
+function _hashTicket(ticket) {
+  return crypto.createHash('sha256').update(String(ticket)).digest('hex');
+}
+
+function _hashClient({ ipAddress, userAgent } = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(`${ipAddress || ''}\n${userAgent || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Issue a ticket for one product (and optionally one version).
+ * Callers must have checked the purchase already.
+ */
+async function createContentTicket({ userId, productId, versionNumber = null }) {
+  const ticket = crypto.randomBytes(TICKET_BYTES).toString('base64url');
+  await pool.query(
+    `INSERT INTO content_tickets (token_hash, user_id, product_id, version_number, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(secs => $5::int))`,
+    [_hashTicket(ticket), userId, productId, versionNumber, TICKET_TTL_SECONDS]
+  );
+  return { ticket, expires_in: TICKET_TTL_SECONDS };
+}
+
+/**
+ * Redeem a ticket for one request from `client` ({ ipAddress, userAgent }):
+ * an unused ticket is bound to the client, a used one only serves the
+ * client it is bound to. Returns the user and version it was issued for.
+ */
+async function redeemContentTicket({ productId, ticket, client = {} }) {
+  const result = await pool.query(
+    `UPDATE content_tickets t
+     SET used_at = COALESCE(t.used_at, NOW()),
+         client_hash = COALESCE(t.client_hash, $3),
+         session_expires_at = COALESCE(
+           t.session_expires_at, NOW() + make_interval(secs => $4::int)
+         )
+     FROM users u
+     WHERE t.token_hash = $1
+       AND t.product_id = $2
+       AND (
+         (t.used_at IS NULL AND t.expires_at > NOW())
+         OR (t.client_hash = $3 AND t.session_expires_at > NOW())
+       )
+       AND u.id = t.user_id
+       AND u.is_banned = false
+     RETURNING t.user_id, t.version_number`,
+    [_hashTicket(ticket), productId, _hashClient(client), STREAM_SESSION_SECONDS]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Link is invalid or has expired');
+    err.status = 401;
+    throw err;
+  }
+  return result.rows[0];
+}
+
+/**
+ * Delete tickets that can no longer be used (background job).
+ */
+async function purgeExpiredContentTickets() {
+  const result = await pool.query(
+    `DELETE FROM content_tickets
+     WHERE GREATEST(expires_at, COALESCE(session_expires_at, expires_at))
+           < NOW() - INTERVAL '1 hour'`
+  );
+  return { purged: result.rowCount };
+}
+
+module.exports = {
+  TICKET_TTL_SECONDS,
+  createContentTicket,
+  redeemContentTicket,
+  purgeExpiredContentTickets,
+};
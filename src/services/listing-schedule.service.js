@@ -0,0 +1,109 @@
+/**
+ * Listing schedule — when a listing is on sale.
+ *
+ * Sellers may set `publish_at` (not on sale before) and `unpublish_at` (off
+ * sale from then on). `is_published` caches whether NOW() is inside that
+ * window: it is set when the seller changes the schedule and flipped by the
+ * listing-schedule job as the times pass, with an audit entry per flip.
+ * Public reads require it in addition to is_active and approval; purchases
+ * are unaffected, so buyers keep their access after a listing expires.
+ */
+const pool = require('../database/pool');
+const { logAudit } = require('./audit.service');
+
+// Whether NOW() is inside the row's window (for the scheduler's UPDATEs).
+const IN_WINDOW_SQL =
+  '(publish_at IS NULL OR publish_at <= NOW()) AND (unpublish_at IS NULL OR unpublish_at > NOW())';
+
+// undefined = unchanged, null or '' = cleared.
+function _parseTime(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const err = new Error(`${field} must be a valid date`);
+    err.status = 400;
+    throw err;
+  }
+  return date;
+}
+
+function isWithinWindow(publishAt, unpublishAt, now = new Date()) {
+  return (!publishAt || publishAt <= now) && (!unpublishAt || unpublishAt > now);
+}
+
+/**
+ * Validate a schedule change against the listing's `current` schedule
+ * (empty for a new listing). Returns the full schedule with `isPublished`.
+ */
+function resolveSchedule({ publishAt, unpublishAt }, current = {}) {
+  const nextPublishAt = _parseTime(publishAt, 'publish_at');
+  const nextUnpublishAt = _parseTime(unpublishAt, 'unpublish_at');
+  const now = new Date();
+
+  if (nextUnpublishAt && nextUnpublishAt <= now) {
+    const err = new Error('unpublish_at must be in the future');
+    err.status = 400;
+    throw err;
+  }
+
+  const schedule = {
+    publishAt: nextPublishAt === undefined ? current.publish_at || null : nextPublishAt,
+    unpublishAt: nextUnpublishAt === undefined ? current.unpublish_at || null : nextUnpublishAt,
+  };
+  if (schedule.publishAt && schedule.unpublishAt && schedule.unpublishAt <= schedule.publishAt) {
+    const err = new Error('unpublish_at must be later than publish_at');
+    err.status = 400;
+    throw err;
+  }
+
+  const isPublished = isWithinWindow(schedule.publishAt, schedule.unpublishAt, now);
+  return { ...schedule, isPublished };
+}
+
+function _logFlips(rows, action) {
+  rows.forEach((row) => {
+    logAudit({
+      actorType: 'system',
+      action,
+      targetType: 'pdf_product',
+      targetId: row.id,
+      metadata: {
+        seller_id: row.seller_id,
+        publish_at: row.publish_at,
+        unpublish_at: row.unpublish_at,
+      },
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Publish listings whose window has opened and unpublish those whose window
+ * has closed (background job). The conditional UPDATEs claim each flip, so
+ * it is audited once even with several instances running.
+ */
+async function applyListingSchedules() {
+  const published = await pool.query(
+    `UPDATE pdf_products
+     SET is_published = true, updated_at = NOW()
+     WHERE is_published = false AND ${IN_WINDOW_SQL}
+     RETURNING id, seller_id, publish_at, unpublish_at`
+  );
+  const unpublished = await pool.query(
+    `UPDATE pdf_products
+     SET is_published = false, updated_at = NOW()
+     WHERE is_published = true AND NOT (${IN_WINDOW_SQL})
+     RETURNING id, seller_id, publish_at, unpublish_at`
+  );
+
+  _logFlips(published.rows, 'product.published');
+  _logFlips(unpublished.rows, 'product.unpublished');
+
+  return { published: published.rowCount, unpublished: unpublished.rowCount };
+}
+
+module.exports = {
+  resolveSchedule,
+  applyListingSchedules,
+};
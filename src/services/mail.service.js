@@ -0,0 +1,86 @@
+/**
+ * Mail service — pluggable outbound email.
+ *
+ * TRANSPORTS (MAIL_TRANSPORT):
+ * - console : prints the message to stdout (default, local development).
+ * - file    : writes each message as a .json file into MAIL_OUTBOX_DIR,
+ *             handy for inspecting links without a real inbox.
+ * - smtp    : sends through an SMTP relay using nodemailer.
+ *
+ * Additional transports can be added with registerTransport(name, factory),
+ * where factory(config.mail) returns { send(message) }.
+ */
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const transportFactories = {
+  console: () => ({
+    async send(message) {
+      console.log(
+        `📧  [mail] to=${message.to} subject="${message.subject}"\n${message.text}`
+      );
+    },
+  }),
+
+  file: (mailConfig) => ({
+    async send(message) {
+      const outboxDir = path.resolve(mailConfig.outboxDir);
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  }),
+
+  smtp: (mailConfig) => {
+    // Required lazily so console/file setups don't need SMTP settings.
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: mailConfig.smtp.host,
+      port: mailConfig.smtp.port,
+      secure: mailConfig.smtp.secure,
+      auth: mailConfig.smtp.user
+        ? { user: mailConfig.smtp.user, pass: mailConfig.smtp.password }
+        : undefined,
+    });
+    return {
+      async send(message) {
+        await transporter.sendMail(message);
+      },
+    };
+  },
+};
+
+let activeTransport = null;
+
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  activeTransport = null;
+}
+
+function _getTransport() {
+  if (activeTransport) return activeTransport;
+
+  const factory = transportFactories[config.mail.transport];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+  }
+  activeTransport = factory(config.mail);
+  return activeTransport;
+}
+
+/**
+ * Send an email.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+async function sendMail({ to, subject, text, html = null }) {
+  const message = { from: config.mail.from, to, subject, text };
+  if (html) message.html = html;
+  await _getTransport().send(message);
+}
+
+module.exports = { sendMail, registerTransport };
@@ -26,29 +26,88 @@
  * ═══════════════════════════════════════════════════════════════
  *
  *   total_amount   = product price (what buyer pays)
- *   platform_fee   = total_amount × PLATFORM_COMMISSION_RATE (10%)
- *   seller_amount  = total_amount − platform_fee             (90%)
+ *   platform_fee   = total_amount × the seller's plan commission rate
+ *                    (config.plans; free plan: PLATFORM_COMMISSION_RATE, 10%)
+ *   seller_amount  = total_amount − platform_fee
  *
  * Both amounts are stored in the `earnings` table per purchase,
  * creating an auditable ledger.
+ *
+ * A bundle order creates one purchase per included product, all sharing
+ * the Razorpay order; each carries its share of the bundle price
+ * (bundle.service.js quoteBundle) and gets its own earnings row. Unpaid
+ * rows are only ever removed together with the rest of their order, and a
+ * product in another checkout's pending order (single vs bundle) cannot be
+ * ordered again until that order is abandoned.
  * ═══════════════════════════════════════════════════════════════
  */
 const crypto = require('crypto');
 const pool = require('../database/pool');
 const razorpay = require('../config/razorpay');
 const config = require('../config');
+const { getPlanLimits } = require('../config/plans');
+const bundleService = require('./bundle.service');
+
+// A pending order this old is treated as abandoned and may be replaced.
+const ABANDONED_ORDER_MS = 30 * 60 * 1000;
 
 /**
- * Create a Razorpay order and a pending purchase record.
+ * Remove the buyer's unpaid purchases of `productIds` so a new order can be
+ * created, together with every other row of their Razorpay orders. Refuses
+ * (409) while one of them belongs to a recent pending order of a different
+ * checkout — the single product versus a bundle, or another bundle.
  */
-async function createOrder({ buyerId, productId }) {
+async function _releaseUnpaidPurchases(buyerId, productIds, bundleId = null) {
+  const result = await pool.query(
+    `SELECT id, bundle_id, razorpay_order_id, status, created_at
+     FROM purchases
+     WHERE buyer_id = $1 AND product_id = ANY($2::uuid[]) AND status <> 'paid'`,
+    [buyerId, productIds]
+  );
+  if (result.rows.length === 0) return;
+
+  const abandonedBefore = Date.now() - ABANDONED_ORDER_MS;
+  const conflict = result.rows.find(
+    (row) =>
+      row.status === 'pending' &&
+      (row.bundle_id || null) !== (bundleId || null) &&
+      new Date(row.created_at).getTime() > abandonedBefore
+  );
+  if (conflict) {
+    const err = new Error(
+      'Another checkout for this product is still pending. Complete it or try again later'
+    );
+    err.status = 409;
+    throw err;
+  }
+
+  const orderIds = [...new Set(result.rows.map((row) => row.razorpay_order_id).filter(Boolean))];
+  await pool.query(
+    `DELETE FROM purchases
+     WHERE buyer_id = $1
+       AND status <> 'paid'
+       AND (id = ANY($2::uuid[]) OR razorpay_order_id = ANY($3::text[]))`,
+    [buyerId, result.rows.map((row) => row.id), orderIds]
+  );
+}
+
+/**
+ * Create a Razorpay order and a pending purchase record (or, for a
+ * bundle, one per included product).
+ */
+async function createOrder({ buyerId, productId, bundleId }) {
+  if (bundleId) {
+    return _createBundleOrder({ buyerId, bundleId });
+  }
+
   // 1. Fetch product
   const productRes = await pool.query(
     `SELECT id, seller_id, price
      FROM pdf_products
      WHERE id = $1
        AND is_active = true
-       AND review_status = 'approved'`,
+       AND review_status = 'approved'
+       AND is_published = true`,
     [productId]
   );
 
@@ -82,7 +141,7 @@ async function createOrder({ buyerId, productId }) {
       throw err;
     }
     // If a pending/failed order exists, delete it so we can create a new one
-    await pool.query('DELETE FROM purchases WHERE id = $1', [existing.id]);
+    await _releaseUnpaidPurchases(buyerId, [productId]);
   }
 
   // 3. Handle free PDFs (price = 0) - auto-complete purchase
@@ -91,8 +150,9 @@ async function createOrder({ buyerId, productId }) {
   if (price === 0) {
     // Insert purchase record as paid and get the purchase ID
     const purchaseRes = await pool.query(
-      `INSERT INTO purchases (buyer_id, product_id, amount, status)
-       VALUES ($1, $2, $3, 'paid')
+      `INSERT INTO purchases (buyer_id, product_id, amount, status, seen_version_number)
+       VALUES ($1, $2, $3, 'paid',
+               (SELECT current_version_number FROM pdf_products WHERE id = $2))
        RETURNING id`,
       [buyerId, productId, 0]
     );
@@ -138,6 +198,107 @@ async function createOrder({ buyerId, productId }) {
   };
 }
 
+async function _createBundleOrder({ buyerId, bundleId }) {
+  // 1. Price the bundle for this buyer (owned products are left out)
+  const quote = await bundleService.quoteBundle(bundleId, buyerId);
+
+  if (quote.seller_id === buyerId) {
+    const err = new Error('You cannot purchase your own bundle');
+    err.status = 400;
+    throw err;
+  }
+
+  const items = quote.items.filter((item) => item.included);
+  if (items.length === 0) {
+    const err = new Error('You already own everything in this bundle');
+    err.status = 409;
+    throw err;
+  }
+  const productIds = items.map((item) => item.product_id);
+  const amounts = items.map((item) => item.amount);
+
+  // 2. Drop pending/failed orders for these products so they can be re-created
+  await _releaseUnpaidPurchases(buyerId, productIds, bundleId);
+
+  // 3. Nothing to pay (free products or a free bundle) - auto-complete
+  const price = parseFloat(quote.price);
+  if (price === 0) {
+    const purchaseRes = await pool.query(
+      `INSERT INTO purchases (buyer_id, product_id, bundle_id, amount, status, seen_version_number)
+       SELECT $1, p.id, $2, 0, 'paid', p.current_version_number
+       FROM pdf_products p
+       WHERE p.id = ANY($3::uuid[])
+       RETURNING id, product_id, amount`,
+      [buyerId, bundleId, productIds]
+    );
+    await _recordEarnings(purchaseRes.rows);
+
+    return {
+      free: true,
+      message: 'Free bundle acquired successfully',
+      product_ids: productIds,
+    };
+  }
+
+  // 4. Create one Razorpay order for the whole bundle (amount in paise)
+  const amountPaise = Math.round(price * 100);
+  const order = await razorpay.orders.create({
+    amount: amountPaise,
+    currency: 'INR',
+    receipt: `rcpt_${String(bundleId).slice(0, 8)}_${Date.now().toString().slice(-10)}`,
+    notes: {
+      bundle_id: bundleId,
+      buyer_id: buyerId,
+    },
+  });
+
+  // 5. Insert a pending purchase per product with its share of the price
+  await pool.query(
+    `INSERT INTO purchases (buyer_id, product_id, bundle_id, razorpay_order_id, amount, status)
+     SELECT $1, item.product_id, $2, $3, item.amount, 'pending'
+     FROM unnest($4::uuid[], $5::numeric[]) AS item(product_id, amount)`,
+    [buyerId, bundleId, order.id, productIds, amounts]
+  );
+
+  return {
+    order_id: order.id,
+    amount: amountPaise,
+    currency: 'INR',
+    key: config.razorpay.keyId,
+    bundle_id: bundleId,
+    product_ids: productIds,
+  };
+}
+
+/**
+ * Compute commission (at the seller's plan rate) and store an earnings row
+ * for each paid purchase.
+ */
+async function _recordEarnings(purchases) {
+  for (const purchase of purchases) {
+    const productRes = await pool.query(
+      `SELECT p.seller_id, u.seller_plan
+       FROM pdf_products p
+       JOIN users u ON u.id = p.seller_id
+       WHERE p.id = $1`,
+      [purchase.product_id]
+    );
+    const { seller_id: sellerId, seller_plan: sellerPlan } = productRes.rows[0];
+
+    const totalAmount = parseFloat(purchase.amount);
+    const commissionRate = getPlanLimits(sellerPlan).commissionRate;
+    const platformFee = +(totalAmount * commissionRate).toFixed(2);
+    const sellerAmount = +(totalAmount - platformFee).toFixed(2);
+
+    await pool.query(
+      `INSERT INTO earnings (purchase_id, seller_id, total_amount, platform_fee, seller_amount)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT DO NOTHING`,
+      [purchase.id, sellerId, totalAmount, platformFee, sellerAmount]
+    );
+  }
+}
+
 /**
  * Handle Razorpay webhook event.
  *
@@ -169,11 +330,14 @@ async function handleWebhook(rawBody, signature) {
   const orderId = payment.order_id;
   const paymentId = payment.id;
 
-  // ── Step 3: Update purchase → paid ─────────────────────────
+  // ── Step 3: Update purchase(s) → paid ──────────────────────
   const purchaseRes = await pool.query(
     `UPDATE purchases
      SET    status = 'paid',
             razorpay_payment_id = $1,
+            seen_version_number = (
+              SELECT current_version_number FROM pdf_products WHERE id = purchases.product_id
+            ),
             updated_at = NOW()
      WHERE  razorpay_order_id = $2 AND status = 'pending'
      RETURNING id, product_id, amount`,
@@ -185,27 +349,14 @@ async function handleWebhook(rawBody, signature) {
     return { status: 'already_processed' };
   }
 
-  const purchase = purchaseRes.rows[0];
-
   // ── Step 4: Compute commission & store in earnings ─────────
-  const totalAmount = parseFloat(purchase.amount);
-  const platformFee = +(totalAmount * config.platform.commissionRate).toFixed(2);
-  const sellerAmount = +(totalAmount - platformFee).toFixed(2);
-
-  // Find seller
-  const productRes = await pool.query(
-    'SELECT seller_id FROM pdf_products WHERE id = $1',
-    [purchase.product_id]
-  );
-  const sellerId = productRes.rows[0].seller_id;
+  await _recordEarnings(purchaseRes.rows);
 
-  await pool.query(
-    `INSERT INTO earnings (purchase_id, seller_id, total_amount, platform_fee, seller_amount)
-     VALUES ($1, $2, $3, $4, $5)`,
-    [purchase.id, sellerId, totalAmount, platformFee, sellerAmount]
-  );
-
-  return { status: 'success', purchase_id: purchase.id };
+  return {
+    status: 'success',
+    purchase_id: purchaseRes.rows[0].id,
+    purchase_ids: purchaseRes.rows.map((purchase) => purchase.id),
+  };
 }
 
 /**
@@ -227,11 +378,14 @@ async function verifyPayment({ razorpay_order_id, razorpay_payment_id, razorpay_
     throw err;
   }
 
-  // ── Step 2: Update purchase → paid ────────────────────────
+  // ── Step 2: Update purchase(s) → paid ─────────────────────
   const purchaseRes = await pool.query(
     `UPDATE purchases
      SET    status = 'paid',
             razorpay_payment_id = $1,
+            seen_version_number = (
+              SELECT current_version_number FROM pdf_products WHERE id = purchases.product_id
+            ),
             updated_at = NOW()
      WHERE  razorpay_order_id = $2 AND status = 'pending'
      RETURNING id, product_id, amount`,
@@ -243,27 +397,14 @@ async function verifyPayment({ razorpay_order_id, razorpay_payment_id, razorpay_
     return { status: 'already_processed' };
   }
 
-  const purchase = purchaseRes.rows[0];
-
   // ── Step 3: Compute commission & store in earnings ─────────
-  const totalAmount = parseFloat(purchase.amount);
-  const platformFee = +(totalAmount * config.platform.commissionRate).toFixed(2);
-  const sellerAmount = +(totalAmount - platformFee).toFixed(2);
-
-  const productRes = await pool.query(
-    'SELECT seller_id FROM pdf_products WHERE id = $1',
-    [purchase.product_id]
-  );
-  const sellerId = productRes.rows[0].seller_id;
+  await _recordEarnings(purchaseRes.rows);
 
-  await pool.query(
-    `INSERT INTO earnings (purchase_id, seller_id, total_amount, platform_fee, seller_amount)
-     VALUES ($1, $2, $3, $4, $5)
-     ON CONFLICT DO NOTHING`,
-    [purchase.id, sellerId, totalAmount, platformFee, sellerAmount]
-  );
-
-  return { status: 'success', purchase_id: purchase.id };
+  return {
+    status: 'success',
+    purchase_id: purchaseRes.rows[0].id,
+    purchase_ids: purchaseRes.rows.map((purchase) => purchase.id),
+  };
 }
 
 module.exports = { createOrder, handleWebhook, verifyPayment };
@@ -0,0 +1,224 @@
+/**
+ * File fingerprints — spotting re-uploads of someone else's PDF.
+ *
+ * Two fingerprints are kept per stored file (pdf_versions):
+ * - file_sha256   — exact copies, including a buyer re-uploading the file
+ *                   they were delivered (unwatermarked). Watermarked copies
+ *                   are matched exactly through purchase_watermarks.sha256.
+ * - text_minhash  — a MinHash signature over 9-character shingles of the
+ *                   text drawn on the pages. Two files share about as many
+ *                   signature slots as their texts share shingles, so
+ *                   watermarked copies, re-saves and small edits still match.
+ *                   Image-only scans have no text signature.
+ *
+ * findDuplicate() compares an upload against every other seller's files and
+ * the banned_files list.
+ */
+const crypto = require('crypto');
+const { PDFDocument } = require('pdf-lib');
+const pool = require('../database/pool');
+const storage = require('./storage.service');
+const { pageText } = require('./pdf-watermark.service');
+
+const MINHASH_SIZE = 64;
+const SHINGLE_LENGTH = 9;
+const MIN_SHINGLES = 200; // roughly a short page of text
+const MAX_TEXT_CHARS = 500000;
+const SIMILARITY_THRESHOLD = 0.8;
+const BACKFILL_BATCH_SIZE = 10;
+
+// Fixed (a, b) pairs for the hash family a·x + b; must never change, or
+// stored signatures stop being comparable.
+const HASH_PARAMS = Array.from({ length: MINHASH_SIZE }, (_, i) => {
+  const digest = crypto.createHash('sha256').update(`minhash:${i}`).digest();
+  return [digest.readUInt32LE(0) | 1, digest.readUInt32LE(4)];
+});
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// FNV-1a over one shingle.
+function _hashShingle(text, start) {
+  let hash = 0x811c9dc5;
+  for (let i = start; i < start + SHINGLE_LENGTH; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * MinHash signature of the PDF's text, or null when there is too little
+ * text to compare (scanned pages, covers only).
+ */
+async function textMinhash(pdfBuffer) {
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+  } catch (_err) {
+    return null;
+  }
+
+  let text = '';
+  for (const page of pdfDoc.getPages()) {
+    text += pageText(pdfDoc, page).toLowerCase().replace(/\s+/g, '');
+    if (text.length >= MAX_TEXT_CHARS) break;
+  }
+  text = text.slice(0, MAX_TEXT_CHARS);
+
+  const shingles = text.length - SHINGLE_LENGTH + 1;
+  if (shingles < MIN_SHINGLES) return null;
+
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (let start = 0; start < shingles; start++) {
+    const hash = _hashShingle(text, start);
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const value = (Math.imul(HASH_PARAMS[i][0], hash) + HASH_PARAMS[i][1]) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  // Stored as INTEGER[] (signed 32-bit).
+  return signature.map((value) => value | 0);
+}
+
+/**
+ * Fingerprint a file about to be stored.
+ *
+ * @param {Buffer} storedBuffer   — the bytes that will be stored (after sanitising)
+ * @param {Buffer} [uploadBuffer] — the bytes as uploaded, if different
+ * @returns {Promise<{ sha256: string, uploadSha256: string, textMinhash: number[]|null }>}
+ */
+async function fingerprintPdf(storedBuffer, uploadBuffer = storedBuffer) {
+  const storedSha = sha256(storedBuffer);
+  return {
+    sha256: storedSha,
+    uploadSha256: uploadBuffer === storedBuffer ? storedSha : sha256(uploadBuffer),
+    textMinhash: await textMinhash(storedBuffer),
+  };
+}
+
+/**
+ * Look for the file an upload duplicates, most serious match first:
+ * - banned  — exact copy of a banned file or of a banned seller's file
+ * - exact   — exact copy of another seller's file, or of a buyer's watermarked copy of it
+ * - similar — text similarity ≥ SIMILARITY_THRESHOLD with another seller's file
+ *
+ * @returns {Promise<{ match: string, productId: string|null, title: string|null,
+ *                     similarity: number }|null>}
+ */
+async function findDuplicate({ sellerId, fingerprint }) {
+  const hashes = [...new Set([fingerprint.sha256, fingerprint.uploadSha256])];
+
+  const bannedRes = await pool.query(
+    `SELECT product_id, title FROM (
+       SELECT p.id AS product_id, b.title, b.created_at
+       FROM banned_files b
+       LEFT JOIN pdf_products p ON p.id = b.product_id
+       WHERE b.file_sha256 = ANY($1::text[])
+       UNION ALL
+       SELECT p.id, p.title, v.created_at
+       FROM pdf_versions v
+       JOIN pdf_products p ON p.id = v.product_id
+       JOIN users u ON u.id = p.seller_id
+       WHERE v.file_sha256 = ANY($1::text[])
+         AND u.is_banned = true
+     ) banned
+     ORDER BY created_at
+     LIMIT 1`,
+    [hashes]
+  );
+  if (bannedRes.rows.length > 0) {
+    const { product_id: productId, title } = bannedRes.rows[0];
+    return { match: 'banned', productId, title, similarity: 1 };
+  }
+
+  const exactRes = await pool.query(
+    `SELECT id, title FROM (
+       SELECT p.id, p.title, v.created_at
+       FROM pdf_versions v
+       JOIN pdf_products p ON p.id = v.product_id
+       WHERE v.file_sha256 = ANY($2::text[])
+         AND p.seller_id <> $1
+       UNION ALL
+       SELECT p.id, p.title, w.created_at
+       FROM purchase_watermarks w
+       JOIN pdf_products p ON p.id = w.product_id
+       WHERE w.sha256 = ANY($2::text[])
+         AND p.seller_id <> $1
+     ) exact
+     ORDER BY created_at
+     LIMIT 1`,
+    [sellerId, hashes]
+  );
+  if (exactRes.rows.length > 0) {
+    const { id: productId, title } = exactRes.rows[0];
+    return { match: 'exact', productId, title, similarity: 1 };
+  }
+
+  if (!fingerprint.textMinhash) return null;
+
+  const similarRes = await pool.query(
+    `SELECT id, title, similarity FROM (
+       SELECT p.id, p.title, v.created_at,
+              (SELECT COUNT(*) FROM unnest(v.text_minhash, $2::int[]) AS m(a, b) WHERE a = b)::float
+                / $3 AS similarity
+       FROM pdf_versions v
+       JOIN pdf_products p ON p.id = v.product_id
+       WHERE v.text_minhash IS NOT NULL
+         AND p.seller_id <> $1
+     ) scored
+     WHERE similarity >= $4
+     ORDER BY similarity DESC, created_at
+     LIMIT 1`,
+    [sellerId, fingerprint.textMinhash, MINHASH_SIZE, SIMILARITY_THRESHOLD]
+  );
+  if (similarRes.rows.length > 0) {
+    const { id: productId, title, similarity } = similarRes.rows[0];
+    return { match: 'similar', productId, title, similarity: Math.round(similarity * 1000) / 1000 };
+  }
+
+  return null;
+}
+
+/**
+ * Fingerprint stored files that have none yet (uploaded before
+ * fingerprinting existed). Files that cannot be read are marked as tried.
+ *
+ * @param {string[]} [versionIds] — only these versions; default: the oldest batch
+ */
+async function fingerprintStoredVersions(versionIds = null) {
+  const result = await pool.query(
+    `SELECT id, file_path FROM pdf_versions
+     WHERE fingerprinted_at IS NULL
+       AND ($1::uuid[] IS NULL OR id = ANY($1::uuid[]))
+     ORDER BY created_at
+     LIMIT $2`,
+    [versionIds, versionIds ? versionIds.length : BACKFILL_BATCH_SIZE]
+  );
+
+  let fingerprinted = 0;
+  for (const version of result.rows) {
+    const { data, error } = await storage.download(version.file_path);
+    const fingerprint = error ? null : await fingerprintPdf(data);
+    if (error) {
+      console.error(`Fingerprint skipped for version ${version.id}:`, error.message);
+    }
+    await pool.query(
+      `UPDATE pdf_versions
+       SET file_sha256 = $2, text_minhash = $3::int[], fingerprinted_at = NOW()
+       WHERE id = $1`,
+      [version.id, fingerprint?.sha256 ?? null, fingerprint?.textMinhash ?? null]
+    );
+    if (fingerprint) fingerprinted++;
+  }
+  return { fingerprinted };
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  sha256,
+  fingerprintPdf,
+  findDuplicate,
+  fingerprintStoredVersions,
+};
@@ -0,0 +1,169 @@
+/**
+ * PDF inspection — structural validation and metadata extraction.
+ *
+ * Multer only checks the client-supplied mimetype, so every uploaded
+ * PDF is inspected here before it reaches storage:
+ *
+ * 1. Magic bytes  — a "%PDF-x.y" header within the first 1 KB.
+ * 2. Trailer/xref — the last `startxref` must point at an `xref` table or
+ *                   an xref stream object, and the file must end in %%EOF.
+ * 3. Parse        — pdf-lib must load every object without errors.
+ * 4. Encryption   — password-protected / encrypted files are rejected
+ *                   (buyers could not open them and we cannot scan them).
+ *
+ * Extracted: page count, PDF version, embedded title/author and whether
+ * any page draws text (scanned image-only PDFs have no text layer).
+ */
+const { PDFDocument, PDFName, PDFArray, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+const HEADER_SEARCH_BYTES = 1024;
+const TRAILER_SEARCH_BYTES = 2048;
+const TEXT_SCAN_MAX_PAGES = 50;
+const MAX_METADATA_LENGTH = 500;
+
+// Text-showing operators: Tj, TJ, ' and "
+const TEXT_OPERATOR_PATTERN = /(?:\)|\]|>)\s*(?:Tj|TJ|'|")/;
+
+function _invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function _findHeader(buffer) {
+  const head = buffer.subarray(0, HEADER_SEARCH_BYTES).toString('latin1');
+  const match = /%PDF-(\d\.\d)/.exec(head);
+  if (!match) return null;
+  return { offset: match.index, version: match[1] };
+}
+
+/**
+ * Check that the last startxref offset lands on a cross-reference section.
+ */
+function _checkXref(buffer, headerOffset) {
+  const tail = buffer.subarray(Math.max(0, buffer.length - TRAILER_SEARCH_BYTES)).toString('latin1');
+
+  if (!/%%EOF\s*$/.test(tail)) {
+    throw _invalid('The PDF file is incomplete or corrupted (missing end-of-file marker)');
+  }
+
+  const startxrefMatches = [...tail.matchAll(/startxref\s+(\d+)/g)];
+  if (startxrefMatches.length === 0) {
+    throw _invalid('The PDF file is corrupted (missing cross-reference pointer)');
+  }
+
+  // Offsets are relative to the header when junk precedes it.
+  const offset = Number(startxrefMatches[startxrefMatches.length - 1][1]) + headerOffset;
+  if (!Number.isSafeInteger(offset) || offset >= buffer.length) {
+    throw _invalid('The PDF file is corrupted (cross-reference pointer out of range)');
+  }
+
+  const atOffset = buffer.subarray(offset, offset + 64).toString('latin1').replace(/^\s+/, '');
+  if (!atOffset.startsWith('xref') && !/^\d+\s+\d+\s+obj\b/.test(atOffset)) {
+    throw _invalid('The PDF file is corrupted (invalid cross-reference table)');
+  }
+}
+
+function _cleanMetadata(value) {
+  if (value == null) return null;
+  const cleaned = String(value).replace(/\u0000/g, '').trim();
+  return cleaned ? cleaned.slice(0, MAX_METADATA_LENGTH) : null;
+}
+
+function _safeGet(getter) {
+  try {
+    return _cleanMetadata(getter());
+  } catch (_err) {
+    return null;
+  }
+}
+
+function _contentStreams(page) {
+  const contents = page.node.get(PDFName.of('Contents'));
+  if (!contents) return [];
+
+  const resolved = page.doc.context.lookup(contents);
+  const refs = resolved instanceof PDFArray ? resolved.asArray() : [contents];
+  return refs
+    .map((ref) => page.doc.context.lookup(ref))
+    .filter((stream) => stream instanceof PDFRawStream);
+}
+
+function _pageHasText(page) {
+  for (const stream of _contentStreams(page)) {
+    try {
+      const content = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+      if (TEXT_OPERATOR_PATTERN.test(content)) return true;
+    } catch (_err) {
+      // Unsupported filter (e.g. image codecs) — not text.
+    }
+  }
+  return false;
+}
+
+function _catalogVersion(pdfDoc) {
+  const version = pdfDoc.catalog.get(PDFName.of('Version'));
+  if (!version) return null;
+  const match = /(\d\.\d)/.exec(version.toString());
+  return match ? match[1] : null;
+}
+
+/**
+ * Validate a PDF buffer and extract its metadata.
+ * Throws a 400 error for anything that is not a readable, unencrypted PDF.
+ *
+ * @returns {Promise<{ pageCount: number, pdfVersion: string, title: string|null,
+ *                     author: string|null, hasText: boolean }>}
+ */
+async function inspectPdf(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw _invalid('The uploaded PDF is empty');
+  }
+
+  const header = _findHeader(buffer);
+  if (!header) {
+    throw _invalid('The uploaded file is not a PDF');
+  }
+
+  _checkXref(buffer, header.offset);
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(buffer, {
+      ignoreEncryption: true,
+      throwOnInvalidObject: true,
+      updateMetadata: false,
+    });
+  } catch (_err) {
+    throw _invalid('The PDF file is corrupted and could not be read');
+  }
+
+  if (pdfDoc.isEncrypted) {
+    throw _invalid('Password-protected or encrypted PDFs are not allowed');
+  }
+
+  const pageCount = pdfDoc.getPageCount();
+  if (pageCount === 0) {
+    throw _invalid('The PDF has no pages');
+  }
+
+  const pages = pdfDoc.getPages().slice(0, TEXT_SCAN_MAX_PAGES);
+  const hasText = pages.some((page) => _pageHasText(page));
+
+  // The catalog /Version entry overrides the header when it is newer.
+  const catalogVersion = _catalogVersion(pdfDoc);
+  const pdfVersion =
+    catalogVersion && Number(catalogVersion) > Number(header.version)
+      ? catalogVersion
+      : header.version;
+
+  return {
+    pageCount,
+    pdfVersion,
+    title: _safeGet(() => pdfDoc.getTitle()),
+    author: _safeGet(() => pdfDoc.getAuthor()),
+    hasText,
+  };
+}
+
+module.exports = { inspectPdf };
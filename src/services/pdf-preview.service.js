@@ -0,0 +1,131 @@
+/**
+ * Preview excerpts — a few pages of a PDF that anyone can read before buying.
+ *
+ * The seller picks a page range ("1-3", "5"); the pages are copied into a
+ * new document and every page is stamped with a diagonal "Preview" mark
+ * and a footer. A preview may cover at most half of the document (and at
+ * most MAX_PREVIEW_PAGES pages), so single-page PDFs cannot have one.
+ */
+const { PDFDocument, StandardFonts, degrees, rgb } = require('pdf-lib');
+
+const MAX_PREVIEW_PAGES = 10;
+const WATERMARK_TEXT = 'Preview';
+const WATERMARK_OPACITY = 0.18;
+const FOOTER_FONT_SIZE = 9;
+
+function _invalidRange(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function maxPreviewPages(pageCount) {
+  return Math.min(MAX_PREVIEW_PAGES, Math.floor(pageCount / 2));
+}
+
+/**
+ * Parse a "start-end" / "page" string into a validated range.
+ * Empty input means "no preview" and returns null.
+ *
+ * @returns {{ startPage: number, endPage: number } | null}
+ */
+function parsePreviewRange(input, pageCount) {
+  const raw = String(input ?? '').trim();
+  if (!raw || raw.toLowerCase() === 'none') return null;
+
+  const match = /^(\d+)\s*(?:-\s*(\d+))?$/.exec(raw);
+  if (!match) {
+    throw _invalidRange('Preview pages must look like "1-3" or "2"');
+  }
+
+  const startPage = Number(match[1]);
+  const endPage = match[2] ? Number(match[2]) : startPage;
+  if (startPage < 1 || endPage < startPage) {
+    throw _invalidRange('Invalid preview page range');
+  }
+  if (pageCount && endPage > pageCount) {
+    throw _invalidRange(`Preview pages must be within 1-${pageCount}`);
+  }
+
+  const allowed = pageCount ? maxPreviewPages(pageCount) : MAX_PREVIEW_PAGES;
+  if (endPage - startPage + 1 > allowed) {
+    throw _invalidRange(
+      allowed > 0
+        ? `A preview can include at most ${allowed} page${allowed === 1 ? '' : 's'} of this PDF`
+        : 'This PDF is too short for a preview'
+    );
+  }
+
+  return { startPage, endPage };
+}
+
+/**
+ * Keep an existing range usable after the file changed; returns null
+ * when it no longer fits the new document.
+ */
+function fitPreviewRange(range, pageCount) {
+  if (!range) return null;
+  const allowed = maxPreviewPages(pageCount);
+  if (allowed < 1 || range.startPage > pageCount) return null;
+
+  const endPage = Math.min(range.endPage, pageCount, range.startPage + allowed - 1);
+  return { startPage: range.startPage, endPage };
+}
+
+/**
+ * Build the watermarked preview PDF.
+ * @returns {Promise<Buffer>}
+ */
+async function buildPreview(pdfBuffer, { startPage, endPage }) {
+  const source = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const pageCount = source.getPageCount();
+
+  const preview = await PDFDocument.create();
+  const indices = [];
+  for (let page = startPage; page <= Math.min(endPage, pageCount); page++) {
+    indices.push(page - 1);
+  }
+
+  const font = await preview.embedFont(StandardFonts.HelveticaBold);
+  const copied = await preview.copyPages(source, indices);
+
+  copied.forEach((page, i) => {
+    preview.addPage(page);
+    const { width, height } = page.getSize();
+
+    const size = Math.min(width, height) / 4;
+    const textWidth = font.widthOfTextAtSize(WATERMARK_TEXT, size);
+    // Centre the text along the page diagonal.
+    const angle = Math.atan2(height, width);
+    page.drawText(WATERMARK_TEXT, {
+      x: width / 2 - (Math.cos(angle) * textWidth) / 2 + (Math.sin(angle) * size) / 3,
+      y: height / 2 - (Math.sin(angle) * textWidth) / 2 - (Math.cos(angle) * size) / 3,
+      size,
+      font,
+      color: rgb(0.8, 0.1, 0.1),
+      opacity: WATERMARK_OPACITY,
+      rotate: degrees((angle * 180) / Math.PI),
+    });
+
+    const footer = `Preview - page ${startPage + i} of ${pageCount}. Buy the full PDF to read the rest.`;
+    page.drawText(footer, {
+      x: 20,
+      y: 12,
+      size: FOOTER_FONT_SIZE,
+      font,
+      color: rgb(0.4, 0.4, 0.4),
+    });
+  });
+
+  preview.setTitle(`${source.getTitle() || 'Document'} (preview)`);
+  preview.setProducer('NoteBay');
+
+  return Buffer.from(await preview.save());
+}
+
+module.exports = {
+  MAX_PREVIEW_PAGES,
+  parsePreviewRange,
+  fitPreviewRange,
+  buildPreview,
+};
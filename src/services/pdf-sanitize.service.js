@@ -0,0 +1,229 @@
+/**
+ * PDF active-content detection and removal.
+ *
+ * DANGEROUS FEATURES:
+ * - javascript    : /JavaScript actions and the document-level /JavaScript name tree
+ * - launch_action : /Launch actions (run a program / open a file on the reader's machine)
+ * - auto_action   : /AA additional actions and non-GoTo /OpenAction entries
+ *                   (fire on open, page view, focus, ...)
+ * - embedded_file : /EmbeddedFiles name tree, file specs with /EF, FileAttachment annotations
+ * - submit_form / import_data : actions that send or load data
+ * - rich_media    : RichMedia / Screen / Movie / Sound annotations and their actions
+ * - xfa_form      : XFA forms (scriptable XML forms inside /AcroForm)
+ *
+ * sanitizePdf() removes these entries, drops every object that is no longer
+ * reachable from the document catalog (so stripped scripts and attachments
+ * do not survive in the saved bytes) and re-serialises the file. Documents
+ * without findings are returned untouched.
+ */
+const {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFStream,
+} = require('pdf-lib');
+
+const DANGEROUS_ACTION_TYPES = {
+  JavaScript: 'javascript',
+  Launch: 'launch_action',
+  SubmitForm: 'submit_form',
+  ImportData: 'import_data',
+  GoToE: 'embedded_file',
+  RichMediaExecute: 'rich_media',
+  Rendition: 'rich_media',
+  Movie: 'rich_media',
+  Sound: 'rich_media',
+};
+
+const DANGEROUS_ANNOTATION_TYPES = {
+  FileAttachment: 'embedded_file',
+  RichMedia: 'rich_media',
+  Screen: 'rich_media',
+  Movie: 'rich_media',
+  Sound: 'rich_media',
+};
+
+const name = (value) => PDFName.of(value);
+
+function _nameValue(object) {
+  return object instanceof PDFName ? object.decodeText() : null;
+}
+
+function _asDict(context, object) {
+  const resolved = object instanceof PDFRef ? context.lookup(object) : object;
+  if (resolved instanceof PDFDict) return resolved;
+  if (resolved instanceof PDFStream) return resolved.dict;
+  return null;
+}
+
+/**
+ * Finding for an action dictionary (following its /Next chain), or null.
+ */
+function _dangerousAction(context, object, seen = new Set()) {
+  const action = _asDict(context, object);
+  if (!action || seen.has(action)) return null;
+  seen.add(action);
+
+  const finding = DANGEROUS_ACTION_TYPES[_nameValue(action.lookup(name('S')))];
+  if (finding) return finding;
+  if (action.has(name('JS'))) return 'javascript';
+
+  const next = action.get(name('Next'));
+  if (next instanceof PDFArray) {
+    for (const item of next.asArray()) {
+      const nested = _dangerousAction(context, item, seen);
+      if (nested) return nested;
+    }
+    return null;
+  }
+  return next ? _dangerousAction(context, next, seen) : null;
+}
+
+/**
+ * Inspect (and optionally clean) a single dictionary in place.
+ */
+function _cleanDict(context, dict, findings, strip) {
+  const remove = (key, finding) => {
+    findings.add(finding);
+    if (strip) dict.delete(name(key));
+  };
+
+  if (dict.has(name('AA'))) remove('AA', 'auto_action');
+
+  const openAction = dict.get(name('OpenAction'));
+  if (openAction) {
+    const openDict = _asDict(context, openAction);
+    // A plain destination array (or GoTo) only jumps to a page.
+    if (openDict && _nameValue(openDict.lookup(name('S'))) !== 'GoTo') {
+      remove('OpenAction', _dangerousAction(context, openDict) || 'auto_action');
+    }
+  }
+
+  const action = dict.get(name('A'));
+  if (action) {
+    const finding = _dangerousAction(context, action);
+    if (finding) remove('A', finding);
+  }
+
+  // Name dictionary: document-level scripts and attachments.
+  if (dict.has(name('JavaScript')) && _asDict(context, dict.get(name('JavaScript')))) {
+    remove('JavaScript', 'javascript');
+  }
+  if (dict.has(name('EmbeddedFiles'))) remove('EmbeddedFiles', 'embedded_file');
+
+  // File specification with an embedded file stream.
+  if (dict.has(name('EF'))) remove('EF', 'embedded_file');
+  if (_nameValue(dict.lookup(name('Type'))) === 'EmbeddedFile') findings.add('embedded_file');
+
+  if (dict.has(name('XFA'))) remove('XFA', 'xfa_form');
+}
+
+function _walk(context, object, visit, seen) {
+  if (object instanceof PDFDict) {
+    if (seen.has(object)) return;
+    seen.add(object);
+    visit(object);
+    for (const [, value] of object.entries()) _walk(context, value, visit, seen);
+  } else if (object instanceof PDFStream) {
+    _walk(context, object.dict, visit, seen);
+  } else if (object instanceof PDFArray) {
+    for (const value of object.asArray()) _walk(context, value, visit, seen);
+  }
+}
+
+/**
+ * Remove dangerous annotations from every page's /Annots array.
+ */
+function _cleanAnnotations(pdfDoc, findings, strip) {
+  const { context } = pdfDoc;
+  for (const page of pdfDoc.getPages()) {
+    const annots = page.node.lookup(name('Annots'));
+    if (!(annots instanceof PDFArray)) continue;
+
+    const kept = [];
+    for (const item of annots.asArray()) {
+      const annot = _asDict(context, item);
+      const finding = annot && DANGEROUS_ANNOTATION_TYPES[_nameValue(annot.lookup(name('Subtype')))];
+      if (finding) {
+        findings.add(finding);
+        if (strip) continue;
+      }
+      kept.push(item);
+    }
+
+    if (strip && kept.length !== annots.size()) {
+      page.node.set(name('Annots'), context.obj(kept));
+    }
+  }
+}
+
+/**
+ * Delete every indirect object that is no longer reachable from the trailer.
+ */
+function _dropUnreachableObjects(context) {
+  const reachable = new Set();
+  const queue = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+
+  while (queue.length > 0) {
+    const object = queue.pop();
+    if (object instanceof PDFRef) {
+      if (reachable.has(object.tag)) continue;
+      reachable.add(object.tag);
+      const target = context.lookup(object);
+      if (target) queue.push(target);
+    } else if (object instanceof PDFDict) {
+      for (const [, value] of object.entries()) queue.push(value);
+    } else if (object instanceof PDFStream) {
+      queue.push(object.dict);
+    } else if (object instanceof PDFArray) {
+      queue.push(...object.asArray());
+    }
+  }
+
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.tag)) context.delete(ref);
+  }
+}
+
+async function _scan(buffer, strip) {
+  const pdfDoc = await PDFDocument.load(buffer, { updateMetadata: false });
+  const { context } = pdfDoc;
+  const findings = new Set();
+
+  _cleanAnnotations(pdfDoc, findings, strip);
+
+  const seen = new Set();
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    _walk(context, object, (dict) => _cleanDict(context, dict, findings, strip), seen);
+  }
+
+  return { pdfDoc, findings: [...findings].sort() };
+}
+
+/**
+ * List the dangerous features present in a PDF without modifying it.
+ * @returns {Promise<string[]>}
+ */
+async function detectActiveContent(buffer) {
+  const { findings } = await _scan(buffer, false);
+  return findings;
+}
+
+/**
+ * Strip dangerous features from a PDF.
+ * @returns {Promise<{ buffer: Buffer, findings: string[], sanitized: boolean }>}
+ */
+async function sanitizePdf(buffer) {
+  const { pdfDoc, findings } = await _scan(buffer, true);
+  if (findings.length === 0) {
+    return { buffer, findings, sanitized: false };
+  }
+
+  _dropUnreachableObjects(pdfDoc.context);
+  const cleaned = Buffer.from(await pdfDoc.save({ updateFieldAppearances: false }));
+  return { buffer: cleaned, findings, sanitized: true };
+}
+
+module.exports = { detectActiveContent, sanitizePdf };
@@ -0,0 +1,59 @@
+/**
+ * PDF thumbnails — renders a page to a JPEG cover image.
+ *
+ * Uses mupdf's WebAssembly build (pure JS/WASM, no native canvas or GPU).
+ * The package is ESM-only, so it is imported lazily on first use; the
+ * module stays cached for the lifetime of the process.
+ */
+const THUMBNAIL_WIDTH = 600;
+const THUMBNAIL_MAX_HEIGHT = 900;
+const THUMBNAIL_JPEG_QUALITY = 80;
+
+let mupdfPromise = null;
+
+function _loadMupdf() {
+  if (!mupdfPromise) {
+    mupdfPromise = import('mupdf').catch((err) => {
+      mupdfPromise = null;
+      throw err;
+    });
+  }
+  return mupdfPromise;
+}
+
+/**
+ * Render one page (1-based) of a PDF to a JPEG.
+ * @returns {Promise<{ buffer: Buffer, mimetype: string, extension: string }>}
+ */
+async function renderPageThumbnail(pdfBuffer, pageNumber = 1) {
+  const mupdf = await _loadMupdf();
+
+  const doc = mupdf.Document.openDocument(pdfBuffer, 'application/pdf');
+  let page = null;
+  let pixmap = null;
+  try {
+    const pageCount = doc.countPages();
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+      const err = new Error(`Cover page must be between 1 and ${pageCount}`);
+      err.status = 400;
+      throw err;
+    }
+
+    page = doc.loadPage(pageNumber - 1);
+    const [x0, y0, x1, y1] = page.getBounds();
+    const scale = Math.min(THUMBNAIL_WIDTH / (x1 - x0), THUMBNAIL_MAX_HEIGHT / (y1 - y0));
+
+    pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceRGB, false, true);
+    return {
+      buffer: Buffer.from(pixmap.asJPEG(THUMBNAIL_JPEG_QUALITY, false)),
+      mimetype: 'image/jpeg',
+      extension: 'jpg',
+    };
+  } finally {
+    if (pixmap) pixmap.destroy();
+    if (page) page.destroy();
+    doc.destroy();
+  }
+}
+
+module.exports = { renderPageThumbnail };
@@ -1,36 +1,105 @@
 /**
  * PDF service — upload, retrieve, and signed-URL access.
  *
- * SUPABASE UPLOAD FLOW:
+ * UPLOAD FLOW:
  * 1. Seller uploads a PDF via multipart/form-data.
  * 2. Multer stores it temporarily in memory (memoryStorage).
- * 3. We upload the buffer to Supabase private bucket under
+ * 3. We upload the buffer to the private bucket (storage.service.js) under
  *    path "pdfs/<seller_id>/<uuid>.pdf".
  * 4. The file_path is stored in the pdf_products table.
  *
+ * Before step 3 the PDF is validated (pdf-inspect.service.js) and scanned
+ * (upload-scan.service.js): active content is stripped, malware is
+ * rejected, and the scan verdict is stored with the product.
+ *
+ * COVERS:
+ * - An uploaded cover image is stored as-is (cover_page = NULL).
+ * - Otherwise a JPEG thumbnail of page `cover_page` (default 1) is rendered
+ *   and stored under "<seller_id>/covers/". It is re-rendered when the
+ *   seller picks another page or a new file version is published.
+ *
+ * PREVIEWS:
+ * - Sellers may choose a page range (preview_pages "1-3"); those pages are
+ *   extracted into a watermarked PDF under "<seller_id>/previews/" and
+ *   served to anyone via GET /api/pdf/:id/preview (signed URL, no purchase).
+ * - Rebuilt whenever the range changes or a new file version is published.
+ *
+ * BUYER WATERMARKS:
+ * - When `watermark_downloads` is on, buyers get a copy stamped with their
+ *   name/email, purchase id and date plus a metadata fingerprint
+ *   (pdf-watermark.service.js). Copies are made on first access and cached
+ *   per purchase and file version in `purchase_watermarks`.
+ *
+ * VERSIONS:
+ * - The listing's file is replaced by uploading a new version with a
+ *   changelog (POST /api/pdf/:id/versions). Each version is moderated on its
+ *   own while the current one stays on sale.
+ * - Approving a version makes it the product's file for every buyer;
+ *   buyers can still request older approved versions (?version=N), and
+ *   GET /api/purchase/my flags purchases with an update they have not opened.
+ *
+ * REVISIONS:
+ * - Editing an approved listing stores the proposed values as a pending
+ *   revision (product_revisions) and leaves the listing on sale unchanged.
+ *   Approving the revision applies it; rejecting discards it. Listings not
+ *   yet approved are edited in place and go back to moderation.
+ *
+ * DRAFTS:
+ * - A listing created with `draft` stays out of the moderation queue (and
+ *   off the store) while the seller edits it; POST /api/pdf/:id/submit
+ *   checks it is complete and sends it to review.
+ *
+ * SCHEDULING:
+ * - Sellers may set publish_at / unpublish_at (PUT /api/pdf/:id/schedule);
+ *   outside that window the listing is off the store but buyers keep access
+ *   (listing-schedule.service.js).
+ *
+ * DUPLICATES:
+ * - Every uploaded file is fingerprinted (pdf-fingerprint.service.js). A copy
+ *   or near copy of another seller's file is flagged on its pdf_versions row
+ *   for moderators; an exact copy of banned content is rejected on upload.
+ *
  * SIGNED URL LOGIC:
  * - The bucket is PRIVATE — no public URLs exist.
  * - When a buyer who has purchased the product requests access,
  *   we generate a signed URL with a 5-minute expiry.
- * - The signed URL is a time-limited pre-authenticated link
- *   that Supabase CDN honours. After expiry it returns 403.
+ * - The signed URL is a time-limited pre-authenticated link issued by the
+ *   storage driver (Supabase, S3 or the API itself). After expiry it 403s.
  * - This prevents hotlinking and unauthorised redistribution.
+ *
+ * STREAMING:
+ * - GET /api/pdf/:id/content proxies the file through the API with HTTP
+ *   Range support, re-checking the purchase on every request.
+ * - Clients without an Authorization header (the mobile viewer) use a
+ *   short-lived ticket bound to the first client that opens it
+ *   (content-ticket.service.js) instead.
+ * - View-only products are only ever delivered this way, inline and
+ *   uncacheable — never as a raw storage URL or an attachment.
  */
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const pool = require('../database/pool');
-const supabase = require('../config/supabase');
-const config = require('../config');
+const storage = require('./storage.service');
+const { inspectPdf } = require('./pdf-inspect.service');
+const { scanPdf, scanImage } = require('./upload-scan.service');
+const { renderPageThumbnail } = require('./pdf-thumbnail.service');
+const {
+  parsePreviewRange,
+  fitPreviewRange,
+  buildPreview,
+} = require('./pdf-preview.service');
+const { stampPdf } = require('./pdf-watermark.service');
+const { fingerprintPdf, findDuplicate } = require('./pdf-fingerprint.service');
+const planService = require('./plan.service');
+const listingSchedule = require('./listing-schedule.service');
+const { logAudit } = require('./audit.service');
+const contentTicketService = require('./content-ticket.service');
+const { normalizeDownloadCap, recordAccess } = require('./access-log.service');
 
 const SIGNED_URL_EXPIRY_SECONDS = 300; // 5 minutes
 const COVER_SIGNED_URL_EXPIRY_SECONDS = 86400; // 24 hours
-const MAX_PRODUCTS_PER_SELLER = 10;
+const BANNED_COPY_REASON = 'This file is a copy of content removed by moderators';
 
-const IMAGE_MIME_EXTENSION = {
-  'image/jpeg': 'jpg',
-  'image/png': 'png',
-  'image/webp': 'webp',
-};
 const REPORT_REASON_CODES = [
   'copyright_infringement',
   'unauthorized_resale',
@@ -42,6 +111,29 @@ const REPORT_REASON_CODES = [
 ];
 const MAX_TAGS = 12;
 const MAX_TAG_LENGTH = 30;
+const MAX_CHANGELOG_LENGTH = 2000;
+// Completeness rules for submitting a draft (see submitProduct)
+const MIN_SUBMIT_DESCRIPTION_LENGTH = 30;
+const MIN_SUBMIT_TAGS = 1;
+
+// Listing columns a revision proposes values for.
+const REVISION_FIELDS = [
+  'title',
+  'author_name',
+  'description',
+  'tags',
+  'mrp',
+  'price',
+  'allow_download',
+  'cover_path',
+  'cover_page',
+  'preview_path',
+  'preview_start_page',
+  'preview_end_page',
+  'watermark_downloads',
+  'max_downloads',
+  'max_downloads_per_day',
+];
 
 /**
  * Generate a unique 6-character alphanumeric code (uppercase).
@@ -57,6 +149,112 @@ function generateShortCode() {
   return code;
 }
 
+/**
+ * A short code no listing or bundle uses yet (retry on collision). Codes
+ * share one namespace so a code always identifies a single item.
+ */
+async function generateUniqueShortCode() {
+  let shortCode;
+  let attempts = 0;
+  while (attempts < 10) {
+    shortCode = generateShortCode();
+    const exists = await pool.query(
+      `SELECT 1 FROM pdf_products WHERE short_code = $1
+       UNION ALL
+       SELECT 1 FROM pdf_bundles WHERE short_code = $1`,
+      [shortCode]
+    );
+    if (exists.rows.length === 0) break;
+    attempts++;
+  }
+  return shortCode;
+}
+
+/**
+ * Validate, sanitise and scan an uploaded PDF, then fingerprint it and look
+ * for another seller's file it duplicates (`duplicate` is null if none).
+ */
+async function processPdfUpload(file, sellerId) {
+  const pdfInfo = await inspectPdf(file.buffer);
+  const { buffer, scan } = await scanPdf(file.buffer, { userId: sellerId });
+  const fingerprint = await fingerprintPdf(buffer, file.buffer);
+  const duplicate = await findDuplicate({ sellerId, fingerprint });
+  return { pdfInfo, buffer, scan, fingerprint, duplicate };
+}
+
+function _logAutoRejection(targetType, targetId, duplicate) {
+  logAudit({
+    actorType: 'system',
+    action: 'moderation.auto_reject',
+    targetType,
+    targetId,
+    metadata: { reason: 'banned_duplicate', duplicate_of_product_id: duplicate.productId },
+  }).catch(() => {});
+}
+
+async function downloadFile(storagePath) {
+  const { data, error } = await storage.download(storagePath);
+
+  if (error) {
+    const err = new Error(`Storage download failed: ${error.message}`);
+    err.status = 500;
+    throw err;
+  }
+  return data;
+}
+
+/**
+ * Render a page of the PDF and store it as the product cover.
+ * @returns {Promise<string>} storage path of the thumbnail
+ */
+async function uploadGeneratedCover(sellerId, pdfBuffer, pageNumber) {
+  const thumbnail = await renderPageThumbnail(pdfBuffer, pageNumber);
+  const coverPath = `${sellerId}/covers/${uuidv4()}.${thumbnail.extension}`;
+
+  const { error } = await storage.upload(coverPath, thumbnail.buffer, {
+    contentType: thumbnail.mimetype,
+    upsert: false,
+  });
+
+  if (error) {
+    const err = new Error(`Cover upload failed: ${error.message}`);
+    err.status = 500;
+    throw err;
+  }
+  return coverPath;
+}
+
+/**
+ * Build the watermarked preview for a page range and store it.
+ * @returns {Promise<string>} storage path of the preview PDF
+ */
+async function uploadPreview(sellerId, pdfBuffer, range) {
+  const previewBuffer = await buildPreview(pdfBuffer, range);
+  const previewPath = `${sellerId}/previews/${uuidv4()}.pdf`;
+
+  const { error } = await storage.upload(previewPath, previewBuffer, {
+    contentType: 'application/pdf',
+    upsert: false,
+  });
+
+  if (error) {
+    const err = new Error(`Preview upload failed: ${error.message}`);
+    err.status = 500;
+    throw err;
+  }
+  return previewPath;
+}
+
+function validateCoverPage(coverPage, pageCount) {
+  if (!Number.isInteger(coverPage) || coverPage < 1 || (pageCount && coverPage > pageCount)) {
+    const err = new Error(
+      pageCount ? `Cover page must be between 1 and ${pageCount}` : 'Invalid cover page'
+    );
+    err.status = 400;
+    throw err;
+  }
+}
+
 /**
  * Upload a PDF and create a product record.
  */
@@ -71,6 +269,13 @@ async function createProduct({
   allowDownload,
   file,
   coverFile = null,
+  previewPages = null,
+  watermarkDownloads = false,
+  maxDownloads = null,
+  maxDownloadsPerDay = null,
+  draft = false,
+  publishAt,
+  unpublishAt,
 }) {
   const normalizedAuthorName = String(authorName || '').trim();
   if (!normalizedAuthorName || normalizedAuthorName.length < 2) {
@@ -87,33 +292,42 @@ async function createProduct({
 
   const normalizedMrp = mrp == null || Number.isNaN(mrp) ? null : mrp;
   const normalizedTags = normalizeTags(tags);
+  const downloadCap = normalizeDownloadCap(maxDownloads, 'Download limit');
+  const dailyDownloadCap = normalizeDownloadCap(maxDownloadsPerDay, 'Daily download limit');
   if (normalizedMrp != null && normalizedMrp < price) {
     const err = new Error('MRP must be greater than or equal to discounted price');
     err.status = 400;
     throw err;
   }
-
-  const countRes = await pool.query(
-    'SELECT COUNT(*)::int AS total FROM pdf_products WHERE seller_id = $1',
-    [sellerId]
-  );
-  const totalProducts = countRes.rows[0]?.total || 0;
-  if (totalProducts >= MAX_PRODUCTS_PER_SELLER) {
-    const err = new Error('You can upload a maximum of 10 PDFs per account');
-    err.status = 400;
-    throw err;
-  }
-
-  // 1. Upload to Supabase storage
+  const schedule = listingSchedule.resolveSchedule({ publishAt, unpublishAt });
+
+  // Listing count, file size and storage limits of the seller's plan
+  await planService.assertUploadAllowed(sellerId, {
+    fileBytes: file.buffer.length,
+    newListing: true,
+  });
+
+  // 1-2. Validate, strip active content and virus-scan (PDF and cover) before storing anything
+  const {
+    pdfInfo,
+    buffer: pdfBuffer,
+    scan,
+    fingerprint,
+    duplicate,
+  } = await processPdfUpload(file, sellerId);
+  // Exact copies of banned content never reach the moderation queue.
+  const autoRejected = duplicate?.match === 'banned';
+  const coverImage = coverFile ? await scanImage(coverFile.buffer, { userId: sellerId }) : null;
+  const previewRange = parsePreviewRange(previewPages, pdfInfo.pageCount);
+
+  // 3. Upload to storage
   const fileExt = 'pdf';
   const storagePath = `${sellerId}/${uuidv4()}.${fileExt}`;
 
-  const { error: uploadError } = await supabase.storage
-    .from(config.supabase.bucket)
-    .upload(storagePath, file.buffer, {
-      contentType: 'application/pdf',
-      upsert: false,
-    });
+  const { error: uploadError } = await storage.upload(storagePath, pdfBuffer, {
+    contentType: 'application/pdf',
+    upsert: false,
+  });
 
   if (uploadError) {
     const err = new Error(`Storage upload failed: ${uploadError.message}`);
@@ -121,45 +335,60 @@ async function createProduct({
     throw err;
   }
 
-  // 2. Optional cover upload
+  // 4. Cover: the seller's image, or a thumbnail of the first page
   let coverPath = null;
+  let coverPage = null;
   if (coverFile) {
-    const coverExt = IMAGE_MIME_EXTENSION[coverFile.mimetype] || 'jpg';
-    coverPath = `${sellerId}/covers/${uuidv4()}.${coverExt}`;
+    coverPath = `${sellerId}/covers/${uuidv4()}.${coverImage.extension}`;
 
-    const { error: coverUploadError } = await supabase.storage
-      .from(config.supabase.bucket)
-      .upload(coverPath, coverFile.buffer, {
-        contentType: coverFile.mimetype,
-        upsert: false,
-      });
+    const { error: coverUploadError } = await storage.upload(coverPath, coverFile.buffer, {
+      contentType: coverImage.mimetype,
+      upsert: false,
+    });
 
     if (coverUploadError) {
       // Remove uploaded PDF to avoid orphan files when cover upload fails.
-      await supabase.storage.from(config.supabase.bucket).remove([storagePath]);
+      await storage.remove([storagePath]);
       const err = new Error(`Cover upload failed: ${coverUploadError.message}`);
       err.status = 500;
       throw err;
     }
+  } else {
+    try {
+      coverPath = await uploadGeneratedCover(sellerId, pdfBuffer, 1);
+      coverPage = 1;
+    } catch (err) {
+      // A missing thumbnail should not block the upload.
+      console.error('Cover thumbnail generation failed:', err.message);
+    }
   }
 
-  // 3. Generate a unique short code (retry on collision)
-  let shortCode;
-  let attempts = 0;
-  while (attempts < 10) {
-    shortCode = generateShortCode();
-    const exists = await pool.query(
-      'SELECT 1 FROM pdf_products WHERE short_code = $1',
-      [shortCode]
-    );
-    if (exists.rows.length === 0) break;
-    attempts++;
+  // 4b. Optional preview excerpt
+  let previewPath = null;
+  if (previewRange) {
+    try {
+      previewPath = await uploadPreview(sellerId, pdfBuffer, previewRange);
+    } catch (err) {
+      const uploaded = [storagePath, coverPath].filter(Boolean);
+      await storage.remove(uploaded);
+      throw err;
+    }
   }
 
-  // 4. Insert product record
+  // 5. Generate a unique short code
+  const shortCode = await generateUniqueShortCode();
+
+  // 6. Insert product record
   const result = await pool.query(
-    `INSERT INTO pdf_products (seller_id, short_code, title, author_name, description, tags, mrp, price, allow_download, file_path, cover_path, file_size, review_status, is_active)
-     VALUES ($1, $2, $3, $4, $5, $6::text[], $7, $8, $9, $10, $11, $12, 'pending_review', false)
+    `INSERT INTO pdf_products (seller_id, short_code, title, author_name, description, tags, mrp, price, allow_download, file_path, cover_path, cover_page, file_size,
+                               page_count, pdf_version, doc_title, doc_author, has_text_layer,
+                               scan_status, scan_findings, scan_engine, scanned_at,
+                               preview_path, preview_start_page, preview_end_page, watermark_downloads,
+                               max_downloads, max_downloads_per_day, review_status, rejection_reason,
+                               reviewed_by, reviewed_at, publish_at, unpublish_at, is_published, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6::text[], $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+             $19, $20::text[], $21, NOW(), $22, $23, $24, $25, $26, $27, $28, $29, $30, $31,
+             $32, $33, $34, false)
      RETURNING *`,
     [
       sellerId,
@@ -173,10 +402,62 @@ async function createProduct({
       allowDownload,
       storagePath,
       coverPath,
-      file.size,
+      coverPage,
+      pdfBuffer.length,
+      pdfInfo.pageCount,
+      pdfInfo.pdfVersion,
+      pdfInfo.title,
+      pdfInfo.author,
+      pdfInfo.hasText,
+      scan.status,
+      scan.findings,
+      scan.engine,
+      previewPath,
+      previewRange?.startPage ?? null,
+      previewRange?.endPage ?? null,
+      Boolean(watermarkDownloads),
+      downloadCap,
+      dailyDownloadCap,
+      autoRejected ? 'rejected' : draft ? 'draft' : 'pending_review',
+      autoRejected ? BANNED_COPY_REASON : null,
+      autoRejected ? 'system' : null,
+      autoRejected ? new Date() : null,
+      schedule.publishAt,
+      schedule.unpublishAt,
+      schedule.isPublished,
     ]
   );
 
+  // 7. Record the upload as version 1 (moderated together with the listing)
+  await pool.query(
+    `INSERT INTO pdf_versions (product_id, version_number, file_path, file_size, page_count, pdf_version,
+                               doc_title, doc_author, has_text_layer, scan_status, scan_findings,
+                               scan_engine, review_status, file_sha256, text_minhash, fingerprinted_at,
+                               duplicate_match, duplicate_similarity, duplicate_of_product_id)
+     VALUES ($1, 1, $2, $3, $4, $5, $6, $7, $8, $9, $10::text[], $11, 'approved', $12, $13::int[], NOW(),
+             $14, $15, $16)`,
+    [
+      result.rows[0].id,
+      storagePath,
+      pdfBuffer.length,
+      pdfInfo.pageCount,
+      pdfInfo.pdfVersion,
+      pdfInfo.title,
+      pdfInfo.author,
+      pdfInfo.hasText,
+      scan.status,
+      scan.findings,
+      scan.engine,
+      fingerprint.sha256,
+      fingerprint.textMinhash,
+      duplicate?.match ?? null,
+      duplicate?.similarity ?? null,
+      duplicate?.productId ?? null,
+    ]
+  );
+
+  if (autoRejected) _logAutoRejection('pdf_product', result.rows[0].id, duplicate);
+
   return attachCoverUrl(result.rows[0]);
 }
 
@@ -224,9 +505,7 @@ function normalizeTags(tagsInput) {
 }
 
 async function createCoverSignedUrl(coverPath) {
-  const { data, error } = await supabase.storage
-    .from(config.supabase.bucket)
-    .createSignedUrl(coverPath, COVER_SIGNED_URL_EXPIRY_SECONDS);
+  const { data, error } = await storage.createSignedUrl(coverPath, COVER_SIGNED_URL_EXPIRY_SECONDS);
 
   if (error) {
     return null;
@@ -258,7 +537,8 @@ async function getProductById(productId) {
      WHERE p.id = $1
        AND u.is_banned = false
        AND p.is_active = true
-       AND p.review_status = 'approved'`,
+       AND p.review_status = 'approved'
+       AND p.is_published = true`,
     [productId]
   );
 
@@ -282,7 +562,8 @@ async function getProductByCode(shortCode) {
      WHERE UPPER(p.short_code) = UPPER($1)
        AND u.is_banned = false
        AND p.is_active = true
-       AND p.review_status = 'approved'`,
+       AND p.review_status = 'approved'
+       AND p.is_published = true`,
     [shortCode]
   );
 
@@ -302,13 +583,14 @@ async function listProducts({ page = 1, limit = 20 }) {
   const offset = (page - 1) * limit;
   const result = await pool.query(
     `SELECT p.id, p.short_code, p.title, p.author_name, p.description, p.price, p.allow_download, p.cover_path,
-            p.mrp, p.tags,
+            p.mrp, p.tags, p.page_count, p.preview_start_page, p.preview_end_page,
             p.created_at, u.name AS seller_name
      FROM pdf_products p
      JOIN users u ON u.id = p.seller_id
      WHERE p.is_active = true
        AND u.is_banned = false
        AND p.review_status = 'approved'
+       AND p.is_published = true
      ORDER BY p.created_at DESC
      LIMIT $1 OFFSET $2`,
     [limit, offset]
@@ -323,13 +605,14 @@ async function searchProducts(query) {
   const searchTerm = `%${query}%`;
   const result = await pool.query(
     `SELECT p.id, p.short_code, p.title, p.author_name, p.description, p.price, p.allow_download, p.cover_path,
-            p.mrp, p.tags,
+            p.mrp, p.tags, p.page_count, p.preview_start_page, p.preview_end_page,
             p.created_at, u.name AS seller_name
      FROM pdf_products p
      JOIN users u ON u.id = p.seller_id
      WHERE p.is_active = true
        AND u.is_banned = false
        AND p.review_status = 'approved'
+       AND p.is_published = true
        AND (
            UPPER(p.title) LIKE UPPER($1)
         OR UPPER(p.description) LIKE UPPER($1)
@@ -351,25 +634,101 @@ async function searchProducts(query) {
  */
 async function listSellerProducts(sellerId) {
   const result = await pool.query(
-    `SELECT * FROM pdf_products
-     WHERE seller_id = $1
-     ORDER BY created_at DESC`,
+    `SELECT p.*,
+            r.id AS revision_id,
+            r.review_status AS revision_status,
+            r.rejection_reason AS revision_rejection_reason,
+            r.created_at AS revision_created_at
+     FROM pdf_products p
+     LEFT JOIN LATERAL (
+       SELECT id, review_status, rejection_reason, created_at
+       FROM product_revisions
+       WHERE product_id = p.id
+       ORDER BY created_at DESC
+       LIMIT 1
+     ) r ON true
+     WHERE p.seller_id = $1
+     ORDER BY p.created_at DESC`,
     [sellerId]
   );
   return attachCoverUrls(result.rows);
 }
 
 /**
- * Generate a signed URL for an authorised buyer.
- *
- * IMPORTANT: This must only be called after verifying the buyer
- * has a paid purchase for this product.
+ * Storage path of the buyer's watermarked copy of `sourcePath` (a version
+ * of the product file), creating it on first use.
+ */
+async function getWatermarkedCopyPath(product, purchase, sourcePath) {
+  const cached = await pool.query(
+    `SELECT file_path, source_path, fingerprint
+     FROM purchase_watermarks
+     WHERE purchase_id = $1
+     ORDER BY created_at ASC`,
+    [purchase.id]
+  );
+  const existing = cached.rows.find((row) => row.source_path === sourcePath);
+  if (existing) {
+    return existing.file_path;
+  }
+
+  // One fingerprint per purchase, so every copy traces back to the same buyer.
+  const fingerprint = cached.rows[0]?.fingerprint || crypto.randomBytes(16).toString('hex');
+  const stamped = await stampPdf(await downloadFile(sourcePath), {
+    buyerName: purchase.buyer_name,
+    buyerEmail: purchase.buyer_email,
+    purchaseId: purchase.id,
+    purchasedAt: purchase.created_at,
+    fingerprint,
+  });
+
+  const copyPath = `${product.seller_id}/watermarked/${uuidv4()}.pdf`;
+  const { error: uploadError } = await storage.upload(copyPath, stamped, {
+    contentType: 'application/pdf',
+    upsert: false,
+  });
+
+  if (uploadError) {
+    const err = new Error(`Storage upload failed: ${uploadError.message}`);
+    err.status = 500;
+    throw err;
+  }
+
+  // A concurrent request may have stored a copy first; keep that one.
+  const saved = await pool.query(
+    `INSERT INTO purchase_watermarks (purchase_id, product_id, source_path, file_path, fingerprint, sha256)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (purchase_id, source_path) DO UPDATE
+     SET file_path = purchase_watermarks.file_path
+     RETURNING file_path`,
+    [
+      purchase.id,
+      product.id,
+      sourcePath,
+      copyPath,
+      fingerprint,
+      crypto.createHash('sha256').update(stamped).digest('hex'),
+    ]
+  );
+
+  const storedPath = saved.rows[0].file_path;
+  if (storedPath !== copyPath) {
+    await storage.remove([copyPath]);
+  }
+
+  return storedPath;
+}
+
+/**
+ * Load the buyer's paid purchase and the product it is for.
+ * This is the per-request authorization for every delivery path.
  */
-async function getSignedUrl(productId, buyerId, clientPlatform = 'web') {
+async function _getBuyerAccess(productId, buyerId) {
   // 1. Verify purchase exists and is paid
   const purchase = await pool.query(
-    `SELECT id FROM purchases
-     WHERE buyer_id = $1 AND product_id = $2 AND status = 'paid'`,
+    `SELECT pu.id, pu.buyer_id, pu.created_at, u.name AS buyer_name, u.email AS buyer_email
+     FROM purchases pu
+     JOIN users u ON u.id = pu.buyer_id
+     WHERE pu.buyer_id = $1 AND pu.product_id = $2 AND pu.status = 'paid'`,
     [buyerId, productId]
   );
 
@@ -379,9 +738,11 @@ async function getSignedUrl(productId, buyerId, clientPlatform = 'web') {
     throw err;
   }
 
-  // 2. Get product file_path and allow_download
+  // 2. Get product file_path, allow_download and download caps
   const product = await pool.query(
-    'SELECT file_path, allow_download FROM pdf_products WHERE id = $1',
+    `SELECT id, seller_id, title, file_path, allow_download, watermark_downloads, current_version_number,
+            max_downloads, max_downloads_per_day
+     FROM pdf_products WHERE id = $1`,
     [productId]
   );
 
@@ -391,19 +752,126 @@ async function getSignedUrl(productId, buyerId, clientPlatform = 'web') {
     throw err;
   }
 
-  const { file_path, allow_download } = product.rows[0];
+  return { purchase: purchase.rows[0], product: product.rows[0] };
+}
 
-  // View-only PDFs are mobile-app only.
-  if (!allow_download && clientPlatform !== 'mobile') {
-    const err = new Error('This PDF is view-only and can only be opened in the mobile app');
-    err.status = 403;
+/**
+ * Storage path of the file version to deliver (latest approved version
+ * unless `versionNumber` asks for an older one).
+ */
+async function _resolveVersionPath(product, versionNumber) {
+  if (versionNumber == null || versionNumber === product.current_version_number) {
+    return { sourcePath: product.file_path, servedVersion: product.current_version_number };
+  }
+
+  const versionRes = await pool.query(
+    `SELECT file_path
+     FROM pdf_versions
+     WHERE product_id = $1 AND version_number = $2 AND review_status = 'approved'`,
+    [product.id, versionNumber]
+  );
+  if (versionRes.rows.length === 0) {
+    const err = new Error('Version not found');
+    err.status = 404;
     throw err;
   }
+  return { sourcePath: versionRes.rows[0].file_path, servedVersion: versionNumber };
+}
+
+/**
+ * Resolve the file a buyer receives: the chosen version, watermarked for
+ * them if the seller enabled it. Opening the latest version marks the
+ * product's update as seen for this purchase.
+ *
+ * With `eventType` the access is logged first (access-log.service.js),
+ * which fails once the product's download caps are used up.
+ */
+async function _resolveDelivery(productId, buyerId, versionNumber, { eventType = null, client = {} } = {}) {
+  const { purchase, product } = await _getBuyerAccess(productId, buyerId);
+  const { sourcePath, servedVersion } = await _resolveVersionPath(product, versionNumber);
+
+  if (eventType) {
+    await recordAccess(purchase, product, { eventType, versionNumber: servedVersion, client });
+  }
+
+  const deliveredPath = product.watermark_downloads
+    ? await getWatermarkedCopyPath(product, purchase, sourcePath)
+    : sourcePath;
+
+  if (servedVersion === product.current_version_number) {
+    await pool.query(
+      `UPDATE purchases
+       SET seen_version_number = $1
+       WHERE id = $2 AND COALESCE(seen_version_number, 0) < $1`,
+      [product.current_version_number, purchase.id]
+    );
+  }
+
+  return { product, deliveredPath, servedVersion };
+}
+
+/**
+ * Issue a ticket for GET /api/pdf/:id/content (content-ticket.service.js).
+ */
+async function createContentTicket(productId, buyerId, { versionNumber = null, client = {} } = {}) {
+  const { purchase, product } = await _getBuyerAccess(productId, buyerId);
+  const { servedVersion } = await _resolveVersionPath(product, versionNumber);
+  await recordAccess(purchase, product, { eventType: 'ticket', versionNumber: servedVersion, client });
 
-  // 3. Generate signed URL (5-minute expiry)
-  const { data, error } = await supabase.storage
-    .from(config.supabase.bucket)
-    .createSignedUrl(file_path, SIGNED_URL_EXPIRY_SECONDS);
+  const { ticket, expires_in } = await contentTicketService.createContentTicket({
+    userId: buyerId,
+    productId,
+    versionNumber: servedVersion === product.current_version_number ? null : servedVersion,
+  });
+
+  return {
+    ticket,
+    expires_in,
+    content_path: `/api/pdf/${productId}/content?ticket=${encodeURIComponent(ticket)}`,
+    allow_download: product.allow_download,
+    version_number: servedVersion,
+  };
+}
+
+/**
+ * Generate a link for an authorised buyer.
+ *
+ * Downloadable PDFs get a 5-minute storage signed URL. View-only PDFs are
+ * never handed out as a storage URL: the buyer gets a short-lived ticket
+ * link to the streaming endpoint instead, which serves them inline.
+ * `contentBaseUrl` ("https://host") turns that link into an absolute URL.
+ *
+ * IMPORTANT: This must only be called after verifying the buyer
+ * has a paid purchase for this product.
+ */
+async function getSignedUrl(
+  productId,
+  buyerId,
+  { versionNumber = null, contentBaseUrl = '', client = {} } = {}
+) {
+  const { product: access } = await _getBuyerAccess(productId, buyerId);
+
+  if (!access.allow_download) {
+    const ticket = await createContentTicket(productId, buyerId, { versionNumber, client });
+    return {
+      signed_url: `${contentBaseUrl}${ticket.content_path}`,
+      expires_in: ticket.expires_in,
+      allow_download: false,
+      streamed: true,
+      version_number: ticket.version_number,
+      latest_version_number: access.current_version_number,
+    };
+  }
+
+  const { product, deliveredPath, servedVersion } = await _resolveDelivery(
+    productId,
+    buyerId,
+    versionNumber,
+    { eventType: 'signed_url', client }
+  );
+
+  // Generate signed URL (5-minute expiry)
+  const { data, error } = await storage.createSignedUrl(deliveredPath, SIGNED_URL_EXPIRY_SECONDS);
 
   if (error) {
     const err = new Error(`Signed URL generation failed: ${error.message}`);
@@ -414,18 +882,170 @@ async function getSignedUrl(productId, buyerId, clientPlatform = 'web') {
   return {
     signed_url: data.signedUrl,
     expires_in: SIGNED_URL_EXPIRY_SECONDS,
-    allow_download,
+    allow_download: product.allow_download,
+    streamed: false,
+    version_number: servedVersion,
+    latest_version_number: product.current_version_number,
   };
 }
 
+function _contentDisposition(type, title) {
+  const base = String(title || 'document').trim() || 'document';
+  const fallback = base.replace(/[^\x20-\x7E]/g, '_').replace(/["\\]/g, '');
+  return `${type}; filename="${fallback}.pdf"; filename*=UTF-8''${encodeURIComponent(base)}.pdf`;
+}
+
+/**
+ * Stream a purchased PDF through the API (GET /api/pdf/:id/content).
+ *
+ * The file is read through storage.service with the client's Range /
+ * If-Range headers applied, so viewers can load
+ * pages on demand. View-only products are always sent inline; responses
+ * are never stored by shared caches. `countAccess` logs the request as an
+ * access (fresh opens, not Range continuations or ticket redemptions).
+ *
+ * @returns {Promise<{ status: number, headers: object, body: stream.Readable|null }>}
+ */
+async function openContentStream(
+  productId,
+  buyerId,
+  {
+    versionNumber = null,
+    range = null,
+    ifRange = null,
+    download = false,
+    countAccess = false,
+    client = {},
+  } = {}
+) {
+  const { product, deliveredPath } = await _resolveDelivery(productId, buyerId, versionNumber, {
+    eventType: countAccess ? 'stream' : null,
+    client,
+  });
+
+  const { data: upstream, error } = await storage.stream(deliveredPath, { range, ifRange });
+
+  if (error) {
+    const err = new Error(`Storage download failed: ${error.message}`);
+    err.status = 502;
+    throw err;
+  }
+
+  const asAttachment = download && product.allow_download;
+  const headers = {
+    'Content-Type': 'application/pdf',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-store, max-age=0',
+    'Content-Disposition': _contentDisposition(asAttachment ? 'attachment' : 'inline', product.title),
+    'X-Content-Type-Options': 'nosniff',
+  };
+  for (const name of ['content-length', 'content-range', 'etag', 'last-modified']) {
+    const value = upstream.headers[name];
+    if (value) headers[name.replace(/(^|-)(\w)/g, (m) => m.toUpperCase())] = value;
+  }
+
+  return { status: upstream.status, headers, body: upstream.body };
+}
+
+/**
+ * Signed URL for a product's preview excerpt. Public — no purchase needed.
+ */
+async function getPreviewUrl(productId) {
+  const result = await pool.query(
+    `SELECT p.preview_path, p.preview_start_page, p.preview_end_page, p.page_count
+     FROM pdf_products p
+     JOIN users u ON u.id = p.seller_id
+     WHERE p.id = $1
+       AND u.is_banned = false
+       AND p.is_active = true
+       AND p.review_status = 'approved'
+       AND p.is_published = true`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Product not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const product = result.rows[0];
+  if (!product.preview_path) {
+    const err = new Error('This product has no preview');
+    err.status = 404;
+    throw err;
+  }
+
+  const { data, error } = await storage.createSignedUrl(
+    product.preview_path,
+    SIGNED_URL_EXPIRY_SECONDS
+  );
+
+  if (error) {
+    const err = new Error(`Signed URL generation failed: ${error.message}`);
+    err.status = 500;
+    throw err;
+  }
+
+  return {
+    signed_url: data.signedUrl,
+    expires_in: SIGNED_URL_EXPIRY_SECONDS,
+    preview_start_page: product.preview_start_page,
+    preview_end_page: product.preview_end_page,
+    page_count: product.page_count,
+  };
+}
+
+/**
+ * Take approved bundles containing `productId` off sale and back to review,
+ * e.g. before the product is deleted (its bundle item row would otherwise
+ * vanish with it). With `overpricedOnly`, only bundles whose price now
+ * exceeds the combined price of their products (after a price cut).
+ */
+async function returnBundlesToReview(productId, { reason, overpricedOnly = false }) {
+  const result = await pool.query(
+    `UPDATE pdf_bundles b
+     SET review_status = 'pending_review',
+         is_active = false,
+         rejection_reason = NULL,
+         reviewed_by = NULL,
+         reviewed_at = NULL,
+         updated_at = NOW()
+     WHERE b.review_status = 'approved'
+       AND b.id IN (SELECT bundle_id FROM pdf_bundle_items WHERE product_id = $1)
+       AND (
+         NOT $2::boolean
+         OR b.price > (
+           SELECT COALESCE(SUM(p.price), 0)
+           FROM pdf_bundle_items bi
+           JOIN pdf_products p ON p.id = bi.product_id
+           WHERE bi.bundle_id = b.id
+         )
+       )
+     RETURNING b.id`,
+    [productId, overpricedOnly]
+  );
+
+  result.rows.forEach(({ id }) => {
+    logAudit({
+      actorType: 'system',
+      action: 'moderation.bundle_requeue',
+      targetType: 'pdf_bundle',
+      targetId: id,
+      metadata: { product_id: productId, reason },
+    }).catch(() => {});
+  });
+  return result.rows.length;
+}
+
 /**
  * Delete a product listing (only by the seller who owns it).
- * Also deletes the PDF file from Supabase storage.
+ * Also deletes the PDF file from storage.
  */
 async function deleteProduct(productId, sellerId) {
   // 1. Verify the seller owns this product
   const product = await pool.query(
-    'SELECT id, file_path, cover_path FROM pdf_products WHERE id = $1 AND seller_id = $2',
+    'SELECT id, file_path, cover_path, preview_path FROM pdf_products WHERE id = $1 AND seller_id = $2',
     [productId, sellerId]
   );
 
@@ -444,6 +1064,8 @@ async function deleteProduct(productId, sellerId) {
   );
   const paidCount = paidRes.rows[0]?.total || 0;
 
+  await returnBundlesToReview(productId, { reason: 'product_deleted' });
+
   // 3A. If paid purchases exist -> soft delete (unlist only).
   if (paidCount > 0) {
     await pool.query(
@@ -464,12 +1086,21 @@ async function deleteProduct(productId, sellerId) {
   if (product.rows[0].cover_path) {
     filePaths.push(product.rows[0].cover_path);
   }
+  if (product.rows[0].preview_path) {
+    filePaths.push(product.rows[0].preview_path);
+  }
+  filePaths.push(...(await listRevisionFilePaths(productId)));
+  const versionsRes = await pool.query(
+    'SELECT file_path FROM pdf_versions WHERE product_id = $1',
+    [productId]
+  );
+  for (const { file_path: versionPath } of versionsRes.rows) {
+    if (!filePaths.includes(versionPath)) filePaths.push(versionPath);
+  }
 
   await pool.query('DELETE FROM pdf_products WHERE id = $1', [productId]);
 
-  const { error } = await supabase.storage
-    .from(config.supabase.bucket)
-    .remove(filePaths);
+  const { error } = await storage.remove(filePaths);
 
   if (error) {
     console.error('Failed to delete file from storage:', error.message);
@@ -507,20 +1138,89 @@ async function updatePrice(productId, sellerId, newPrice) {
     'UPDATE pdf_products SET price = $1 WHERE id = $2 RETURNING *',
     [newPrice, productId]
   );
+  await returnBundlesToReview(productId, { reason: 'price_changed', overpricedOnly: true });
+
+  return attachCoverUrl(result.rows[0]);
+}
+
+/**
+ * Set when the listing is on sale (seller only). Takes effect immediately
+ * and is not moderated; `undefined` leaves a time unchanged, null clears it.
+ */
+async function updateSchedule(productId, sellerId, { publishAt, unpublishAt }) {
+  const current = await pool.query(
+    `SELECT publish_at, unpublish_at, is_published
+     FROM pdf_products
+     WHERE id = $1 AND seller_id = $2`,
+    [productId, sellerId]
+  );
+
+  if (current.rows.length === 0) {
+    const err = new Error('Product not found or you do not own it');
+    err.status = 404;
+    throw err;
+  }
+
+  const schedule = listingSchedule.resolveSchedule({ publishAt, unpublishAt }, current.rows[0]);
+  const result = await pool.query(
+    `UPDATE pdf_products
+     SET publish_at = $1, unpublish_at = $2, is_published = $3, updated_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [schedule.publishAt, schedule.unpublishAt, schedule.isPublished, productId]
+  );
+
+  logAudit({
+    actorType: 'user',
+    actorId: sellerId,
+    action: 'product.schedule_update',
+    targetType: 'pdf_product',
+    targetId: productId,
+    metadata: {
+      publish_at: schedule.publishAt,
+      unpublish_at: schedule.unpublishAt,
+      was_published: current.rows[0].is_published,
+      is_published: schedule.isPublished,
+    },
+  }).catch(() => {});
 
   return attachCoverUrl(result.rows[0]);
 }
 
 /**
  * Update product metadata (seller-only).
+ * `coverPage` re-renders the cover from that page; `previewPages` changes
+ * the preview range ('' removes the preview). The file itself is changed
+ * through versions (createVersion).
+ *
+ * An approved listing stays live as it is: the edit becomes (or updates)
+ * its pending revision, returned as `pending_revision`. Drafts stay
+ * drafts; other listings are edited in place and go back to moderation.
  */
 async function updateProductDetails(
   productId,
   sellerId,
-  { title, authorName, description, tags, mrp, price, allowDownload, coverFile }
+  {
+    title,
+    authorName,
+    description,
+    tags,
+    mrp,
+    price,
+    allowDownload,
+    coverFile,
+    coverPage,
+    previewPages,
+    watermarkDownloads,
+    maxDownloads,
+    maxDownloadsPerDay,
+  }
 ) {
   const existingRes = await pool.query(
-    `SELECT id, title, author_name, description, tags, mrp, price, allow_download, cover_path
+    `SELECT id, title, author_name, description, tags, mrp, price, allow_download,
+            file_path, cover_path, cover_page, page_count,
+            preview_path, preview_start_page, preview_end_page, watermark_downloads,
+            max_downloads, max_downloads_per_day, review_status, current_version_number
      FROM pdf_products
      WHERE id = $1 AND seller_id = $2`,
     [productId, sellerId]
@@ -532,7 +1232,11 @@ async function updateProductDetails(
     throw err;
   }
 
-  const existing = existingRes.rows[0];
+  const live = existingRes.rows[0];
+  const isLive = live.review_status === 'approved';
+  const pendingRevision = isLive ? await getPendingRevision(productId) : null;
+  // Edits to a listing with a pending revision build on that revision.
+  const existing = pendingRevision ? { ...live, ...pickRevisionFields(pendingRevision) } : live;
   const nextTitle = title !== undefined ? String(title).trim() : existing.title;
   const nextAuthorName =
     authorName !== undefined ? String(authorName).trim() : existing.author_name;
@@ -542,6 +1246,16 @@ async function updateProductDetails(
   const nextMrp = mrp !== undefined ? mrp : (existing.mrp != null ? parseFloat(existing.mrp) : null);
   const nextAllowDownload =
     allowDownload !== undefined ? allowDownload : existing.allow_download;
+  const nextWatermarkDownloads =
+    watermarkDownloads !== undefined ? watermarkDownloads : existing.watermark_downloads;
+  const nextMaxDownloads =
+    maxDownloads !== undefined
+      ? normalizeDownloadCap(maxDownloads, 'Download limit')
+      : existing.max_downloads;
+  const nextMaxDownloadsPerDay =
+    maxDownloadsPerDay !== undefined
+      ? normalizeDownloadCap(maxDownloadsPerDay, 'Daily download limit')
+      : existing.max_downloads_per_day;
 
   if (!nextTitle || nextTitle.length < 3) {
     const err = new Error('Title must be at least 3 characters');
@@ -569,23 +1283,145 @@ async function updateProductDetails(
     throw err;
   }
 
-  let nextCoverPath = existing.cover_path;
+  if (coverFile && coverPage !== undefined) {
+    const err = new Error('Upload a cover image or choose a cover page, not both');
+    err.status = 400;
+    throw err;
+  }
+
+  const coverImage = coverFile ? await scanImage(coverFile.buffer, { userId: sellerId }) : null;
+  if (coverPage !== undefined) {
+    validateCoverPage(coverPage, existing.page_count);
+  }
+
+  let nextCoverPage = existing.cover_page;
   if (coverFile) {
-    const coverExt = IMAGE_MIME_EXTENSION[coverFile.mimetype] || 'jpg';
-    const uploadedCoverPath = `${sellerId}/covers/${uuidv4()}.${coverExt}`;
-    const { error: coverUploadError } = await supabase.storage
-      .from(config.supabase.bucket)
-      .upload(uploadedCoverPath, coverFile.buffer, {
-        contentType: coverFile.mimetype,
+    nextCoverPage = null;
+  } else if (coverPage !== undefined) {
+    nextCoverPage = coverPage;
+  }
+  const renderCover = !coverFile && coverPage !== undefined;
+
+  let nextPreview = existing.preview_start_page
+    ? { startPage: existing.preview_start_page, endPage: existing.preview_end_page }
+    : null;
+  if (previewPages !== undefined) {
+    nextPreview = parsePreviewRange(previewPages, existing.page_count);
+  }
+  const rebuildPreview = Boolean(nextPreview) && previewPages !== undefined;
+
+  let sourceBuffer = null;
+  const getSourceBuffer = async () => {
+    if (!sourceBuffer) sourceBuffer = await downloadFile(existing.file_path);
+    return sourceBuffer;
+  };
+
+  let nextCoverPath = existing.cover_path;
+  let nextPreviewPath = nextPreview ? existing.preview_path : null;
+  const uploadedPaths = [];
+
+  try {
+    if (renderCover) {
+      nextCoverPath = await uploadGeneratedCover(sellerId, await getSourceBuffer(), nextCoverPage);
+      uploadedPaths.push(nextCoverPath);
+    }
+
+    if (coverFile) {
+      const uploadedCoverPath = `${sellerId}/covers/${uuidv4()}.${coverImage.extension}`;
+      const { error: coverUploadError } = await storage.upload(uploadedCoverPath, coverFile.buffer, {
+        contentType: coverImage.mimetype,
         upsert: false,
       });
 
-    if (coverUploadError) {
-      const err = new Error(`Cover upload failed: ${coverUploadError.message}`);
-      err.status = 500;
-      throw err;
+      if (coverUploadError) {
+        const err = new Error(`Cover upload failed: ${coverUploadError.message}`);
+        err.status = 500;
+        throw err;
+      }
+      nextCoverPath = uploadedCoverPath;
+      uploadedPaths.push(nextCoverPath);
+    }
+
+    if (rebuildPreview) {
+      nextPreviewPath = await uploadPreview(sellerId, await getSourceBuffer(), nextPreview);
+      uploadedPaths.push(nextPreviewPath);
+    }
+  } catch (err) {
+    // Remove whatever this update already stored to avoid orphan files.
+    if (uploadedPaths.length > 0) {
+      await storage.remove(uploadedPaths);
     }
-    nextCoverPath = uploadedCoverPath;
+    throw err;
+  }
+
+  const values = [
+    nextTitle,
+    nextAuthorName,
+    nextDescription,
+    nextTags,
+    nextMrp,
+    nextPrice,
+    nextAllowDownload,
+    nextCoverPath,
+    nextCoverPage,
+    nextPreviewPath,
+    nextPreview?.startPage ?? null,
+    nextPreview?.endPage ?? null,
+    nextWatermarkDownloads,
+    nextMaxDownloads,
+    nextMaxDownloadsPerDay,
+    productId,
+  ];
+
+  if (isLive) {
+    const revisionRes = await pool.query(
+      `INSERT INTO product_revisions (
+         title, author_name, description, tags, mrp, price, allow_download,
+         cover_path, cover_page, preview_path, preview_start_page, preview_end_page,
+         watermark_downloads, max_downloads, max_downloads_per_day,
+         product_id, base_version_number
+       )
+       VALUES ($1, $2, $3, $4::text[], $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+       ON CONFLICT (product_id) WHERE review_status = 'pending_review'
+       DO UPDATE SET
+         title = EXCLUDED.title,
+         author_name = EXCLUDED.author_name,
+         description = EXCLUDED.description,
+         tags = EXCLUDED.tags,
+         mrp = EXCLUDED.mrp,
+         price = EXCLUDED.price,
+         allow_download = EXCLUDED.allow_download,
+         cover_path = EXCLUDED.cover_path,
+         cover_page = EXCLUDED.cover_page,
+         preview_path = EXCLUDED.preview_path,
+         preview_start_page = EXCLUDED.preview_start_page,
+         preview_end_page = EXCLUDED.preview_end_page,
+         watermark_downloads = EXCLUDED.watermark_downloads,
+         max_downloads = EXCLUDED.max_downloads,
+         max_downloads_per_day = EXCLUDED.max_downloads_per_day,
+         base_version_number = EXCLUDED.base_version_number,
+         updated_at = NOW()
+       RETURNING *`,
+      [...values, live.current_version_number]
+    );
+
+    // Files of the previous pending revision, unless the live listing uses
+    // them (it always does for whatever the revision left unchanged).
+    const productRes = await pool.query('SELECT * FROM pdf_products WHERE id = $1', [productId]);
+    const product = productRes.rows[0];
+    const replacedPaths = [existing.cover_path, existing.preview_path].filter(
+      (path) =>
+        path &&
+        ![nextCoverPath, nextPreviewPath, product.cover_path, product.preview_path].includes(path)
+    );
+    if (replacedPaths.length > 0) {
+      await storage.remove(replacedPaths);
+    }
+
+    return {
+      ...(await attachCoverUrl(product)),
+      pending_revision: await attachCoverUrl(revisionRes.rows[0]),
+    };
   }
 
   const result = await pool.query(
@@ -598,32 +1434,495 @@ async function updateProductDetails(
          price = $6,
          allow_download = $7,
          cover_path = $8,
-         review_status = 'pending_review',
+         cover_page = $9,
+         preview_path = $10,
+         preview_start_page = $11,
+         preview_end_page = $12,
+         watermark_downloads = $13,
+         max_downloads = $14,
+         max_downloads_per_day = $15,
+         review_status = CASE WHEN review_status = 'draft' THEN 'draft' ELSE 'pending_review' END,
          rejection_reason = NULL,
          reviewed_by = NULL,
          reviewed_at = NULL,
          is_active = false,
          updated_at = NOW()
-     WHERE id = $9
+     WHERE id = $16
      RETURNING *`,
+    values
+  );
+
+  const replacedPaths = [existing.cover_path, existing.preview_path].filter(
+    (path) => path && ![nextCoverPath, nextPreviewPath].includes(path)
+  );
+  if (replacedPaths.length > 0) {
+    await storage.remove(replacedPaths);
+  }
+
+  return attachCoverUrl(result.rows[0]);
+}
+
+function pickRevisionFields(row) {
+  return Object.fromEntries(REVISION_FIELDS.map((field) => [field, row[field]]));
+}
+
+async function getPendingRevision(productId) {
+  const result = await pool.query(
+    `SELECT * FROM product_revisions
+     WHERE product_id = $1 AND review_status = 'pending_review'`,
+    [productId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Storage paths used only by the product's pending revision.
+ */
+async function listRevisionFilePaths(productId) {
+  const result = await pool.query(
+    `SELECT r.cover_path, r.preview_path, p.cover_path AS live_cover_path,
+            p.preview_path AS live_preview_path
+     FROM product_revisions r
+     JOIN pdf_products p ON p.id = r.product_id
+     WHERE r.product_id = $1 AND r.review_status = 'pending_review'`,
+    [productId]
+  );
+  const row = result.rows[0];
+  if (!row) return [];
+  return [row.cover_path, row.preview_path].filter(
+    (path) => path && ![row.live_cover_path, row.live_preview_path].includes(path)
+  );
+}
+
+/**
+ * Apply an approved revision to its listing (called by admin moderation).
+ * The listing stays on sale throughout. A generated cover or preview made
+ * from a file version that has since been replaced is rebuilt from the
+ * current file.
+ */
+async function applyRevision(revision) {
+  const productRes = await pool.query(
+    `SELECT id, seller_id, file_path, page_count, current_version_number,
+            cover_path, preview_path
+     FROM pdf_products
+     WHERE id = $1`,
+    [revision.product_id]
+  );
+  const product = productRes.rows[0];
+  if (!product) return null;
+
+  const next = pickRevisionFields(revision);
+  if (revision.base_version_number !== product.current_version_number) {
+    let pdfBuffer = null;
+    const getPdfBuffer = async () => {
+      if (!pdfBuffer) pdfBuffer = await downloadFile(product.file_path);
+      return pdfBuffer;
+    };
+
+    if (next.cover_page != null) {
+      next.cover_page = Math.min(next.cover_page, product.page_count);
+      try {
+        next.cover_path = await uploadGeneratedCover(
+          product.seller_id,
+          await getPdfBuffer(),
+          next.cover_page
+        );
+      } catch (err) {
+        console.error('Cover thumbnail generation failed:', err.message);
+        next.cover_path = product.cover_path;
+      }
+    }
+
+    const preview = fitPreviewRange(
+      next.preview_start_page
+        ? { startPage: next.preview_start_page, endPage: next.preview_end_page }
+        : null,
+      product.page_count
+    );
+    next.preview_path = null;
+    if (preview) {
+      try {
+        next.preview_path = await uploadPreview(product.seller_id, await getPdfBuffer(), preview);
+      } catch (err) {
+        console.error('Preview generation failed:', err.message);
+      }
+    }
+    next.preview_start_page = next.preview_path ? preview.startPage : null;
+    next.preview_end_page = next.preview_path ? preview.endPage : null;
+  }
+
+  const result = await pool.query(
+    `UPDATE pdf_products
+     SET title = $1,
+         author_name = $2,
+         description = $3,
+         tags = $4::text[],
+         mrp = $5,
+         price = $6,
+         allow_download = $7,
+         cover_path = $8,
+         cover_page = $9,
+         preview_path = $10,
+         preview_start_page = $11,
+         preview_end_page = $12,
+         watermark_downloads = $13,
+         max_downloads = $14,
+         max_downloads_per_day = $15,
+         updated_at = NOW()
+     WHERE id = $16
+     RETURNING *`,
+    [...REVISION_FIELDS.map((field) => next[field]), product.id]
+  );
+
+  const replacedPaths = [
+    product.cover_path,
+    product.preview_path,
+    revision.cover_path,
+    revision.preview_path,
+  ].filter((path, index, paths) =>
+    path && paths.indexOf(path) === index && ![next.cover_path, next.preview_path].includes(path)
+  );
+  if (replacedPaths.length > 0) {
+    await storage.remove(replacedPaths);
+  }
+  await returnBundlesToReview(product.id, { reason: 'price_changed', overpricedOnly: true });
+
+  return result.rows[0];
+}
+
+/**
+ * Remove the files only a rejected revision used.
+ */
+async function discardRevision(revision) {
+  const productRes = await pool.query(
+    'SELECT cover_path, preview_path FROM pdf_products WHERE id = $1',
+    [revision.product_id]
+  );
+  const live = productRes.rows[0] || {};
+  const unusedPaths = [revision.cover_path, revision.preview_path].filter(
+    (path) => path && ![live.cover_path, live.preview_path].includes(path)
+  );
+  if (unusedPaths.length > 0) {
+    await storage.remove(unusedPaths);
+  }
+}
+
+/**
+ * Submit a draft for moderation once the listing is complete: a cover, a
+ * description of MIN_SUBMIT_DESCRIPTION_LENGTH characters and at least
+ * MIN_SUBMIT_TAGS tag(s).
+ */
+async function submitProduct(productId, sellerId) {
+  const existingRes = await pool.query(
+    `SELECT id, review_status, cover_path, description, tags
+     FROM pdf_products
+     WHERE id = $1 AND seller_id = $2`,
+    [productId, sellerId]
+  );
+
+  if (existingRes.rows.length === 0) {
+    const err = new Error('Product not found or you do not own it');
+    err.status = 404;
+    throw err;
+  }
+
+  const existing = existingRes.rows[0];
+  if (existing.review_status !== 'draft') {
+    const err = new Error('Only drafts can be submitted for review');
+    err.status = 409;
+    throw err;
+  }
+
+  const missing = [];
+  if (!existing.cover_path) missing.push('a cover image');
+  if (String(existing.description || '').trim().length < MIN_SUBMIT_DESCRIPTION_LENGTH) {
+    missing.push(`a description of at least ${MIN_SUBMIT_DESCRIPTION_LENGTH} characters`);
+  }
+  if ((existing.tags || []).length < MIN_SUBMIT_TAGS) {
+    missing.push(`at least ${MIN_SUBMIT_TAGS} tag`);
+  }
+  if (missing.length > 0) {
+    const err = new Error(`Add ${missing.join(', ')} before submitting`);
+    err.status = 400;
+    throw err;
+  }
+
+  const result = await pool.query(
+    `UPDATE pdf_products
+     SET review_status = 'pending_review', updated_at = NOW()
+     WHERE id = $1 AND review_status = 'draft'
+     RETURNING *`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Only drafts can be submitted for review');
+    err.status = 409;
+    throw err;
+  }
+
+  return attachCoverUrl(result.rows[0]);
+}
+
+/**
+ * Upload a new version of a product's file (seller-only). The version is
+ * moderated on its own; the listing and the current file stay live until
+ * an admin approves it.
+ */
+async function createVersion(productId, sellerId, { file, changelog }) {
+  const productRes = await pool.query(
+    'SELECT id FROM pdf_products WHERE id = $1 AND seller_id = $2',
+    [productId, sellerId]
+  );
+
+  if (productRes.rows.length === 0) {
+    const err = new Error('Product not found or you do not own it');
+    err.status = 404;
+    throw err;
+  }
+
+  const trimmedChangelog = String(changelog || '').trim();
+  if (trimmedChangelog.length < 3) {
+    const err = new Error('Please describe what changed in this version');
+    err.status = 400;
+    throw err;
+  }
+  if (trimmedChangelog.length > MAX_CHANGELOG_LENGTH) {
+    const err = new Error(`Changelog must be at most ${MAX_CHANGELOG_LENGTH} characters`);
+    err.status = 400;
+    throw err;
+  }
+
+  const pendingRes = await pool.query(
+    `SELECT 1 FROM pdf_versions
+     WHERE product_id = $1 AND review_status = 'pending_review'`,
+    [productId]
+  );
+  if (pendingRes.rows.length > 0) {
+    const err = new Error('A new version of this PDF is already awaiting review');
+    err.status = 409;
+    throw err;
+  }
+
+  await planService.assertUploadAllowed(sellerId, { fileBytes: file.buffer.length });
+
+  const {
+    pdfInfo,
+    buffer: pdfBuffer,
+    scan,
+    fingerprint,
+    duplicate,
+  } = await processPdfUpload(file, sellerId);
+  const autoRejected = duplicate?.match === 'banned';
+
+  const storagePath = `${sellerId}/${uuidv4()}.pdf`;
+  const { error: uploadError } = await storage.upload(storagePath, pdfBuffer, {
+    contentType: 'application/pdf',
+    upsert: false,
+  });
+
+  if (uploadError) {
+    const err = new Error(`Storage upload failed: ${uploadError.message}`);
+    err.status = 500;
+    throw err;
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO pdf_versions (product_id, version_number, file_path, file_size, page_count, pdf_version,
+                                 doc_title, doc_author, has_text_layer, scan_status, scan_findings,
+                                 scan_engine, changelog, review_status, rejection_reason, reviewed_by,
+                                 reviewed_at, file_sha256, text_minhash, fingerprinted_at,
+                                 duplicate_match, duplicate_similarity, duplicate_of_product_id)
+       SELECT $1, COALESCE(MAX(version_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10::text[],
+              $11, $12, $13, $14, $15, $16, $17, $18::int[], NOW(), $19, $20, $21
+       FROM pdf_versions
+       WHERE product_id = $1
+       RETURNING id, product_id, version_number, file_size, page_count, changelog, review_status,
+                 rejection_reason, created_at`,
+      [
+        productId,
+        storagePath,
+        pdfBuffer.length,
+        pdfInfo.pageCount,
+        pdfInfo.pdfVersion,
+        pdfInfo.title,
+        pdfInfo.author,
+        pdfInfo.hasText,
+        scan.status,
+        scan.findings,
+        scan.engine,
+        trimmedChangelog,
+        autoRejected ? 'rejected' : 'pending_review',
+        autoRejected ? BANNED_COPY_REASON : null,
+        autoRejected ? 'system' : null,
+        autoRejected ? new Date() : null,
+        fingerprint.sha256,
+        fingerprint.textMinhash,
+        duplicate?.match ?? null,
+        duplicate?.similarity ?? null,
+        duplicate?.productId ?? null,
+      ]
+    );
+    if (autoRejected) _logAutoRejection('pdf_version', result.rows[0].id, duplicate);
+    return result.rows[0];
+  } catch (err) {
+    await storage.remove([storagePath]);
+    if (err.code === '23505') {
+      const conflict = new Error('Another version was uploaded at the same time, please retry');
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Version history of a product. Sellers see every version (including
+ * pending and rejected ones); buyers see the approved versions.
+ */
+async function listVersions(productId, userId) {
+  const productRes = await pool.query(
+    `SELECT p.seller_id, p.current_version_number,
+            EXISTS (
+              SELECT 1 FROM purchases pu
+              WHERE pu.product_id = p.id AND pu.buyer_id = $2 AND pu.status = 'paid'
+            ) AS purchased
+     FROM pdf_products p
+     WHERE p.id = $1`,
+    [productId, userId]
+  );
+
+  const product = productRes.rows[0];
+  const isSeller = product && product.seller_id === userId;
+  if (!product || (!isSeller && !product.purchased)) {
+    const err = new Error('Product not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const result = await pool.query(
+    `SELECT id, version_number, file_size, page_count, changelog, review_status,
+            ${isSeller ? 'rejection_reason, reviewed_at,' : ''}
+            created_at
+     FROM pdf_versions
+     WHERE product_id = $1
+       ${isSeller ? '' : "AND review_status = 'approved'"}
+     ORDER BY version_number DESC`,
+    [productId]
+  );
+
+  return {
+    current_version_number: product.current_version_number,
+    versions: result.rows.map((row) => ({
+      ...row,
+      is_current: row.version_number === product.current_version_number,
+    })),
+  };
+}
+
+/**
+ * Make an approved version the product's current file (called by admin
+ * moderation). Generated covers and the preview are rebuilt from the new
+ * file; older version files are kept so buyers can still open them.
+ */
+async function publishVersion(version) {
+  const productRes = await pool.query(
+    `SELECT id, seller_id, cover_path, cover_page, current_version_number,
+            preview_path, preview_start_page, preview_end_page
+     FROM pdf_products
+     WHERE id = $1`,
+    [version.product_id]
+  );
+  const product = productRes.rows[0];
+  if (!product || version.version_number <= product.current_version_number) {
+    return;
+  }
+
+  const pageCount = version.page_count;
+  let pdfBuffer = null;
+  const getPdfBuffer = async () => {
+    if (!pdfBuffer) pdfBuffer = await downloadFile(version.file_path);
+    return pdfBuffer;
+  };
+
+  let nextCoverPath = product.cover_path;
+  let nextCoverPage = product.cover_page;
+  if (product.cover_page != null) {
+    nextCoverPage = Math.min(product.cover_page, pageCount);
+    try {
+      nextCoverPath = await uploadGeneratedCover(product.seller_id, await getPdfBuffer(), nextCoverPage);
+    } catch (err) {
+      console.error('Cover thumbnail generation failed:', err.message);
+      nextCoverPath = product.cover_path;
+      nextCoverPage = product.cover_page;
+    }
+  }
+
+  const currentPreview = product.preview_start_page
+    ? { startPage: product.preview_start_page, endPage: product.preview_end_page }
+    : null;
+  let nextPreview = fitPreviewRange(currentPreview, pageCount);
+  let nextPreviewPath = null;
+  if (nextPreview) {
+    try {
+      nextPreviewPath = await uploadPreview(product.seller_id, await getPdfBuffer(), nextPreview);
+    } catch (err) {
+      console.error('Preview generation failed:', err.message);
+      nextPreview = null;
+    }
+  }
+
+  await pool.query(
+    `UPDATE pdf_products
+     SET file_path = $1,
+         file_size = $2,
+         page_count = $3,
+         pdf_version = $4,
+         doc_title = $5,
+         doc_author = $6,
+         has_text_layer = $7,
+         scan_status = $8,
+         scan_findings = $9::text[],
+         scan_engine = $10,
+         scanned_at = $11,
+         cover_path = $12,
+         cover_page = $13,
+         preview_path = $14,
+         preview_start_page = $15,
+         preview_end_page = $16,
+         current_version_number = $17,
+         file_updated_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $18`,
     [
-      nextTitle,
-      nextAuthorName,
-      nextDescription,
-      nextTags,
-      nextMrp,
-      nextPrice,
-      nextAllowDownload,
+      version.file_path,
+      version.file_size,
+      pageCount,
+      version.pdf_version,
+      version.doc_title,
+      version.doc_author,
+      version.has_text_layer,
+      version.scan_status,
+      version.scan_findings,
+      version.scan_engine,
+      version.created_at,
       nextCoverPath,
-      productId,
+      nextCoverPage,
+      nextPreviewPath,
+      nextPreview?.startPage ?? null,
+      nextPreview?.endPage ?? null,
+      version.version_number,
+      product.id,
     ]
   );
 
-  if (coverFile && existing.cover_path && existing.cover_path !== nextCoverPath) {
-    await supabase.storage.from(config.supabase.bucket).remove([existing.cover_path]);
+  const replacedPaths = [product.cover_path, product.preview_path].filter(
+    (path) => path && ![nextCoverPath, nextPreviewPath].includes(path)
+  );
+  if (replacedPaths.length > 0) {
+    await storage.remove(replacedPaths);
   }
-
-  return attachCoverUrl(result.rows[0]);
 }
 
 async function reportProduct({
@@ -705,9 +2004,26 @@ module.exports = {
   searchProducts,
   listSellerProducts,
   getSignedUrl,
+  createContentTicket,
+  openContentStream,
+  getPreviewUrl,
   deleteProduct,
+  returnBundlesToReview,
   updatePrice,
+  updateSchedule,
   updateProductDetails,
+  submitProduct,
+  createVersion,
+  listVersions,
+  publishVersion,
+  getPendingRevision,
+  listRevisionFilePaths,
+  applyRevision,
+  discardRevision,
   reportProduct,
+  generateUniqueShortCode,
+  attachCoverUrl,
+  attachCoverUrls,
   REPORT_REASON_CODES,
+  REVISION_FIELDS,
 };
@@ -0,0 +1,109 @@
+/**
+ * Seller plans — what a seller may upload and the commission on their sales.
+ *
+ * Usage is measured from the database: listings are the seller's
+ * pdf_products rows (unlisted ones included, as before plans existed) and
+ * storage is the size of every stored file version. Moving a seller to a
+ * smaller plan keeps what they already have; only new uploads are refused.
+ */
+const pool = require('../database/pool');
+const config = require('../config');
+const { DEFAULT_SELLER_PLAN, getPlanLimits } = require('../config/plans');
+
+function _megabytes(bytes) {
+  return `${Math.floor(bytes / (1024 * 1024))} MB`;
+}
+
+async function getSellerPlan(userId) {
+  const result = await pool.query('SELECT seller_plan FROM users WHERE id = $1', [userId]);
+  const plan = result.rows[0]?.seller_plan || DEFAULT_SELLER_PLAN;
+  return { plan, limits: getPlanLimits(plan) };
+}
+
+async function getSellerUsage(userId) {
+  const result = await pool.query(
+    `SELECT (SELECT COUNT(*)::int FROM pdf_products WHERE seller_id = $1) AS listings,
+            (SELECT COALESCE(SUM(v.file_size), 0)
+             FROM pdf_versions v
+             JOIN pdf_products p ON p.id = v.product_id
+             WHERE p.seller_id = $1) AS storage_bytes`,
+    [userId]
+  );
+  const { listings, storage_bytes: storageBytes } = result.rows[0];
+  return { listings, storageBytes: Number(storageBytes) };
+}
+
+/**
+ * Throw unless the seller's plan allows storing a `fileBytes` file (and,
+ * with `newListing`, one more listing). Files are validated as one buffer,
+ * so no plan goes above config.upload.maxAssembledBytes.
+ */
+async function assertUploadAllowed(userId, { fileBytes, newListing = false }) {
+  if (fileBytes > config.upload.maxAssembledBytes) {
+    const err = new Error(`PDF must be at most ${_megabytes(config.upload.maxAssembledBytes)}`);
+    err.status = 413;
+    throw err;
+  }
+
+  const { plan, limits } = await getSellerPlan(userId);
+
+  if (limits.maxFileBytes != null && fileBytes > limits.maxFileBytes) {
+    const err = new Error(
+      `PDF must be at most ${_megabytes(limits.maxFileBytes)} on the ${plan} plan`
+    );
+    err.status = 413;
+    throw err;
+  }
+
+  const usage = await getSellerUsage(userId);
+  if (newListing && limits.maxListings != null && usage.listings >= limits.maxListings) {
+    const err = new Error(
+      `The ${plan} plan allows a maximum of ${limits.maxListings} PDFs per account`
+    );
+    err.status = 400;
+    throw err;
+  }
+  if (limits.maxStorageBytes != null && usage.storageBytes + fileBytes > limits.maxStorageBytes) {
+    const err = new Error(
+      `This upload would exceed the ${_megabytes(limits.maxStorageBytes)} of storage ` +
+        `on the ${plan} plan (${_megabytes(usage.storageBytes)} used)`
+    );
+    err.status = 413;
+    throw err;
+  }
+}
+
+/**
+ * Plan, limits and current usage, for GET /api/user/limits. `null` means
+ * unlimited.
+ */
+async function getSellerLimits(userId) {
+  const { plan, limits } = await getSellerPlan(userId);
+  const usage = await getSellerUsage(userId);
+  const remaining = (max, used) => (max == null ? null : Math.max(max - used, 0));
+
+  return {
+    plan,
+    limits: {
+      max_listings: limits.maxListings,
+      max_storage_bytes: limits.maxStorageBytes,
+      max_file_bytes: Math.min(limits.maxFileBytes ?? Infinity, config.upload.maxAssembledBytes),
+      commission_rate: limits.commissionRate,
+    },
+    usage: {
+      listings: usage.listings,
+      storage_bytes: usage.storageBytes,
+    },
+    remaining: {
+      listings: remaining(limits.maxListings, usage.listings),
+      storage_bytes: remaining(limits.maxStorageBytes, usage.storageBytes),
+    },
+  };
+}
+
+module.exports = {
+  getSellerPlan,
+  getSellerUsage,
+  assertUploadAllowed,
+  getSellerLimits,
+};
@@ -1,21 +1,55 @@
 const pool = require('../database/pool');
 
+const ACCESS_HISTORY_LIMIT = 20;
+
 /**
  * Get all purchases for a buyer, with product details.
+ * `has_unseen_update` is set when a newer file version was published since
+ * the buyer last opened the PDF. `access_history` lists the most recent
+ * accesses (access_events) and `downloads_remaining` the seller's cap.
  */
 async function getMyPurchases(buyerId) {
   const result = await pool.query(
     `SELECT pu.id AS purchase_id, pu.status, pu.amount, pu.created_at,
+            pu.bundle_id, b.title AS bundle_title,
             p.id AS product_id, p.title, p.description, p.allow_download,
+            p.current_version_number, p.file_updated_at,
+            (pu.status = 'paid'
+              AND p.current_version_number > COALESCE(pu.seen_version_number, 1)) AS has_unseen_update,
+            p.max_downloads, p.max_downloads_per_day,
+            (SELECT COUNT(*)::int FROM access_events ae WHERE ae.purchase_id = pu.id) AS access_count,
+            (SELECT COUNT(*)::int FROM access_events ae
+             WHERE ae.purchase_id = pu.id AND ae.created_at > NOW() - INTERVAL '1 day') AS access_count_today,
+            COALESCE(
+              (SELECT json_agg(h)
+               FROM (
+                 SELECT ae.created_at, ae.event_type, ae.platform, ae.ip_address, ae.version_number
+                 FROM access_events ae
+                 WHERE ae.purchase_id = pu.id
+                 ORDER BY ae.created_at DESC
+                 LIMIT $2
+               ) h),
+              '[]'::json
+            ) AS access_history,
             u.name AS seller_name
      FROM purchases pu
      JOIN pdf_products p ON p.id = pu.product_id
      JOIN users u ON u.id = p.seller_id
+     LEFT JOIN pdf_bundles b ON b.id = pu.bundle_id
      WHERE pu.buyer_id = $1
      ORDER BY pu.created_at DESC`,
-    [buyerId]
+    [buyerId, ACCESS_HISTORY_LIMIT]
   );
-  return result.rows;
+
+  return result.rows.map((row) => ({
+    ...row,
+    downloads_remaining:
+      row.max_downloads != null ? Math.max(row.max_downloads - row.access_count, 0) : null,
+    downloads_remaining_today:
+      row.max_downloads_per_day != null
+        ? Math.max(row.max_downloads_per_day - row.access_count_today, 0)
+        : null,
+  }));
 }
 
 /**
@@ -23,11 +57,11 @@ async function getMyPurchases(buyerId) {
  */
 async function getSellerEarnings(sellerId) {
   const result = await pool.query(
-    `SELECT e.*, p.title AS product_title
+    `SELECT e.*, p.title AS product_title, pu.bundle_id, b.title AS bundle_title
      FROM earnings e
-     JOIN pdf_products p ON p.id = (
-       SELECT product_id FROM purchases WHERE id = e.purchase_id
-     )
+     JOIN purchases pu ON pu.id = e.purchase_id
+     JOIN pdf_products p ON p.id = pu.product_id
+     LEFT JOIN pdf_bundles b ON b.id = pu.bundle_id
      WHERE e.seller_id = $1
      ORDER BY e.created_at DESC`,
     [sellerId]
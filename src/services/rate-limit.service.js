@@ -0,0 +1,190 @@
+/**
+ * Rate-limit service — fixed-window counters and progressive login lockout.
+ *
+ * STORES (RATE_LIMIT_STORE):
+ * - memory   : per-process Map (default; fine for a single instance).
+ * - postgres : `rate_limit_buckets` table, shared by every instance.
+ *
+ * A store implements:
+ *   hit(key, windowSeconds) → { count, resetAt, updatedAt }
+ *   get(key)                → { count, resetAt, updatedAt } | null
+ *   reset(key)
+ * Custom stores can be plugged in with registerStore(name, factory).
+ *
+ * LOCKOUT:
+ *   Failed logins are counted per account. From the Nth failure onwards
+ *   the account is locked for base × 2^(failures − N) seconds (capped),
+ *   measured from the latest failure. A successful login clears it.
+ */
+const pool = require('../database/pool');
+const config = require('../config');
+
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+const POSTGRES_SWEEP_PROBABILITY = 0.01;
+
+function createMemoryStore() {
+  const buckets = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt.getTime() <= now) buckets.delete(key);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async hit(key, windowSeconds) {
+      const now = new Date();
+      const existing = buckets.get(key);
+      if (!existing || existing.resetAt <= now) {
+        const bucket = {
+          count: 1,
+          resetAt: new Date(now.getTime() + windowSeconds * 1000),
+          updatedAt: now,
+        };
+        buckets.set(key, bucket);
+        return { ...bucket };
+      }
+      existing.count += 1;
+      existing.updatedAt = now;
+      return { ...existing };
+    },
+
+    async get(key) {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= new Date()) return null;
+      return { ...bucket };
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    },
+  };
+}
+
+function createPostgresStore() {
+  return {
+    async hit(key, windowSeconds) {
+      const result = await pool.query(
+        `INSERT INTO rate_limit_buckets (key, count, reset_at, updated_at)
+         VALUES ($1, 1, NOW() + make_interval(secs => $2::int), NOW())
+         ON CONFLICT (key) DO UPDATE
+         SET count = CASE WHEN rate_limit_buckets.reset_at <= NOW()
+                          THEN 1 ELSE rate_limit_buckets.count + 1 END,
+             reset_at = CASE WHEN rate_limit_buckets.reset_at <= NOW()
+                             THEN EXCLUDED.reset_at ELSE rate_limit_buckets.reset_at END,
+             updated_at = NOW()
+         RETURNING count, reset_at, updated_at`,
+        [key, windowSeconds]
+      );
+
+      // Occasionally clear out expired buckets so the table stays small.
+      if (Math.random() < POSTGRES_SWEEP_PROBABILITY) {
+        pool.query('DELETE FROM rate_limit_buckets WHERE reset_at <= NOW()').catch(() => {});
+      }
+
+      const row = result.rows[0];
+      return { count: row.count, resetAt: row.reset_at, updatedAt: row.updated_at };
+    },
+
+    async get(key) {
+      const result = await pool.query(
+        `SELECT count, reset_at, updated_at
+         FROM rate_limit_buckets
+         WHERE key = $1 AND reset_at > NOW()`,
+        [key]
+      );
+      const row = result.rows[0];
+      return row ? { count: row.count, resetAt: row.reset_at, updatedAt: row.updated_at } : null;
+    },
+
+    async reset(key) {
+      await pool.query('DELETE FROM rate_limit_buckets WHERE key = $1', [key]);
+    },
+  };
+}
+
+const storeFactories = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+};
+
+let activeStore = null;
+
+function registerStore(name, factory) {
+  storeFactories[name] = factory;
+  activeStore = null;
+}
+
+function getStore() {
+  if (activeStore) return activeStore;
+
+  const factory = storeFactories[config.rateLimit.store];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${config.rateLimit.store}`);
+  }
+  activeStore = factory();
+  return activeStore;
+}
+
+function _secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Count one request against a fixed-window bucket.
+ * @returns {{ allowed: boolean, remaining: number, retryAfterSeconds: number }}
+ */
+async function consume(key, { windowSeconds, max }) {
+  const bucket = await getStore().hit(key, windowSeconds);
+  return {
+    allowed: bucket.count <= max,
+    remaining: Math.max(0, max - bucket.count),
+    retryAfterSeconds: _secondsUntil(bucket.resetAt),
+  };
+}
+
+function _lockoutSeconds(failures) {
+  const { threshold, baseSeconds, maxSeconds } = config.rateLimit.lockout;
+  if (failures < threshold) return 0;
+  return Math.min(maxSeconds, baseSeconds * 2 ** (failures - threshold));
+}
+
+/**
+ * Seconds the account is still locked for, or 0.
+ */
+async function getLockout(key) {
+  const bucket = await getStore().get(key);
+  if (!bucket) return 0;
+
+  const lockSeconds = _lockoutSeconds(bucket.count);
+  if (lockSeconds === 0) return 0;
+
+  const lockedUntil = new Date(new Date(bucket.updatedAt).getTime() + lockSeconds * 1000);
+  return lockedUntil > new Date() ? _secondsUntil(lockedUntil) : 0;
+}
+
+/**
+ * Record a failed login.
+ * @returns {{ failures: number, lockedForSeconds: number }}
+ */
+async function recordFailure(key) {
+  const bucket = await getStore().hit(key, config.rateLimit.lockout.windowSeconds);
+  return { failures: bucket.count, lockedForSeconds: _lockoutSeconds(bucket.count) };
+}
+
+async function clearFailures(key) {
+  await getStore().reset(key);
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  registerStore,
+  getStore,
+  consume,
+  getLockout,
+  recordFailure,
+  clearFailures,
+};
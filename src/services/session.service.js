@@ -0,0 +1,214 @@
+/**
+ * Session service — refresh tokens and server-side revocation.
+ *
+ * HOW SESSIONS WORK:
+ * - Every login creates a row in `user_sessions`.
+ * - The client receives a short-lived access JWT (carrying the session id
+ *   as `sid`) and a long-lived opaque refresh token "<session_id>.<secret>".
+ * - Only a SHA-256 hash of the secret is stored, so a DB leak does not
+ *   leak usable refresh tokens.
+ * - Each refresh rotates the secret. Presenting an already-rotated secret
+ *   means the token was copied, so the whole session is revoked.
+ * - `authenticate` rejects access tokens whose session is revoked, which
+ *   is what makes logout, "sign out device" and bans take effect at once.
+ */
+const crypto = require('crypto');
+const pool = require('../database/pool');
+const config = require('../config');
+
+const REFRESH_SECRET_BYTES = 48;
+
+function _hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function _newSecret() {
+  return crypto.randomBytes(REFRESH_SECRET_BYTES).toString('base64url');
+}
+
+function _parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+function _invalidRefreshError() {
+  const err = new Error('Invalid or expired refresh token');
+  err.status = 401;
+  return err;
+}
+
+/**
+ * Create a session for a user.
+ * @returns {{ session, refreshToken }}
+ */
+async function createSession(userId, { userAgent = null, ipAddress = null } = {}) {
+  const secret = _newSecret();
+  const result = await pool.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5::int))
+     RETURNING id, user_id, created_at, expires_at`,
+    [userId, _hashSecret(secret), userAgent, ipAddress, config.jwt.refreshExpiresInDays]
+  );
+
+  const session = result.rows[0];
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation).
+ * @returns {{ session, refreshToken }}
+ */
+async function rotateSession(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+  const parsed = _parseRefreshToken(refreshToken);
+  if (!parsed) throw _invalidRefreshError();
+
+  const existingRes = await pool.query(
+    `SELECT id, user_id, refresh_token_hash, revoked_at, expires_at
+     FROM user_sessions
+     WHERE id::text = $1`,
+    [parsed.sessionId]
+  );
+
+  if (existingRes.rows.length === 0) throw _invalidRefreshError();
+
+  const existing = existingRes.rows[0];
+  if (existing.revoked_at || new Date(existing.expires_at) <= new Date()) {
+    throw _invalidRefreshError();
+  }
+
+  if (existing.refresh_token_hash !== _hashSecret(parsed.secret)) {
+    // An old (already rotated) secret was replayed — assume theft.
+    await revokeSession(existing.id, 'refresh_token_reuse');
+    throw _invalidRefreshError();
+  }
+
+  const nextSecret = _newSecret();
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $2,
+         user_agent = COALESCE($3, user_agent),
+         ip_address = COALESCE($4, ip_address),
+         last_used_at = NOW()
+     WHERE id = $1
+       AND refresh_token_hash = $5
+       AND revoked_at IS NULL
+     RETURNING id, user_id, created_at, expires_at`,
+    [existing.id, _hashSecret(nextSecret), userAgent, ipAddress, existing.refresh_token_hash]
+  );
+
+  // Lost a race with a concurrent refresh of the same token.
+  if (result.rows.length === 0) throw _invalidRefreshError();
+
+  const session = result.rows[0];
+  return { session, refreshToken: `${session.id}.${nextSecret}` };
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout).
+ * Unknown or already-revoked tokens are ignored so logout is idempotent.
+ */
+async function revokeByRefreshToken(refreshToken) {
+  const parsed = _parseRefreshToken(refreshToken);
+  if (!parsed) return;
+
+  await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = 'logout'
+     WHERE id::text = $1
+       AND refresh_token_hash = $2
+       AND revoked_at IS NULL`,
+    [parsed.sessionId, _hashSecret(parsed.secret)]
+  );
+}
+
+async function revokeSession(sessionId, reason = 'revoked') {
+  await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+}
+
+/**
+ * Revoke every active session of a user (ban, password change, ...).
+ * @returns {number} count of sessions revoked
+ */
+async function revokeAllUserSessions(userId, reason = 'revoked', { exceptSessionId = null } = {}) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [userId, reason, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Whether an access token's session is still usable.
+ */
+async function isSessionActive(sessionId, userId) {
+  const result = await pool.query(
+    `SELECT 1
+     FROM user_sessions
+     WHERE id = $1
+       AND user_id = $2
+       AND revoked_at IS NULL
+       AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * List a user's active sessions ("devices").
+ */
+async function listUserSessions(userId, currentSessionId = null) {
+  const result = await pool.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY COALESCE(last_used_at, created_at) DESC`,
+    [userId]
+  );
+  return result.rows.map((row) => ({ ...row, current: row.id === currentSessionId }));
+}
+
+/**
+ * Sign out one of the user's own sessions.
+ */
+async function revokeUserSession(userId, sessionId) {
+  const result = await pool.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = 'signed_out_by_user'
+     WHERE id::text = $1
+       AND user_id = $2
+       AND revoked_at IS NULL
+     RETURNING id`,
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('Session not found');
+    err.status = 404;
+    throw err;
+  }
+
+  return { revoked: true, session_id: result.rows[0].id };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllUserSessions,
+  isSessionActive,
+  listUserSessions,
+  revokeUserSession,
+};
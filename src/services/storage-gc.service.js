@@ -0,0 +1,148 @@
+/**
+ * Storage garbage collector — reconciles the bucket with the database.
+ *
+ * Every object in storage should be referenced by one of REFERENCES.
+ * - Orphans  — objects nothing references (failed updates, deletes whose
+ *              storage call failed, abandoned uploads). Those older than the
+ *              grace period are deleted unless it is a dry run; younger ones
+ *              may belong to an upload whose row is not written yet.
+ * - Missing  — referenced paths with no object behind them. Only reported.
+ *
+ * Runs daily as a job (report-only unless STORAGE_GC_DRY_RUN=false) and on
+ * demand via POST /api/admin/storage/gc.
+ */
+const pool = require('../database/pool');
+const config = require('../config');
+const storage = require('./storage.service');
+const { logAudit } = require('./audit.service');
+
+// Every column that holds a storage path. New ones must be added here, or
+// the collector will treat their files as orphans.
+const REFERENCES = [
+  { table: 'pdf_products', column: 'file_path', id: 'id' },
+  { table: 'pdf_products', column: 'cover_path', id: 'id' },
+  { table: 'pdf_products', column: 'preview_path', id: 'id' },
+  { table: 'pdf_versions', column: 'file_path', id: 'id' },
+  { table: 'pdf_bundles', column: 'cover_path', id: 'id' },
+  // Reviewed revisions keep their values for the record, not their files.
+  { table: 'product_revisions', column: 'cover_path', id: 'id', where: "review_status = 'pending_review'" },
+  { table: 'product_revisions', column: 'preview_path', id: 'id', where: "review_status = 'pending_review'" },
+  { table: 'purchase_watermarks', column: 'file_path', id: 'id' },
+  { table: 'users', column: 'profile_picture', id: 'id' },
+  { table: 'upload_session_chunks', column: 'storage_path', id: 'session_id' },
+];
+
+const MIN_GRACE_HOURS = 1;
+const REMOVE_BATCH_SIZE = 100;
+const REPORT_LIMIT = 500;
+
+async function _loadReferences() {
+  const result = await pool.query(
+    REFERENCES.map(
+      ({ table, column, id, where }) =>
+        `SELECT ${column} AS path, '${table}.${column}' AS source, ${id}::text AS ref_id
+         FROM ${table}
+         WHERE ${column} IS NOT NULL${where ? ` AND ${where}` : ''}`
+    ).join('\nUNION ALL\n')
+  );
+  return result.rows;
+}
+
+/**
+ * Compare storage with the database and (unless dryRun) delete orphans
+ * older than `graceHours`.
+ */
+async function collectGarbage({
+  dryRun = true,
+  graceHours = config.storageGc.graceHours,
+  adminId = null,
+} = {}) {
+  const grace = Number(graceHours);
+  if (!Number.isFinite(grace) || grace < MIN_GRACE_HOURS) {
+    const err = new Error(`grace_hours must be at least ${MIN_GRACE_HOURS}`);
+    err.status = 400;
+    throw err;
+  }
+
+  // List before reading references: anything uploaded in between is
+  // younger than the grace period and therefore never deleted.
+  const { data: objects, error } = await storage.list();
+  if (error) {
+    const err = new Error(`Storage listing failed: ${error.message}`);
+    err.status = 502;
+    throw err;
+  }
+  const references = await _loadReferences();
+
+  const referencedPaths = new Set(references.map((ref) => ref.path));
+  const storedPaths = new Set(objects.map((object) => object.path));
+  const cutoff = Date.now() - grace * 60 * 60 * 1000;
+
+  const orphans = objects
+    .filter((object) => !referencedPaths.has(object.path))
+    .map((object) => ({
+      path: object.path,
+      size: object.size,
+      updated_at: object.updatedAt,
+      deletable: object.updatedAt instanceof Date && object.updatedAt.getTime() < cutoff,
+    }));
+  const missing = references.filter((ref) => !storedPaths.has(ref.path));
+  const deletable = orphans.filter((orphan) => orphan.deletable).map((orphan) => orphan.path);
+
+  let deleted = 0;
+  let failed = 0;
+  if (!dryRun) {
+    for (let i = 0; i < deletable.length; i += REMOVE_BATCH_SIZE) {
+      const batch = deletable.slice(i, i + REMOVE_BATCH_SIZE);
+      const { error: removeError } = await storage.remove(batch);
+      if (removeError) {
+        console.error('Storage GC failed to delete orphans:', removeError.message);
+        failed += batch.length;
+      } else {
+        deleted += batch.length;
+      }
+    }
+
+    if (deleted > 0) {
+      await logAudit({
+        actorType: adminId ? 'admin' : 'system',
+        actorId: adminId,
+        action: 'storage.gc',
+        metadata: { deleted, failed, grace_hours: grace },
+      }).catch(() => {});
+    }
+  }
+
+  return {
+    dry_run: Boolean(dryRun),
+    grace_hours: grace,
+    object_count: objects.length,
+    reference_count: references.length,
+    orphan_count: orphans.length,
+    orphan_bytes: orphans.reduce((total, orphan) => total + (orphan.size || 0), 0),
+    deletable_count: deletable.length,
+    deleted_count: deleted,
+    failed_count: failed,
+    missing_count: missing.length,
+    orphans: orphans.slice(0, REPORT_LIMIT),
+    missing: missing.slice(0, REPORT_LIMIT),
+  };
+}
+
+/**
+ * Background job: counts only, the lists go to the admin endpoint.
+ */
+async function runScheduledGc() {
+  const report = await collectGarbage({ dryRun: config.storageGc.dryRun });
+  return {
+    orphans: report.orphan_count,
+    deletable: report.dry_run ? report.deletable_count : 0,
+    deleted: report.deleted_count,
+    missing: report.missing_count,
+  };
+}
+
+module.exports = {
+  collectGarbage,
+  runScheduledGc,
+};
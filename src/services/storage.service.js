@@ -0,0 +1,483 @@
+/**
+ * Storage service — pluggable file storage for PDFs, covers, previews and
+ * profile pictures.
+ *
+ * DRIVERS (STORAGE_DRIVER):
+ * - supabase : private Supabase Storage bucket (default, SUPABASE_BUCKET).
+ * - s3       : any S3-compatible bucket (AWS, MinIO, R2) via the AWS SDK.
+ * - local    : files on disk under STORAGE_LOCAL_DIR. Signed URLs are
+ *              HMAC-signed, expiring links served by this API at
+ *              /api/storage/<path>, so the whole flow works offline.
+ *
+ * Every driver exposes the same methods, shaped like the Supabase client
+ * the services were written against (resolve to { data, error }):
+ *   upload(path, body, { contentType, upsert })
+ *   remove(paths)
+ *   download(path)                        → data: Buffer
+ *   createSignedUrl(path, expiresIn)      → data: { signedUrl }
+ *   stream(path, { range, ifRange })      → data: { status, headers, body }
+ *   list()                                → data: [{ path, size, updatedAt }] (every object)
+ *
+ * `stream` honours HTTP Range/If-Range and returns a Node readable body
+ * (null for 416). Additional drivers can be added with
+ * registerDriver(name, factory), where factory(config.storage) returns
+ * the methods above.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const config = require('../config');
+
+// Used by stream() for drivers that read through a signed URL.
+const INTERNAL_SIGNED_URL_EXPIRY_SECONDS = 60;
+const LIST_PAGE_SIZE = 1000;
+// Created by the Supabase dashboard to keep empty folders; not ours.
+const SUPABASE_FOLDER_PLACEHOLDER = '.emptyFolderPlaceholder';
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+function contentTypeFor(storagePath) {
+  return CONTENT_TYPES[path.extname(storagePath).toLowerCase()] || 'application/octet-stream';
+}
+
+function _result(data) {
+  return { data, error: null };
+}
+
+function _failure(err) {
+  return { data: null, error: { message: err.message || String(err) } };
+}
+
+/**
+ * Parse a single-range "bytes=" header against a known size.
+ * @returns {{ start: number, end: number } | null | 'unsatisfiable'} null = send everything
+ */
+function _parseRange(range, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(range || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes.
+    const suffix = Number(match[2]);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * stream() for drivers that can hand out an HTTP URL: fetch it with the
+ * client's Range headers and pass the response through.
+ */
+async function _streamFromUrl(signedUrlPromise, { range = null, ifRange = null } = {}) {
+  const { data, error } = await signedUrlPromise;
+  if (error) return { data: null, error };
+
+  // Identity encoding keeps Content-Length / Content-Range valid for the client.
+  const headers = { 'Accept-Encoding': 'identity' };
+  if (range) headers.Range = range;
+  if (ifRange) headers['If-Range'] = ifRange;
+
+  const response = await fetch(data.signedUrl, { headers });
+  if (![200, 206, 416].includes(response.status)) {
+    if (response.body) await response.body.cancel();
+    return { data: null, error: { message: `Storage responded with ${response.status}` } };
+  }
+
+  const passthrough = {};
+  for (const name of ['content-length', 'content-range', 'etag', 'last-modified']) {
+    const value = response.headers.get(name);
+    if (value) passthrough[name] = value;
+  }
+
+  if (response.status === 416) {
+    if (response.body) await response.body.cancel();
+    return _result({ status: 416, headers: passthrough, body: null });
+  }
+  return _result({
+    status: response.status,
+    headers: passthrough,
+    body: Readable.fromWeb(response.body),
+  });
+}
+
+const driverFactories = {
+  supabase: () => {
+    // Required lazily so s3/local setups don't need Supabase settings.
+    const supabase = require('../config/supabase');
+    const bucket = () => supabase.storage.from(config.supabase.bucket);
+
+    const driver = {
+      upload: (storagePath, body, { contentType, upsert = false } = {}) =>
+        bucket().upload(storagePath, body, { contentType, upsert }),
+
+      remove: (paths) => bucket().remove(paths),
+
+      async download(storagePath) {
+        const { data, error } = await bucket().download(storagePath);
+        if (error) return { data: null, error };
+        return _result(Buffer.from(await data.arrayBuffer()));
+      },
+
+      createSignedUrl: (storagePath, expiresIn) => bucket().createSignedUrl(storagePath, expiresIn),
+
+      stream: (storagePath, options) =>
+        _streamFromUrl(
+          driver.createSignedUrl(storagePath, INTERNAL_SIGNED_URL_EXPIRY_SECONDS),
+          options
+        ),
+
+      // Supabase lists one folder level at a time; folders have no id.
+      async list() {
+        const objects = [];
+        const folders = [''];
+        while (folders.length > 0) {
+          const folder = folders.pop();
+          for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+            const { data, error } = await bucket().list(folder, {
+              limit: LIST_PAGE_SIZE,
+              offset,
+              sortBy: { column: 'name', order: 'asc' },
+            });
+            if (error) return { data: null, error };
+
+            for (const entry of data) {
+              const entryPath = folder ? `${folder}/${entry.name}` : entry.name;
+              if (entry.id === null) {
+                folders.push(entryPath);
+              } else if (entry.name !== SUPABASE_FOLDER_PLACEHOLDER) {
+                objects.push({
+                  path: entryPath,
+                  size: entry.metadata?.size ?? null,
+                  updatedAt: new Date(entry.updated_at || entry.created_at),
+                });
+              }
+            }
+            if (data.length < LIST_PAGE_SIZE) break;
+          }
+        }
+        return _result(objects);
+      },
+    };
+    return driver;
+  },
+
+  s3: (storageConfig) => {
+    // Required lazily so supabase/local setups don't load the AWS SDK.
+    const {
+      S3Client,
+      PutObjectCommand,
+      GetObjectCommand,
+      HeadObjectCommand,
+      DeleteObjectsCommand,
+      ListObjectsV2Command,
+    } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+    const { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } =
+      storageConfig.s3;
+    const client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    return {
+      // Paths are always fresh UUIDs, so `upsert` needs no conditional write here.
+      async upload(storagePath, body, { contentType } = {}) {
+        try {
+          await client.send(
+            new PutObjectCommand({
+              Bucket: bucket,
+              Key: storagePath,
+              Body: body,
+              ContentType: contentType,
+            })
+          );
+          return _result({ path: storagePath });
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async remove(paths) {
+        if (paths.length === 0) return _result([]);
+        try {
+          await client.send(
+            new DeleteObjectsCommand({
+              Bucket: bucket,
+              Delete: { Objects: paths.map((key) => ({ Key: key })), Quiet: true },
+            })
+          );
+          return _result(paths);
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async download(storagePath) {
+        try {
+          const object = await client.send(
+            new GetObjectCommand({ Bucket: bucket, Key: storagePath })
+          );
+          return _result(Buffer.from(await object.Body.transformToByteArray()));
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async createSignedUrl(storagePath, expiresIn) {
+        try {
+          const signedUrl = await getSignedUrl(
+            client,
+            new GetObjectCommand({ Bucket: bucket, Key: storagePath }),
+            { expiresIn }
+          );
+          return _result({ signedUrl });
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async stream(storagePath, { range = null, ifRange = null } = {}) {
+        try {
+          let sendRange = range;
+          if (range && ifRange) {
+            // S3 has no If-Range; drop the range when the object changed.
+            const head = await client.send(
+              new HeadObjectCommand({ Bucket: bucket, Key: storagePath })
+            );
+            if (head.ETag !== ifRange) sendRange = null;
+          }
+
+          const object = await client.send(
+            new GetObjectCommand({ Bucket: bucket, Key: storagePath, Range: sendRange || undefined })
+          );
+          const headers = {};
+          if (object.ContentLength != null) headers['content-length'] = String(object.ContentLength);
+          if (object.ContentRange) headers['content-range'] = object.ContentRange;
+          if (object.ETag) headers.etag = object.ETag;
+          if (object.LastModified) headers['last-modified'] = object.LastModified.toUTCString();
+          return _result({
+            status: object.ContentRange ? 206 : 200,
+            headers,
+            body: object.Body,
+          });
+        } catch (err) {
+          if (err.name === 'InvalidRange' || err.$metadata?.httpStatusCode === 416) {
+            return _result({ status: 416, headers: {}, body: null });
+          }
+          return _failure(err);
+        }
+      },
+
+      async list() {
+        try {
+          const objects = [];
+          let continuationToken;
+          do {
+            const page = await client.send(
+              new ListObjectsV2Command({
+                Bucket: bucket,
+                MaxKeys: LIST_PAGE_SIZE,
+                ContinuationToken: continuationToken,
+              })
+            );
+            for (const object of page.Contents || []) {
+              objects.push({ path: object.Key, size: object.Size, updatedAt: object.LastModified });
+            }
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+          } while (continuationToken);
+          return _result(objects);
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+    };
+  },
+
+  local: (storageConfig) => {
+    const rootDir = path.resolve(storageConfig.local.dir);
+    const publicUrl = storageConfig.local.publicUrl.replace(/\/+$/, '');
+    const signingSecret = storageConfig.local.signingSecret || config.jwt.secret;
+
+    const resolvePath = (storagePath) => {
+      const fullPath = path.resolve(rootDir, String(storagePath));
+      if (!fullPath.startsWith(rootDir + path.sep)) {
+        throw new Error('Invalid storage path');
+      }
+      return fullPath;
+    };
+
+    const sign = (storagePath, expires) =>
+      crypto
+        .createHmac('sha256', signingSecret)
+        .update(`${storagePath}\n${expires}`)
+        .digest('base64url');
+
+    return {
+      async upload(storagePath, body, { upsert = false } = {}) {
+        try {
+          const fullPath = resolvePath(storagePath);
+          await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+          await fs.promises.writeFile(fullPath, body, { flag: upsert ? 'w' : 'wx' });
+          return _result({ path: storagePath });
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async remove(paths) {
+        try {
+          for (const storagePath of paths) {
+            await fs.promises.rm(resolvePath(storagePath), { force: true });
+          }
+          return _result(paths);
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async download(storagePath) {
+        try {
+          return _result(await fs.promises.readFile(resolvePath(storagePath)));
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async createSignedUrl(storagePath, expiresIn) {
+        try {
+          resolvePath(storagePath);
+          const expires = Math.floor(Date.now() / 1000) + expiresIn;
+          const encodedPath = String(storagePath).split('/').map(encodeURIComponent).join('/');
+          return _result({
+            signedUrl: `${publicUrl}/api/storage/${encodedPath}?expires=${expires}&sig=${sign(storagePath, expires)}`,
+          });
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async stream(storagePath, { range = null, ifRange = null } = {}) {
+        try {
+          const fullPath = resolvePath(storagePath);
+          const stat = await fs.promises.stat(fullPath);
+          const etag = `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+          const headers = { etag, 'last-modified': stat.mtime.toUTCString() };
+
+          const parsed = range && (!ifRange || ifRange === etag) ? _parseRange(range, stat.size) : null;
+          if (parsed === 'unsatisfiable') {
+            headers['content-range'] = `bytes */${stat.size}`;
+            return _result({ status: 416, headers, body: null });
+          }
+          if (parsed) {
+            headers['content-length'] = String(parsed.end - parsed.start + 1);
+            headers['content-range'] = `bytes ${parsed.start}-${parsed.end}/${stat.size}`;
+            return _result({
+              status: 206,
+              headers,
+              body: fs.createReadStream(fullPath, parsed),
+            });
+          }
+          headers['content-length'] = String(stat.size);
+          return _result({ status: 200, headers, body: fs.createReadStream(fullPath) });
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      async list() {
+        try {
+          const objects = [];
+          const walk = async (dir) => {
+            const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+              const fullPath = path.join(dir, entry.name);
+              if (entry.isDirectory()) {
+                await walk(fullPath);
+              } else if (entry.isFile()) {
+                const stat = await fs.promises.stat(fullPath);
+                objects.push({
+                  path: path.relative(rootDir, fullPath).split(path.sep).join('/'),
+                  size: stat.size,
+                  updatedAt: stat.mtime,
+                });
+              }
+            }
+          };
+          if (fs.existsSync(rootDir)) await walk(rootDir);
+          return _result(objects);
+        } catch (err) {
+          return _failure(err);
+        }
+      },
+
+      /** Check a URL produced by createSignedUrl (used by /api/storage). */
+      verifySignedUrl(storagePath, expires, signature) {
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000) return false;
+        const expected = Buffer.from(sign(storagePath, expiresAt));
+        const given = Buffer.from(String(signature || ''));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+      },
+    };
+  },
+};
+
+let activeDriver = null;
+
+function registerDriver(name, factory) {
+  driverFactories[name] = factory;
+  activeDriver = null;
+}
+
+function _getDriver() {
+  if (activeDriver) return activeDriver;
+
+  const factory = driverFactories[config.storage.driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+  }
+  activeDriver = factory(config.storage);
+  return activeDriver;
+}
+
+/**
+ * Whether a signed URL served by this API is valid. Only the local driver
+ * issues such URLs; for every other driver this is always false.
+ */
+function verifySignedUrl(storagePath, expires, signature) {
+  const driver = _getDriver();
+  return typeof driver.verifySignedUrl === 'function'
+    ? driver.verifySignedUrl(storagePath, expires, signature)
+    : false;
+}
+
+module.exports = {
+  upload: (storagePath, body, options) => _getDriver().upload(storagePath, body, options),
+  remove: (paths) => _getDriver().remove(paths),
+  download: (storagePath) => _getDriver().download(storagePath),
+  createSignedUrl: (storagePath, expiresIn) => _getDriver().createSignedUrl(storagePath, expiresIn),
+  stream: (storagePath, options) => _getDriver().stream(storagePath, options),
+  list: () => _getDriver().list(),
+  verifySignedUrl,
+  contentTypeFor,
+  registerDriver,
+};
@@ -0,0 +1,402 @@
+/**
+ * Two-factor authentication (TOTP, RFC 6238) for users and admins.
+ *
+ * ENROLMENT:
+ * 1. startEnrollment() stores a new secret as *pending* and returns it with
+ *    an otpauth:// provisioning URI (clients render it as a QR code).
+ * 2. confirmEnrollment() checks a code from the authenticator app, enables
+ *    2FA and returns one-time recovery codes (shown once, stored hashed).
+ *
+ * LOGIN:
+ * - After the password check, login returns a short-lived challenge token
+ *   instead of an access token. The client posts it back with a TOTP or
+ *   recovery code to finish logging in.
+ * - A TOTP step can only be used once per account (replay protection).
+ *
+ * Secrets are encrypted at rest with AES-256-GCM (TOTP_ENCRYPTION_KEY).
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/pool');
+const config = require('../config');
+const { logAudit } = require('./audit.service');
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW_STEPS = 1; // accept one step of clock drift either way
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRY = '5m';
+const CHALLENGE_TYPE = '2fa_challenge';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ── Primitives ───────────────────────────────────────────
+
+function _base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function _base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function _hotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', _base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a code belongs to, or null if it matches none.
+ */
+function _matchStep(secret, code, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -TOTP_WINDOW_STEPS; drift <= TOTP_WINDOW_STEPS; drift++) {
+    const step = currentStep + drift;
+    const expected = _hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function _encryptionKey() {
+  return crypto
+    .createHash('sha256')
+    .update(String(config.twoFactor.encryptionKey || config.jwt.secret))
+    .digest();
+}
+
+function _encrypt(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', _encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64')).join(':');
+}
+
+function _decrypt(payload) {
+  const [iv, tag, encrypted] = String(payload).split(':').map((p) => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', _encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function _hashRecoveryCode(code) {
+  const normalized = String(code || '').trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function _generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+function _provisioningUri(secret, accountLabel) {
+  const issuer = config.twoFactor.issuer;
+  const label = encodeURIComponent(`${issuer}:${accountLabel}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function _invalidCodeError() {
+  const err = new Error('Invalid two-factor code');
+  err.status = 401;
+  return err;
+}
+
+// ── Credential storage ───────────────────────────────────
+
+async function _getCredential(accountType, accountId) {
+  const result = await pool.query(
+    `SELECT id, secret_encrypted, enabled_at, last_used_step
+     FROM two_factor_credentials
+     WHERE account_type = $1 AND account_id = $2`,
+    [accountType, String(accountId)]
+  );
+  return result.rows[0] || null;
+}
+
+async function _replaceRecoveryCodes(accountType, accountId) {
+  const codes = _generateRecoveryCodes();
+  await pool.query(
+    'DELETE FROM two_factor_recovery_codes WHERE account_type = $1 AND account_id = $2',
+    [accountType, String(accountId)]
+  );
+  await pool.query(
+    `INSERT INTO two_factor_recovery_codes (account_type, account_id, code_hash)
+     SELECT $1, $2, unnest($3::text[])`,
+    [accountType, String(accountId), codes.map(_hashRecoveryCode)]
+  );
+  return codes;
+}
+
+/**
+ * Check a TOTP code against a credential, consuming its time step.
+ */
+async function _consumeTotp(credential, code) {
+  const step = _matchStep(_decrypt(credential.secret_encrypted), code);
+  if (step == null) return false;
+
+  // Conditional update so the same step can't be used twice, even concurrently.
+  const result = await pool.query(
+    `UPDATE two_factor_credentials
+     SET last_used_step = $2, updated_at = NOW()
+     WHERE id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+    [credential.id, step]
+  );
+  return result.rowCount > 0;
+}
+
+async function _consumeRecoveryCode(accountType, accountId, code) {
+  const result = await pool.query(
+    `UPDATE two_factor_recovery_codes
+     SET used_at = NOW()
+     WHERE account_type = $1
+       AND account_id = $2
+       AND code_hash = $3
+       AND used_at IS NULL`,
+    [accountType, String(accountId), _hashRecoveryCode(code)]
+  );
+  return result.rowCount > 0;
+}
+
+// ── Public API ───────────────────────────────────────────
+
+async function isEnabled(accountType, accountId) {
+  const credential = await _getCredential(accountType, accountId);
+  return Boolean(credential && credential.enabled_at);
+}
+
+/**
+ * Begin enrolment: store a pending secret and return provisioning details.
+ */
+async function startEnrollment(accountType, accountId, accountLabel) {
+  const existing = await _getCredential(accountType, accountId);
+  if (existing && existing.enabled_at) {
+    const err = new Error('Two-factor authentication is already enabled');
+    err.status = 409;
+    throw err;
+  }
+
+  const secret = _base32Encode(crypto.randomBytes(SECRET_BYTES));
+  await pool.query(
+    `INSERT INTO two_factor_credentials (account_type, account_id, secret_encrypted)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (account_type, account_id)
+     DO UPDATE SET secret_encrypted = EXCLUDED.secret_encrypted,
+                   enabled_at = NULL,
+                   last_used_step = NULL,
+                   updated_at = NOW()`,
+    [accountType, String(accountId), _encrypt(secret)]
+  );
+
+  return {
+    secret,
+    otpauth_uri: _provisioningUri(secret, accountLabel),
+    digits: TOTP_DIGITS,
+    period: TOTP_PERIOD_SECONDS,
+  };
+}
+
+/**
+ * Finish enrolment with a code from the authenticator app.
+ * @returns {{ enabled: true, recovery_codes: string[] }}
+ */
+async function confirmEnrollment(accountType, accountId, code) {
+  const credential = await _getCredential(accountType, accountId);
+  if (!credential) {
+    const err = new Error('Start two-factor setup first');
+    err.status = 400;
+    throw err;
+  }
+  if (credential.enabled_at) {
+    const err = new Error('Two-factor authentication is already enabled');
+    err.status = 409;
+    throw err;
+  }
+  if (!(await _consumeTotp(credential, code))) {
+    throw _invalidCodeError();
+  }
+
+  await pool.query(
+    'UPDATE two_factor_credentials SET enabled_at = NOW(), updated_at = NOW() WHERE id = $1',
+    [credential.id]
+  );
+  const recoveryCodes = await _replaceRecoveryCodes(accountType, accountId);
+
+  await logAudit({
+    actorType: accountType,
+    actorId: String(accountId),
+    action: 'two_factor.enroll',
+    targetType: accountType,
+    targetId: String(accountId),
+  }).catch(() => {});
+
+  return { enabled: true, recovery_codes: recoveryCodes };
+}
+
+/**
+ * Verify a TOTP or recovery code for an account with 2FA enabled.
+ */
+async function verifyCode(accountType, accountId, code) {
+  const credential = await _getCredential(accountType, accountId);
+  if (!credential || !credential.enabled_at) return false;
+
+  if (await _consumeTotp(credential, code)) return true;
+
+  if (await _consumeRecoveryCode(accountType, accountId, code)) {
+    await logAudit({
+      actorType: accountType,
+      actorId: String(accountId),
+      action: 'two_factor.recovery_code_used',
+      targetType: accountType,
+      targetId: String(accountId),
+    }).catch(() => {});
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Turn 2FA off after confirming a current code.
+ */
+async function disable(accountType, accountId, code) {
+  if (!(await verifyCode(accountType, accountId, code))) {
+    throw _invalidCodeError();
+  }
+  await _removeCredential(accountType, accountId);
+
+  await logAudit({
+    actorType: accountType,
+    actorId: String(accountId),
+    action: 'two_factor.disable',
+    targetType: accountType,
+    targetId: String(accountId),
+  }).catch(() => {});
+
+  return { enabled: false };
+}
+
+/**
+ * Issue a fresh set of recovery codes (invalidates the old ones).
+ */
+async function regenerateRecoveryCodes(accountType, accountId, code) {
+  if (!(await verifyCode(accountType, accountId, code))) {
+    throw _invalidCodeError();
+  }
+  const recoveryCodes = await _replaceRecoveryCodes(accountType, accountId);
+
+  await logAudit({
+    actorType: accountType,
+    actorId: String(accountId),
+    action: 'two_factor.recovery_codes_regenerated',
+    targetType: accountType,
+    targetId: String(accountId),
+  }).catch(() => {});
+
+  return { recovery_codes: recoveryCodes };
+}
+
+/**
+ * Remove 2FA without a code — for a superadmin helping someone who lost
+ * their device. The caller is responsible for auditing.
+ */
+async function reset(accountType, accountId) {
+  await _removeCredential(accountType, accountId);
+}
+
+async function _removeCredential(accountType, accountId) {
+  await pool.query(
+    'DELETE FROM two_factor_recovery_codes WHERE account_type = $1 AND account_id = $2',
+    [accountType, String(accountId)]
+  );
+  await pool.query(
+    'DELETE FROM two_factor_credentials WHERE account_type = $1 AND account_id = $2',
+    [accountType, String(accountId)]
+  );
+}
+
+/**
+ * Short-lived token proving the password step succeeded.
+ * `purpose` is 'verify' (2FA enabled) or 'setup' (admin must enrol first).
+ */
+function createChallenge(accountType, accountId, purpose = 'verify') {
+  return jwt.sign(
+    { id: String(accountId), typ: CHALLENGE_TYPE, account_type: accountType, purpose },
+    config.jwt.secret,
+    { expiresIn: CHALLENGE_EXPIRY }
+  );
+}
+
+/**
+ * @returns {{ id: string, purpose: string }}
+ */
+function verifyChallenge(token, accountType) {
+  try {
+    const decoded = jwt.verify(String(token || ''), config.jwt.secret);
+    if (decoded.typ !== CHALLENGE_TYPE || decoded.account_type !== accountType) {
+      throw new Error('wrong token type');
+    }
+    return { id: decoded.id, purpose: decoded.purpose };
+  } catch (_err) {
+    const err = new Error('Two-factor challenge is invalid or has expired');
+    err.status = 401;
+    throw err;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifyCode,
+  disable,
+  regenerateRecoveryCodes,
+  reset,
+  createChallenge,
+  verifyChallenge,
+};
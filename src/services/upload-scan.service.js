@@ -0,0 +1,212 @@
+/**
+ * Upload scanning — runs before any user file reaches storage.
+ *
+ * PDFs:
+ *   1. Active content (JavaScript, /Launch, embedded files, auto actions ...)
+ *      is stripped or the upload rejected, per PDF_ACTIVE_CONTENT_POLICY
+ *      ('sanitize' | 'reject'). See pdf-sanitize.service.js.
+ *   2. The original bytes go through the virus scanner.
+ * Images (covers, profile pictures):
+ *   1. Magic bytes must be JPEG, PNG or WebP — the client mimetype is ignored
+ *      (this also keeps scriptable SVGs out).
+ *   2. Virus scanner.
+ *
+ * VIRUS SCANNERS (VIRUS_SCANNER):
+ * - stub   : in-process check for the EICAR test signature (default; lets
+ *            the whole flow be exercised locally without a daemon).
+ * - clamav : clamd INSTREAM over TCP (CLAMAV_HOST/CLAMAV_PORT) or a unix
+ *            socket (CLAMAV_SOCKET).
+ * Additional scanners can be added with registerScanner(name, factory),
+ * where factory(config.uploadScan) returns
+ *   { name, scan(buffer) → { infected: boolean, signature: string|null } }.
+ *
+ * VERDICTS (stored on pdf_products.scan_status):
+ * - clean     : nothing found
+ * - sanitized : active content was removed; the listed findings are kept
+ * - unscanned : the virus scanner failed and VIRUS_SCAN_FAIL_CLOSED is off
+ * - sanitized_unscanned : both of the above
+ * Infected files are never stored — the upload fails with 422.
+ */
+const net = require('net');
+const config = require('../config');
+const { sanitizePdf, detectActiveContent } = require('./pdf-sanitize.service');
+const { logAudit } = require('./audit.service');
+
+const CLAMAV_CHUNK_BYTES = 64 * 1024;
+
+// Standard antivirus test string (https://www.eicar.org/download-anti-malware-testfile/)
+const EICAR_SIGNATURE =
+  'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const IMAGE_SIGNATURES = [
+  { mimetype: 'image/jpeg', extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mimetype: 'image/png',
+    extension: 'png',
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mimetype: 'image/webp',
+    extension: 'webp',
+    matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP',
+  },
+];
+
+function _clamavScan(scanConfig, buffer) {
+  return new Promise((resolve, reject) => {
+    const { host, port, socketPath, timeoutMs } = scanConfig.clamav;
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    const chunks = [];
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('clamd timed out')));
+    socket.on('error', reject);
+    socket.on('data', (data) => chunks.push(data));
+    socket.on('end', () => {
+      const reply = Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim();
+      // "stream: OK" | "stream: <signature> FOUND" | "<reason> ERROR"
+      const found = /^stream: (.+) FOUND$/.exec(reply);
+      if (found) return resolve({ infected: true, signature: found[1] });
+      if (/^stream: OK$/.test(reply)) return resolve({ infected: false, signature: null });
+      return reject(new Error(`Unexpected clamd reply: ${reply || '<empty>'}`));
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_BYTES) {
+        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_BYTES);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length, 0);
+        socket.write(size);
+        socket.write(chunk);
+      }
+      socket.end(Buffer.alloc(4)); // zero-length chunk terminates the stream
+    });
+  });
+}
+
+const scannerFactories = {
+  stub: () => ({
+    name: 'stub',
+    async scan(buffer) {
+      const infected = buffer.includes(EICAR_SIGNATURE, 0, 'latin1');
+      return { infected, signature: infected ? 'EICAR-Test-File' : null };
+    },
+  }),
+
+  clamav: (scanConfig) => ({
+    name: 'clamav',
+    scan: (buffer) => _clamavScan(scanConfig, buffer),
+  }),
+};
+
+let activeScanner = null;
+
+function registerScanner(name, factory) {
+  scannerFactories[name] = factory;
+  activeScanner = null;
+}
+
+function _getScanner() {
+  if (activeScanner) return activeScanner;
+
+  const factory = scannerFactories[config.uploadScan.scanner];
+  if (!factory) {
+    throw new Error(`Unknown virus scanner: ${config.uploadScan.scanner}`);
+  }
+  activeScanner = factory(config.uploadScan);
+  return activeScanner;
+}
+
+/**
+ * Run the virus scanner. Rejects infected files (422); scanner failures
+ * reject with 503 when failing closed, otherwise return engine null.
+ */
+async function _virusScan(buffer, { userId, kind }) {
+  const scanner = _getScanner();
+
+  let result;
+  try {
+    result = await scanner.scan(buffer);
+  } catch (scanErr) {
+    console.error(`Virus scan failed (${scanner.name}):`, scanErr.message);
+    if (config.uploadScan.failClosed) {
+      const err = new Error('File scanning is temporarily unavailable, please try again later');
+      err.status = 503;
+      throw err;
+    }
+    return { engine: null };
+  }
+
+  if (result.infected) {
+    await logAudit({
+      actorType: 'user',
+      actorId: userId,
+      action: 'upload.malware_blocked',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { kind, engine: scanner.name, signature: result.signature },
+    }).catch(() => {});
+
+    const err = new Error('The uploaded file was flagged as malicious and was not accepted');
+    err.status = 422;
+    throw err;
+  }
+
+  return { engine: scanner.name };
+}
+
+/**
+ * Scan an uploaded PDF. Returns the bytes to store (sanitised if needed)
+ * and the verdict to record on the product.
+ *
+ * @returns {Promise<{ buffer: Buffer, scan: { status: string, findings: string[], engine: string|null } }>}
+ */
+async function scanPdf(buffer, { userId }) {
+  let output = buffer;
+  let findings = [];
+
+  if (config.uploadScan.pdfActiveContent === 'reject') {
+    findings = await detectActiveContent(buffer);
+    if (findings.length > 0) {
+      const err = new Error(
+        `PDFs with active content are not allowed (found: ${findings.join(', ')})`
+      );
+      err.status = 400;
+      throw err;
+    }
+  } else {
+    const sanitized = await sanitizePdf(buffer);
+    output = sanitized.buffer;
+    findings = sanitized.findings;
+  }
+
+  // Scan the original: anything we just stripped should still block the upload.
+  const { engine } = await _virusScan(buffer, { userId, kind: 'pdf' });
+
+  let status;
+  if (engine) status = findings.length > 0 ? 'sanitized' : 'clean';
+  else status = findings.length > 0 ? 'sanitized_unscanned' : 'unscanned';
+
+  return { buffer: output, scan: { status, findings, engine } };
+}
+
+/**
+ * Scan an uploaded image. Returns the content type and file extension
+ * detected from the bytes, which callers should use instead of the
+ * client-supplied mimetype.
+ *
+ * @returns {Promise<{ mimetype: string, extension: string }>}
+ */
+async function scanImage(buffer, { userId }) {
+  const signature = IMAGE_SIGNATURES.find((candidate) => candidate.matches(buffer));
+  if (!signature) {
+    const err = new Error('Images must be JPEG, PNG or WebP');
+    err.status = 400;
+    throw err;
+  }
+
+  await _virusScan(buffer, { userId, kind: 'image' });
+  return { mimetype: signature.mimetype, extension: signature.extension };
+}
+
+module.exports = { scanPdf, scanImage, registerScanner };
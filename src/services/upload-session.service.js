@@ -0,0 +1,432 @@
+/**
+ * Upload sessions — resumable, chunked PDF uploads.
+ *
+ * FLOW:
+ * 1. POST /api/pdf/uploads with the file's size and SHA-256. The response
+ *    fixes the chunk size and the number of chunks.
+ * 2. PUT /api/pdf/uploads/:id/chunks/:n (n = 1..total_chunks) with the raw
+ *    bytes. Each chunk goes straight to storage as its own object, so a
+ *    dropped connection only loses the chunk in flight; re-sending a chunk
+ *    replaces it. GET /api/pdf/uploads/:id lists what has arrived.
+ * 3. POST /api/pdf/uploads/:id/complete with the listing fields. The chunks
+ *    are joined, the size and checksum verified, and the product created by
+ *    pdfService.createProduct exactly as a direct upload would be.
+ *
+ * Chunking makes uploads resumable, not unbounded: step 3 assembles the
+ * file in memory, so a session may not exceed the seller's plan file size
+ * nor config.upload.maxAssembledBytes (planService.assertUploadAllowed,
+ * checked at creation and again before assembling).
+ *
+ * A session expires `sessionTtlHours` after its last chunk (or after it was
+ * claimed for completion); the cleanup job removes the stored chunks of
+ * expired and aborted sessions, but never of a completion still running.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../database/pool');
+const config = require('../config');
+const storage = require('./storage.service');
+const pdfService = require('./pdf.service');
+const planService = require('./plan.service');
+
+const MAX_OPEN_SESSIONS_PER_SELLER = 3;
+const MAX_FILE_NAME_LENGTH = 255;
+// A session stuck in 'completing' this long (crashed instance) may be completed again.
+const STALE_COMPLETING_MINUTES = 15;
+// Finished session rows are kept this long for clients polling the status.
+const FINISHED_RETENTION_DAYS = 7;
+
+function _sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function _formatSession(session, chunkNumbers = []) {
+  return {
+    id: session.id,
+    file_name: session.file_name,
+    file_size: Number(session.file_size),
+    chunk_size: session.chunk_size,
+    total_chunks: session.total_chunks,
+    checksum_sha256: session.checksum_sha256,
+    status: session.status,
+    product_id: session.product_id,
+    received_chunks: chunkNumbers,
+    expires_at: session.expires_at,
+    created_at: session.created_at,
+  };
+}
+
+async function _getOwnSession(sessionId, sellerId) {
+  const result = await pool.query(
+    'SELECT * FROM upload_sessions WHERE id = $1 AND seller_id = $2',
+    [sessionId, sellerId]
+  );
+  if (result.rows.length === 0) {
+    const err = new Error('Upload session not found');
+    err.status = 404;
+    throw err;
+  }
+  return result.rows[0];
+}
+
+function _assertOpen(session) {
+  if (session.status !== 'open' || new Date(session.expires_at) <= new Date()) {
+    const err = new Error(
+      session.status === 'completed'
+        ? 'Upload session is already completed'
+        : 'Upload session is no longer open'
+    );
+    err.status = 409;
+    throw err;
+  }
+}
+
+/**
+ * Remove the stored chunks of the given sessions and forget them.
+ */
+async function _discardChunks(sessionIds) {
+  if (sessionIds.length === 0) return 0;
+
+  const chunksRes = await pool.query(
+    `DELETE FROM upload_session_chunks
+     WHERE session_id = ANY($1::uuid[])
+     RETURNING storage_path`,
+    [sessionIds]
+  );
+  const paths = chunksRes.rows.map((row) => row.storage_path);
+  if (paths.length > 0) {
+    const { error } = await storage.remove(paths);
+    if (error) {
+      console.error('Failed to delete upload chunks from storage:', error.message);
+    }
+  }
+  return paths.length;
+}
+
+/**
+ * Start a resumable upload.
+ */
+async function createUploadSession(sellerId, { fileName = null, fileSize, checksum }) {
+  const size = Number(fileSize);
+  if (!Number.isInteger(size) || size < 1) {
+    const err = new Error('File size is required');
+    err.status = 400;
+    throw err;
+  }
+  await planService.assertUploadAllowed(sellerId, { fileBytes: size, newListing: true });
+
+  const normalizedChecksum = String(checksum || '').trim().toLowerCase();
+  if (!/^[a-f0-9]{64}$/.test(normalizedChecksum)) {
+    const err = new Error('checksum must be the SHA-256 of the file (64 hex characters)');
+    err.status = 400;
+    throw err;
+  }
+
+  const name = fileName == null ? null : String(fileName).trim().slice(0, MAX_FILE_NAME_LENGTH);
+
+  const openRes = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM upload_sessions
+     WHERE seller_id = $1 AND status IN ('open', 'completing') AND expires_at > NOW()`,
+    [sellerId]
+  );
+  if (openRes.rows[0].total >= MAX_OPEN_SESSIONS_PER_SELLER) {
+    const err = new Error(
+      `You can have at most ${MAX_OPEN_SESSIONS_PER_SELLER} unfinished uploads, finish or cancel one first`
+    );
+    err.status = 429;
+    throw err;
+  }
+
+  const chunkSize = config.upload.chunkBytes;
+  const result = await pool.query(
+    `INSERT INTO upload_sessions (seller_id, file_name, file_size, chunk_size, total_chunks,
+                                  checksum_sha256, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => $7::int))
+     RETURNING *`,
+    [
+      sellerId,
+      name || null,
+      size,
+      chunkSize,
+      Math.ceil(size / chunkSize),
+      normalizedChecksum,
+      config.upload.sessionTtlHours,
+    ]
+  );
+  return _formatSession(result.rows[0]);
+}
+
+/**
+ * Session status, including which chunks have been received (to resume).
+ */
+async function getUploadSession(sessionId, sellerId) {
+  const session = await _getOwnSession(sessionId, sellerId);
+  const chunksRes = await pool.query(
+    `SELECT chunk_number FROM upload_session_chunks
+     WHERE session_id = $1
+     ORDER BY chunk_number`,
+    [sessionId]
+  );
+  return _formatSession(session, chunksRes.rows.map((row) => row.chunk_number));
+}
+
+/**
+ * Store one chunk. Re-sending a chunk with the same bytes is a no-op;
+ * different bytes replace the stored chunk.
+ *
+ * @param {Buffer} buffer
+ * @param {string|null} checksum — optional SHA-256 of the chunk (X-Chunk-SHA256)
+ */
+async function putChunk(sessionId, sellerId, chunkNumber, buffer, { checksum = null } = {}) {
+  const session = await _getOwnSession(sessionId, sellerId);
+  _assertOpen(session);
+
+  if (!Number.isInteger(chunkNumber) || chunkNumber < 1 || chunkNumber > session.total_chunks) {
+    const err = new Error(`Chunk number must be between 1 and ${session.total_chunks}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const isLast = chunkNumber === session.total_chunks;
+  const expectedSize = isLast
+    ? Number(session.file_size) - (session.total_chunks - 1) * session.chunk_size
+    : session.chunk_size;
+  if (!Buffer.isBuffer(buffer) || buffer.length !== expectedSize) {
+    const err = new Error(`Chunk ${chunkNumber} must be exactly ${expectedSize} bytes`);
+    err.status = 400;
+    throw err;
+  }
+
+  const chunkChecksum = _sha256(buffer);
+  if (checksum && String(checksum).trim().toLowerCase() !== chunkChecksum) {
+    const err = new Error(`Chunk ${chunkNumber} checksum mismatch, please resend it`);
+    err.status = 400;
+    throw err;
+  }
+
+  const existingRes = await pool.query(
+    `SELECT checksum_sha256 FROM upload_session_chunks
+     WHERE session_id = $1 AND chunk_number = $2`,
+    [sessionId, chunkNumber]
+  );
+  if (existingRes.rows[0]?.checksum_sha256 !== chunkChecksum) {
+    const storagePath = `${sellerId}/uploads/${sessionId}/${chunkNumber}-${uuidv4()}.part`;
+    const { error: uploadError } = await storage.upload(storagePath, buffer, {
+      contentType: 'application/octet-stream',
+      upsert: false,
+    });
+    if (uploadError) {
+      const err = new Error(`Storage upload failed: ${uploadError.message}`);
+      err.status = 500;
+      throw err;
+    }
+
+    const saved = await pool.query(
+      `WITH previous AS (
+         SELECT storage_path FROM upload_session_chunks
+         WHERE session_id = $1 AND chunk_number = $2
+       )
+       INSERT INTO upload_session_chunks (session_id, chunk_number, size, checksum_sha256, storage_path)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (session_id, chunk_number)
+       DO UPDATE SET size = EXCLUDED.size,
+                     checksum_sha256 = EXCLUDED.checksum_sha256,
+                     storage_path = EXCLUDED.storage_path,
+                     created_at = NOW()
+       RETURNING (SELECT storage_path FROM previous) AS replaced_path`,
+      [sessionId, chunkNumber, buffer.length, chunkChecksum, storagePath]
+    );
+    const replacedPath = saved.rows[0].replaced_path;
+    if (replacedPath) {
+      await storage.remove([replacedPath]);
+    }
+  }
+
+  // Every chunk keeps the session alive.
+  await pool.query(
+    `UPDATE upload_sessions
+     SET expires_at = NOW() + make_interval(hours => $2::int), updated_at = NOW()
+     WHERE id = $1 AND status = 'open'`,
+    [sessionId, config.upload.sessionTtlHours]
+  );
+
+  return { chunk_number: chunkNumber, size: buffer.length, checksum_sha256: chunkChecksum };
+}
+
+/**
+ * Assemble and verify the file, then create the product.
+ *
+ * @param {object} productFields — createProduct() arguments except sellerId and file
+ */
+async function completeUploadSession(sessionId, sellerId, productFields) {
+  // Claiming also renews the session so the cleanup job leaves it alone.
+  const claimRes = await pool.query(
+    `UPDATE upload_sessions
+     SET status = 'completing',
+         expires_at = NOW() + make_interval(hours => $4::int),
+         updated_at = NOW()
+     WHERE id = $1
+       AND seller_id = $2
+       AND expires_at > NOW()
+       AND (status = 'open'
+            OR (status = 'completing'
+                AND updated_at < NOW() - make_interval(mins => $3::int)))
+     RETURNING *`,
+    [sessionId, sellerId, STALE_COMPLETING_MINUTES, config.upload.sessionTtlHours]
+  );
+  if (claimRes.rows.length === 0) {
+    const session = await _getOwnSession(sessionId, sellerId);
+    if (session.status !== 'completing') _assertOpen(session);
+    const err = new Error('Upload is already being completed');
+    err.status = 409;
+    throw err;
+  }
+  const session = claimRes.rows[0];
+
+  const reopen = () =>
+    pool.query(
+      `UPDATE upload_sessions SET status = 'open', updated_at = NOW()
+       WHERE id = $1 AND status = 'completing'`,
+      [sessionId]
+    );
+
+  let product;
+  try {
+    // The plan may have changed since the session was opened.
+    await planService.assertUploadAllowed(sellerId, {
+      fileBytes: Number(session.file_size),
+      newListing: true,
+    });
+
+    const chunksRes = await pool.query(
+      `SELECT chunk_number, storage_path FROM upload_session_chunks
+       WHERE session_id = $1
+       ORDER BY chunk_number`,
+      [sessionId]
+    );
+    const received = new Set(chunksRes.rows.map((row) => row.chunk_number));
+    const missing = [];
+    for (let n = 1; n <= session.total_chunks; n++) {
+      if (!received.has(n)) missing.push(n);
+    }
+    if (missing.length > 0) {
+      const err = new Error(`Missing chunks: ${missing.join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+
+    const parts = [];
+    for (const chunk of chunksRes.rows) {
+      const { data, error } = await storage.download(chunk.storage_path);
+      if (error) {
+        const err = new Error(`Storage download failed: ${error.message}`);
+        err.status = 500;
+        throw err;
+      }
+      parts.push(data);
+    }
+    const buffer = Buffer.concat(parts);
+
+    if (buffer.length !== Number(session.file_size) || _sha256(buffer) !== session.checksum_sha256) {
+      const err = new Error('Uploaded file does not match its checksum, resend the chunks');
+      err.status = 400;
+      throw err;
+    }
+
+    product = await pdfService.createProduct({
+      ...productFields,
+      sellerId,
+      file: {
+        buffer,
+        size: buffer.length,
+        mimetype: 'application/pdf',
+        originalname: session.file_name || 'upload.pdf',
+      },
+    });
+  } catch (err) {
+    // Leave the session open so the seller can fix the problem and retry.
+    await reopen();
+    throw err;
+  }
+
+  await pool.query(
+    `UPDATE upload_sessions
+     SET status = 'completed', product_id = $2, updated_at = NOW()
+     WHERE id = $1`,
+    [sessionId, product.id]
+  );
+  await _discardChunks([sessionId]);
+
+  return product;
+}
+
+/**
+ * Cancel an unfinished upload and delete its chunks.
+ */
+async function abortUploadSession(sessionId, sellerId) {
+  const result = await pool.query(
+    `UPDATE upload_sessions
+     SET status = 'aborted', updated_at = NOW()
+     WHERE id = $1 AND seller_id = $2 AND status = 'open'
+     RETURNING id`,
+    [sessionId, sellerId]
+  );
+  if (result.rows.length === 0) {
+    _assertOpen(await _getOwnSession(sessionId, sellerId));
+  }
+  await _discardChunks([sessionId]);
+  return { message: 'Upload cancelled' };
+}
+
+/**
+ * Cancel every unfinished upload of a user (account deletion).
+ */
+async function abortUserUploadSessions(userId) {
+  const result = await pool.query(
+    `UPDATE upload_sessions
+     SET status = 'aborted', updated_at = NOW()
+     WHERE seller_id = $1 AND status IN ('open', 'completing')
+     RETURNING id`,
+    [userId]
+  );
+  await _discardChunks(result.rows.map((row) => row.id));
+}
+
+/**
+ * Expire abandoned sessions, delete their chunks and forget old finished
+ * sessions (background job).
+ */
+async function purgeExpiredUploadSessions() {
+  // A session being completed is only expired once its claim is stale.
+  const expiredRes = await pool.query(
+    `UPDATE upload_sessions
+     SET status = 'aborted', updated_at = NOW()
+     WHERE expires_at <= NOW()
+       AND (status = 'open'
+            OR (status = 'completing'
+                AND updated_at < NOW() - make_interval(mins => $1::int)))
+     RETURNING id`,
+    [STALE_COMPLETING_MINUTES]
+  );
+  const chunks = await _discardChunks(expiredRes.rows.map((row) => row.id));
+
+  const purgedRes = await pool.query(
+    `DELETE FROM upload_sessions
+     WHERE status IN ('completed', 'aborted')
+       AND updated_at < NOW() - make_interval(days => $1::int)
+       AND NOT EXISTS (SELECT 1 FROM upload_session_chunks c WHERE c.session_id = upload_sessions.id)`,
+    [FINISHED_RETENTION_DAYS]
+  );
+
+  return { expired: expiredRes.rowCount, chunks, purged: purgedRes.rowCount };
+}
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  putChunk,
+  completeUploadSession,
+  abortUploadSession,
+  abortUserUploadSessions,
+  purgeExpiredUploadSessions,
+};
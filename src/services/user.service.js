@@ -1,17 +1,48 @@
 /**
  * User profile service.
+ *
+ * ACCOUNT DELETION:
+ * - DELETE /api/user/account only *schedules* deletion; the user can cancel
+ *   during the grace period (ACCOUNT_DELETION_GRACE_DAYS).
+ * - When due, the account-deletion job anonymises the user row instead of
+ *   deleting it, so purchases and the `earnings` ledger stay intact.
+ * - Listings go through pdfService.deleteProduct: sold products are only
+ *   unlisted (buyers keep access), unsold ones are removed with their files.
+ *   Bundles are deleted (purchases made through them are kept).
+ * - The job claims an account with `deletion_started_at`; `deleted_at` is
+ *   only set by the final anonymising UPDATE. A run that fails releases its
+ *   claim and one that dies holding it is retried once the claim is stale,
+ *   so an account is never left half-deleted. Every step is safe to repeat.
  */
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const JSZip = require('jszip');
 const { v4: uuidv4 } = require('uuid');
 const pool = require('../database/pool');
-const supabase = require('../config/supabase');
+const storage = require('./storage.service');
 const config = require('../config');
+const sessionService = require('./session.service');
+const twoFactorService = require('./two-factor.service');
+const pdfService = require('./pdf.service');
+const bundleService = require('./bundle.service');
+const uploadSessionService = require('./upload-session.service');
+const apiKeyService = require('./api-key.service');
+const { scanImage } = require('./upload-scan.service');
+const { logAudit } = require('./audit.service');
+
+const SALT_ROUNDS = 12;
+// A deletion claimed longer ago than this is presumed dead and retried.
+const DELETION_CLAIM_TIMEOUT = '1 hour';
 
 /**
  * Get user profile by ID.
  */
 async function getProfile(userId) {
   const result = await pool.query(
-    'SELECT id, name, email, profile_picture, created_at FROM users WHERE id = $1',
+    `SELECT id, name, email, email_verified, has_password, profile_picture,
+            deletion_scheduled_for, created_at
+     FROM users
+     WHERE id = $1`,
     [userId]
   );
 
@@ -25,15 +56,15 @@ async function getProfile(userId) {
 
   // Generate signed URL for profile picture if exists
   if (user.profile_picture) {
-    const { data, error } = await supabase.storage
-      .from(config.supabase.bucket)
-      .createSignedUrl(user.profile_picture, 3600); // 1 hour expiry
+    const { data, error } = await storage.createSignedUrl(user.profile_picture, 3600); // 1 hour expiry
 
     if (!error && data) {
       user.profile_picture_url = data.signedUrl;
     }
   }
 
+  user.api_keys = await apiKeyService.listKeys(userId);
+
   return user;
 }
 
@@ -62,9 +93,7 @@ async function updateName(userId, newName) {
 
   // Generate signed URL for profile picture if exists
   if (user.profile_picture) {
-    const { data, error } = await supabase.storage
-      .from(config.supabase.bucket)
-      .createSignedUrl(user.profile_picture, 3600);
+    const { data, error } = await storage.createSignedUrl(user.profile_picture, 3600);
 
     if (!error && data) {
       user.profile_picture_url = data.signedUrl;
@@ -78,7 +107,10 @@ async function updateName(userId, newName) {
  * Upload or update profile picture.
  */
 async function uploadProfilePicture(userId, file) {
-  // 1. Delete old profile picture if exists
+  // 1. Verify the image type from its bytes and virus-scan it
+  const image = await scanImage(file.buffer, { userId });
+
+  // 2. Look up the old profile picture (removed once the new one is saved)
   const user = await pool.query(
     'SELECT profile_picture FROM users WHERE id = $1',
     [userId]
@@ -91,22 +123,14 @@ async function uploadProfilePicture(userId, file) {
   }
 
   const oldPicture = user.rows[0].profile_picture;
-  if (oldPicture) {
-    await supabase.storage
-      .from(config.supabase.bucket)
-      .remove([oldPicture]);
-  }
 
-  // 2. Upload new profile picture
-  const fileExt = file.mimetype.split('/')[1];
-  const storagePath = `profiles/${userId}/${uuidv4()}.${fileExt}`;
+  // 3. Upload new profile picture
+  const storagePath = `profiles/${userId}/${uuidv4()}.${image.extension}`;
 
-  const { error: uploadError } = await supabase.storage
-    .from(config.supabase.bucket)
-    .upload(storagePath, file.buffer, {
-      contentType: file.mimetype,
-      upsert: false,
-    });
+  const { error: uploadError } = await storage.upload(storagePath, file.buffer, {
+    contentType: image.mimetype,
+    upsert: false,
+  });
 
   if (uploadError) {
     const err = new Error(`Storage upload failed: ${uploadError.message}`);
@@ -114,16 +138,18 @@ async function uploadProfilePicture(userId, file) {
     throw err;
   }
 
-  // 3. Update user record
+  // 4. Update user record
   const result = await pool.query(
     'UPDATE users SET profile_picture = $1, updated_at = NOW() WHERE id = $2 RETURNING id, name, email, profile_picture',
     [storagePath, userId]
   );
 
-  // 4. Generate signed URL
-  const { data, error } = await supabase.storage
-    .from(config.supabase.bucket)
-    .createSignedUrl(storagePath, 3600);
+  if (oldPicture) {
+    await storage.remove([oldPicture]);
+  }
+
+  // 5. Generate signed URL
+  const { data, error } = await storage.createSignedUrl(storagePath, 3600);
 
   const userData = result.rows[0];
   if (!error && data) {
@@ -133,8 +159,457 @@ async function uploadProfilePicture(userId, file) {
   return userData;
 }
 
+/**
+ * Change (or, for Google-created accounts, set) the user's password.
+ * Other devices are signed out; the current session stays active.
+ * Accounts whose has_password is unknown (NULL, created before it was
+ * tracked) must give their current password or use the reset email.
+ */
+async function changePassword(userId, { currentPassword, newPassword }, currentSessionId = null) {
+  const userRes = await pool.query(
+    'SELECT id, password_hash, has_password FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (userRes.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const user = userRes.rows[0];
+  if (user.has_password !== false) {
+    const valid = currentPassword
+      ? await bcrypt.compare(currentPassword, user.password_hash)
+      : false;
+    if (!valid) {
+      const err = new Error(
+        user.has_password === null
+          ? 'Current password is incorrect. If you signed up with Google, ' +
+            'set a password with "Forgot password" instead'
+          : 'Current password is incorrect'
+      );
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+  await pool.query(
+    `UPDATE users
+     SET password_hash = $2,
+         has_password = true,
+         password_changed_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [userId, passwordHash]
+  );
+
+  await sessionService.revokeAllUserSessions(userId, 'password_changed', {
+    exceptSessionId: currentSessionId,
+  });
+
+  return {
+    message: user.has_password === false ? 'Password set' : 'Password changed',
+    has_password: true,
+  };
+}
+
+async function getTwoFactorStatus(userId) {
+  return { enabled: await twoFactorService.isEnabled('user', userId) };
+}
+
+/**
+ * Begin TOTP enrolment — returns the secret and otpauth:// URI for the QR code.
+ */
+async function startTwoFactorSetup(userId) {
+  const userRes = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+  if (userRes.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+  return twoFactorService.startEnrollment('user', userId, userRes.rows[0].email);
+}
+
+async function enableTwoFactor(userId, code) {
+  return twoFactorService.confirmEnrollment('user', userId, code);
+}
+
+async function disableTwoFactor(userId, code) {
+  return twoFactorService.disable('user', userId, code);
+}
+
+async function regenerateRecoveryCodes(userId, code) {
+  return twoFactorService.regenerateRecoveryCodes('user', userId, code);
+}
+
+/**
+ * Collect everything we hold about a user.
+ * @param {'json'|'zip'} format
+ * @returns {{ format, data }} — data is an object (json) or a Buffer (zip)
+ */
+async function exportData(userId, format = 'json') {
+  const profileRes = await pool.query(
+    `SELECT id, name, email, email_verified, email_verified_at, has_password,
+            profile_picture, deletion_scheduled_for, created_at, updated_at
+     FROM users
+     WHERE id = $1`,
+    [userId]
+  );
+
+  if (profileRes.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const [listings, purchases, earnings, reports, sessions] = await Promise.all([
+    pool.query(
+      `SELECT id, short_code, title, author_name, description, tags, mrp, price,
+              allow_download, is_active, review_status, rejection_reason, file_size,
+              created_at, updated_at
+       FROM pdf_products
+       WHERE seller_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT pu.id AS purchase_id, pu.status, pu.amount, pu.razorpay_order_id,
+              pu.razorpay_payment_id, pu.created_at,
+              p.id AS product_id, p.title AS product_title
+       FROM purchases pu
+       JOIN pdf_products p ON p.id = pu.product_id
+       WHERE pu.buyer_id = $1
+       ORDER BY pu.created_at DESC`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT e.id, e.purchase_id, e.total_amount, e.platform_fee, e.seller_amount, e.created_at,
+              pu.product_id
+       FROM earnings e
+       JOIN purchases pu ON pu.id = e.purchase_id
+       WHERE e.seller_id = $1
+       ORDER BY e.created_at DESC`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT id, product_id, product_title, reason_code, custom_reason, status, created_at
+       FROM pdf_reports
+       WHERE reporter_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    ),
+    sessionService.listUserSessions(userId),
+  ]);
+
+  const bundle = {
+    exported_at: new Date().toISOString(),
+    profile: profileRes.rows[0],
+    listings: listings.rows,
+    purchases: purchases.rows,
+    earnings: earnings.rows,
+    reports: reports.rows,
+    sessions,
+  };
+
+  await logAudit({
+    actorType: 'user',
+    actorId: userId,
+    action: 'user.data_export',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { format },
+  }).catch(() => {});
+
+  if (format !== 'zip') {
+    return { format: 'json', data: bundle };
+  }
+
+  const zip = new JSZip();
+  for (const [section, value] of Object.entries(bundle)) {
+    if (section === 'exported_at') continue;
+    zip.file(`${section}.json`, JSON.stringify(value, null, 2));
+  }
+  zip.file('README.txt', `NoteBay data export for ${bundle.profile.email}\nExported at ${bundle.exported_at}\n`);
+  return { format: 'zip', data: await zip.generateAsync({ type: 'nodebuffer' }) };
+}
+
+/**
+ * Schedule the account for deletion after the grace period.
+ */
+async function requestAccountDeletion(userId, { password }) {
+  const userRes = await pool.query(
+    'SELECT id, password_hash, has_password, deletion_scheduled_for FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (userRes.rows.length === 0) {
+    const err = new Error('User not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const user = userRes.rows[0];
+  if (user.has_password !== false) {
+    const valid = password ? await bcrypt.compare(password, user.password_hash) : false;
+    if (!valid) {
+      const err = new Error(
+        user.has_password === null
+          ? 'Password is incorrect. If you signed up with Google, ' +
+            'set a password with "Forgot password" first'
+          : 'Password is incorrect'
+      );
+      err.status = 400;
+      throw err;
+    }
+  }
+
+  if (user.deletion_scheduled_for) {
+    return {
+      message: 'Account deletion is already scheduled',
+      deletion_scheduled_for: user.deletion_scheduled_for,
+    };
+  }
+
+  const result = await pool.query(
+    `UPDATE users
+     SET deletion_requested_at = NOW(),
+         deletion_scheduled_for = NOW() + make_interval(days => $2::int),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING deletion_scheduled_for`,
+    [userId, config.accountDeletion.graceDays]
+  );
+
+  await logAudit({
+    actorType: 'user',
+    actorId: userId,
+    action: 'user.deletion_requested',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { deletion_scheduled_for: result.rows[0].deletion_scheduled_for },
+  }).catch(() => {});
+
+  return {
+    message: `Your account will be deleted in ${config.accountDeletion.graceDays} days unless you cancel`,
+    deletion_scheduled_for: result.rows[0].deletion_scheduled_for,
+  };
+}
+
+async function cancelAccountDeletion(userId) {
+  const result = await pool.query(
+    `UPDATE users
+     SET deletion_requested_at = NULL,
+         deletion_scheduled_for = NULL,
+         updated_at = NOW()
+     WHERE id = $1
+       AND deletion_scheduled_for IS NOT NULL
+       AND deletion_started_at IS NULL
+       AND deleted_at IS NULL
+     RETURNING id`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    const err = new Error('No pending account deletion');
+    err.status = 404;
+    throw err;
+  }
+
+  await logAudit({
+    actorType: 'user',
+    actorId: userId,
+    action: 'user.deletion_cancelled',
+    targetType: 'user',
+    targetId: userId,
+  }).catch(() => {});
+
+  return { message: 'Account deletion cancelled' };
+}
+
+/**
+ * Anonymise one account whose grace period is over.
+ * Claims the row first so concurrent runs can't process it twice, and
+ * releases the claim on failure so the next run starts over.
+ */
+async function _deleteAccount(userId) {
+  const claimRes = await pool.query(
+    `UPDATE users
+     SET deletion_started_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+       AND deleted_at IS NULL
+       AND deletion_scheduled_for <= NOW()
+       AND (deletion_started_at IS NULL
+            OR deletion_started_at < NOW() - $2::interval)
+     RETURNING id, profile_picture`,
+    [userId, DELETION_CLAIM_TIMEOUT]
+  );
+  if (claimRes.rows.length === 0) return false;
+
+  try {
+    await _anonymiseAccount(userId, claimRes.rows[0].profile_picture);
+  } catch (err) {
+    await pool
+      .query(
+        'UPDATE users SET deletion_started_at = NULL WHERE id = $1 AND deleted_at IS NULL',
+        [userId]
+      )
+      .catch(() => {});
+    throw err;
+  }
+  return true;
+}
+
+async function _anonymiseAccount(userId, profilePicture) {
+  await sessionService.revokeAllUserSessions(userId, 'account_deleted');
+  await apiKeyService.revokeAllUserKeys(userId);
+  await twoFactorService.reset('user', userId);
+
+  const productsRes = await pool.query(
+    'SELECT id FROM pdf_products WHERE seller_id = $1',
+    [userId]
+  );
+  let unlisted = 0;
+  let removed = 0;
+  for (const product of productsRes.rows) {
+    const result = await pdfService.deleteProduct(product.id, userId);
+    if (result.soft_deleted) unlisted++;
+    else removed++;
+  }
+  const bundlesRemoved = await bundleService.deleteSellerBundles(userId);
+
+  await pool.query(
+    'DELETE FROM email_verification_tokens WHERE user_id = $1',
+    [userId]
+  );
+  await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+  await pool.query('DELETE FROM content_tickets WHERE user_id = $1', [userId]);
+  await uploadSessionService.abortUserUploadSessions(userId);
+  await pool.query(
+    'UPDATE access_events SET ip_address = NULL, user_agent = NULL WHERE buyer_id = $1',
+    [userId]
+  );
+
+  // Watermarked copies carry the buyer's name and email; drop them (they
+  // are rebuilt with the anonymised details if the purchase is accessed).
+  const watermarksRes = await pool.query(
+    `DELETE FROM purchase_watermarks w
+     USING purchases pu
+     WHERE pu.id = w.purchase_id AND pu.buyer_id = $1
+     RETURNING w.file_path`,
+    [userId]
+  );
+
+  // Scrub personal data but keep the row: purchases and earnings point at it.
+  // Only now is the account marked deleted.
+  await pool.query(
+    `UPDATE users
+     SET name = 'Deleted user',
+         email = $2,
+         password_hash = $3,
+         has_password = false,
+         profile_picture = NULL,
+         email_verified = false,
+         email_verified_at = NULL,
+         deleted_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [userId, `deleted+${userId}@deleted.invalid`, crypto.randomBytes(32).toString('hex')]
+  );
+
+  const filesToRemove = watermarksRes.rows.map((row) => row.file_path);
+  if (profilePicture) filesToRemove.push(profilePicture);
+  if (filesToRemove.length > 0) {
+    const { error } = await storage.remove(filesToRemove);
+    if (error) {
+      console.error('Failed to delete personal files from storage:', error.message);
+    }
+  }
+
+  await logAudit({
+    actorType: 'system',
+    action: 'user.account_deleted',
+    targetType: 'user',
+    targetId: userId,
+    metadata: {
+      products_unlisted: unlisted,
+      products_removed: removed,
+      bundles_removed: bundlesRemoved,
+    },
+  }).catch(() => {});
+}
+
+/**
+ * Job: anonymise every account whose deletion grace period has passed.
+ */
+async function processDueAccountDeletions() {
+  const dueRes = await pool.query(
+    `SELECT id
+     FROM users
+     WHERE deletion_scheduled_for <= NOW()
+       AND deleted_at IS NULL
+       AND (deletion_started_at IS NULL
+            OR deletion_started_at < NOW() - $1::interval)
+     ORDER BY deletion_scheduled_for
+     LIMIT 50`,
+    [DELETION_CLAIM_TIMEOUT]
+  );
+
+  let processed = 0;
+  for (const { id } of dueRes.rows) {
+    try {
+      if (await _deleteAccount(id)) processed++;
+    } catch (err) {
+      console.error(`Account deletion failed for ${id}:`, err.message);
+    }
+  }
+  return { processed };
+}
+
+async function listApiKeys(userId) {
+  return apiKeyService.listKeys(userId);
+}
+
+async function createApiKey(userId, { name, scopes, expiresInDays }) {
+  return apiKeyService.createKey(userId, { name, scopes, expiresInDays });
+}
+
+async function revokeApiKey(userId, keyId) {
+  return apiKeyService.revokeKey(userId, keyId);
+}
+
+/**
+ * List the devices (active sessions) the user is signed in on.
+ */
+async function listSessions(userId, currentSessionId) {
+  return sessionService.listUserSessions(userId, currentSessionId);
+}
+
+/**
+ * Sign the user out of one of their devices.
+ */
+async function revokeSession(userId, sessionId) {
+  return sessionService.revokeUserSession(userId, sessionId);
+}
+
 module.exports = {
   getProfile,
   updateName,
   uploadProfilePicture,
+  changePassword,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  listSessions,
+  revokeSession,
+  exportData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  processDueAccountDeletions,
 };
@@ -11,12 +11,44 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+const twoFactorLoginSchema = Joi.object({
+  challenge_token: Joi.string().required(),
+  code: Joi.string().trim().max(20).required(), // TOTP or recovery code
+});
+
 const googleLoginSchema = Joi.object({
   idToken: Joi.string().required(),
 });
 
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: Joi.string().min(6).max(128).required(),
+});
+
+const refreshTokenSchema = Joi.object({
+  refresh_token: Joi.string().required(),
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
+  twoFactorLoginSchema,
   googleLoginSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  refreshTokenSchema,
 };
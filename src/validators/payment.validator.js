@@ -1,7 +1,8 @@
 const Joi = require('joi');
 
 const createOrderSchema = Joi.object({
-  product_id: Joi.string().uuid().required(),
-});
+  product_id: Joi.string().uuid(),
+  bundle_id: Joi.string().uuid(),
+}).xor('product_id', 'bundle_id');
 
 module.exports = { createOrderSchema };
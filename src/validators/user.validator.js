@@ -0,0 +1,35 @@
+const Joi = require('joi');
+const { API_KEY_SCOPES } = require('../services/api-key.service');
+
+const changePasswordSchema = Joi.object({
+  // Optional for Google-created accounts that never had a password.
+  current_password: Joi.string().allow('', null),
+  new_password: Joi.string().min(6).max(128).required(),
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().max(20).required(), // TOTP or recovery code
+});
+
+const deleteAccountSchema = Joi.object({
+  // Required when the account has a password (checked in the service).
+  password: Joi.string().allow('', null),
+  confirm: Joi.string().valid('DELETE').required(),
+});
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required(),
+  expires_in_days: Joi.number().integer().min(1).max(365).allow(null),
+});
+
+module.exports = {
+  changePasswordSchema,
+  twoFactorCodeSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
+};